@@ -14,9 +14,15 @@ import About from "./components/About";
 import RankingPage from "./components/Ranking/RankingPage";
 import Admin from "./pages/Admin";
 import BookRequestPage from "./components/Profile/BookRequestPage";
+import PublicProfile from "./components/Profile/PublicProfile";
+import SharedShelf from "./components/Profile/SharedShelf";
 import UserRequestsPage from "./pages/UserRequestsPage";
 import AdminRequestsPage from "./pages/AdminRequestsPage";
 import AdminClubsPage from "./components/Club/AdminClubsPage";
+import AdminBadgesPage from "./pages/AdminBadgesPage";
+import AdminDuplicatesPage from "./pages/AdminDuplicatesPage";
+import AdminStoragePage from "./pages/AdminStoragePage";
+import AdminTrashPage from "./pages/AdminTrashPage";
 import { usersAPI } from "./services/api";
 import {
   AUTH_CHANGED_EVENT,
@@ -217,6 +223,18 @@ const App = () => {
 
           <Route path="/ranking" element={<RankingPage />} />
 
+          <Route
+            path="/users/:userId"
+            element={
+              <ProtectedRoute isAllowed={isAuthenticated} redirectPath="/login">
+                <PublicProfile />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Share links must open without an account */}
+          <Route path="/shelves/:shelfId" element={<SharedShelf />} />
+
           <Route
             path="/admin"
             element={
@@ -277,6 +295,54 @@ const App = () => {
             }
           />
 
+          <Route
+            path="/admin/badges"
+            element={
+              <ProtectedRoute
+                isAllowed={isAuthenticated && isAdmin}
+                redirectPath="/login"
+              >
+                <AdminBadgesPage />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/admin/duplicates"
+            element={
+              <ProtectedRoute
+                isAllowed={isAuthenticated && isAdmin}
+                redirectPath="/login"
+              >
+                <AdminDuplicatesPage />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/admin/storage"
+            element={
+              <ProtectedRoute
+                isAllowed={isAuthenticated && isAdmin}
+                redirectPath="/login"
+              >
+                <AdminStoragePage />
+              </ProtectedRoute>
+            }
+          />
+
+          <Route
+            path="/admin/trash"
+            element={
+              <ProtectedRoute
+                isAllowed={isAuthenticated && isAdmin}
+                redirectPath="/login"
+              >
+                <AdminTrashPage />
+              </ProtectedRoute>
+            }
+          />
+
           <Route path="*" element={<Navigate to={postAuthRedirect} replace />} />
         </Routes>
       </div>
@@ -3,21 +3,23 @@ import "./BookCard.css";
 import axios from "axios";
 import { FcDownload } from "react-icons/fc";
 import { FaBookmark, FaBookOpen,FaTrash, FaEdit, 
-  FaTimes, FaUser, FaRegCommentDots, FaPlus, FaMinus,
-  FaUndo, FaRedo, FaList, FaCompress, FaExpand } from "react-icons/fa";
+  FaTimes, FaPlus, FaMinus,
+  FaUndo, FaRedo, FaList, FaCompress, FaExpand, FaSearch } from "react-icons/fa";
 import * as pdfjsLib from 'pdfjs-dist';
 import 'pdfjs-dist/web/pdf_viewer.css';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import EpubReader from "./EpubReader";
+import ReviewSection from "./ReviewSection";
+import RatingBreakdown from "./RatingBreakdown";
+import { booksAPI, coverUrl, coverSrcSet } from "../services/api";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
 
 const BookCard = ({ book, isAdmin, onDelete, onUpdate }) => {
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [comment, setComment] = useState("");
   const [isExpanded, setIsExpanded] = useState(false);
   const [averageRating, setAverageRating] = useState(0);
-  const [commentsList, setCommentsList] = useState([]);
   const [ratingCount, setRatingCount] = useState(0);
   const [showRatingSuccess, setShowRatingSuccess] = useState(false);
   const [isSaved, setIsSaved] = useState(false);
@@ -25,12 +27,13 @@ const BookCard = ({ book, isAdmin, onDelete, onUpdate }) => {
   const [hasRated, setHasRated] = useState(false);
   const [isSubmittingRating, setIsSubmittingRating] = useState(false);
   const [isPdfFullscreen, setIsPdfFullscreen] = useState(false);
-  const [, setTotalPages] = useState(0);
   const [isBookmarked, setIsBookmarked] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({ ...book });
   const [error, setError] = useState('');
   const [isUpdating, ] = useState(false);
+  const [replacement, setReplacement] = useState({ bookFile: null, cover: null });
+  const [isReplacing, setIsReplacing] = useState(false);
   const [numPages, setNumPages] = useState(null);
   const [pageNumber, setPageNumber] = useState(1);
   const [pdfDocument, setPdfDocument] = useState(null);
@@ -41,12 +44,20 @@ const BookCard = ({ book, isAdmin, onDelete, onUpdate }) => {
   const [isPdfReady, setIsPdfReady] = useState(false);
   const [rotation, setRotation] = useState(0);
   const isMountedRef = useRef(false);
+  const progressRef = useRef({ ready: false, restoredPage: null, lastSyncedAt: null, page: 1 });
   const [tocItems, setTocItems] = useState([]);
   const [tocVisible, setTocVisible] = useState(false); 
+  const [searchVisible, setSearchVisible] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchHits, setSearchHits] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
   const isProgrammaticScroll = useRef(false);
   const userScrollInterrupted = useRef(false);
   const [, setSelection] = useState(null);
   const [isPdfLoading, setIsPdfLoading] = useState(false);
+  const [similarBooks, setSimilarBooks] = useState([]);
+  const [shelves, setShelves] = useState([]);
   const renderTasks = useRef(new Map());
 
   const userId = localStorage.getItem("userId");
@@ -57,6 +68,7 @@ const BookCard = ({ book, isAdmin, onDelete, onUpdate }) => {
     setPageNumber(validatedPage);
     scrollToPage(validatedPage);
     setTocVisible(false);
+    setSearchVisible(false);
   };
 
   // PDF Controls
@@ -300,101 +312,157 @@ useEffect(() => {
   setFormData({ ...book });
 }, [book]);
 
+const syncProgress = useCallback((page) => {
+  const tracker = progressRef.current;
+  // Wait for the saved page to load so page 1 never overwrites it
+  if (!book?._id || !token || !tracker.ready || !tracker.lastSyncedAt) return;
+
+  const now = Date.now();
+  const secondsSpent = Math.round((now - tracker.lastSyncedAt) / 1000);
+  tracker.lastSyncedAt = now;
+
+  axios.put(`http://localhost:8080/api/progress/${book._id}`,
+    { page, pageCount: tracker.pageCount, secondsSpent },
+    { headers: { Authorization: `Bearer ${token}` } }
+  ).catch((error) => console.error("Error saving reading progress:", error));
+}, [book?._id, token]);
+
 useEffect(() => {
-  const fetchPageCount = async () => {
-    try {
-      if (book?.pdfUrl) {
-        const response = await axios.get(`http://localhost:8080/api/books/${book._id}/pdf`,
-        {
-          headers: { Authorization: `Bearer ${token}` } 
-        });
-        setTotalPages(response.data.pageCount);
-      }} catch (error) {
-        console.error('Error fetching page count:', error);
-        if (error.response?.status === 401) {
-          alert('Please login to view book details');
-        }
-      }
+  progressRef.current.pageCount = numPages;
+}, [numPages]);
+
+// Reopen at the page saved from any device
+useEffect(() => {
+  if (!isModalOpen || !book?._id || !token) return;
+  const tracker = progressRef.current;
+  tracker.ready = false;
+  tracker.restoredPage = null;
+  tracker.lastSyncedAt = Date.now();
+
+  axios.get(`http://localhost:8080/api/progress/${book._id}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }).then(({ data }) => {
+    if (data?.lastPage && isMountedRef.current) {
+      tracker.restoredPage = data.lastPage;
+      setPageNumber(data.lastPage);
+    }
+  }).catch((error) => {
+    console.error("Error fetching reading progress:", error);
+  }).finally(() => {
+    tracker.ready = true;
+  });
+}, [isModalOpen, book?._id, token]);
+
+useEffect(() => {
+  progressRef.current.page = pageNumber;
+  if (!isModalOpen) return;
+  const timer = setTimeout(() => syncProgress(pageNumber), 2000);
+  return () => clearTimeout(timer);
+}, [isModalOpen, pageNumber, syncProgress]);
+
+// Flush the time spent since the last page change when the reader closes
+useEffect(() => {
+  if (!isModalOpen) return;
+  const tracker = progressRef.current;
+  return () => {
+    syncProgress(tracker.page);
+    tracker.lastSyncedAt = null;
   };
-  if (book && token) { 
-    fetchPageCount();
-  }
-}, [book, token]);
+}, [isModalOpen, syncProgress]);
+
+// Count one read per open of the reader, not per PDF byte range fetched
+useEffect(() => {
+  if (!isModalOpen || !book?._id || !token) return;
+  axios.post(`http://localhost:8080/api/books/${book._id}/open`, {}, {
+    headers: { Authorization: `Bearer ${token}` }
+  }).catch((error) => console.error("Error recording book open:", error));
+}, [isModalOpen, book?._id, token]);
+
+useEffect(() => {
+  if (!isModalOpen || !book?._id || !token) return;
+  axios.get(`http://localhost:8080/api/books/${book._id}/similar`, {
+    headers: { Authorization: `Bearer ${token}` },
+    params: { limit: 4 }
+  })
+    .then(({ data }) => setSimilarBooks(Array.isArray(data) ? data : []))
+    .catch((error) => console.error("Error fetching similar books:", error));
+}, [isModalOpen, book?._id, token]);
 
-const fetchCommentsAndRatings = useCallback(async () => {
+const fetchRatingsAndBookmarks = useCallback(async () => {
   try {
-    const [bookRes, commentsRes, bookmarkRes] = await Promise.all([
+    const [bookRes, bookmarkRes] = await Promise.all([
       axios.get(`http://localhost:8080/api/books/${book._id}`, {
         headers: { Authorization: `Bearer ${token}` }
       }),
-      axios.get(`http://localhost:8080/api/books/${book._id}/comments`, {
-        headers: { Authorization: `Bearer ${token}` }
-      }),
       axios.get(`http://localhost:8080/api/books/${book._id}/bookmarks`, {
         headers: { Authorization: `Bearer ${token}` }
       })
     ]);
 
-    const userBookmark = bookmarkRes.data.find(b => b.userId.toString() === userId.toString());
+    // Bookmarks come back newest first and only for the current user
+    const userBookmark = bookmarkRes.data[0];
     if (userBookmark) {
-      setPageNumber(userBookmark.page);
+      // Saved reading progress is more recent than a bookmark, so it wins
+      if (!progressRef.current.restoredPage) {
+        setPageNumber(userBookmark.page);
+      }
       setIsBookmarked(true);
     }
     
-    const userRating = bookRes.data.ratings.find(r =>  r.userId.toString() === userId.toString());
-    
-    setHasRated(!!userRating);
-    setSelectedRating(userRating?.rating || 0);
+    const { userRating } = bookRes.data;
+
+    setHasRated(userRating !== null && userRating !== undefined);
+    setSelectedRating(userRating || 0);
 
     setAverageRating(bookRes.data.averageRating || 0);
     setRatingCount(bookRes.data.ratingCount || 0);
-    setCommentsList(commentsRes.data.filter(c => c && c._id && c.user && c.text));
   } catch (error) {
     console.error("Error fetching data:", error);
   }
-}, [book?._id, userId, token]); 
+}, [book?._id, token]); 
 
 useEffect(() => {
   if (isModalOpen) {
-    fetchCommentsAndRatings();
+    fetchRatingsAndBookmarks();
   }
-}, [isModalOpen, fetchCommentsAndRatings]);
-
-const fetchPdf = useCallback(async () => {
-  if (!book?._id || !token) return;
-  const abortController = new AbortController();
-
-  try {
-    setIsPdfLoading(true);
-    const response = await axios.get(`http://localhost:8080/api/books/${book._id}/pdf`, {
-      responseType: "arraybuffer",
-      headers: { Authorization: `Bearer ${token}` },
-      signal: abortController.signal
+}, [isModalOpen, fetchRatingsAndBookmarks]);
+
+const fetchPdf = useCallback(() => {
+  if (!book?._id || !token || book.format === 'epub') return undefined;
+
+  // Let pdf.js fetch the file itself so it can use Range requests and show
+  // the first pages before the whole book has downloaded.
+  const loadingTask = pdfjsLib.getDocument({
+    url: `http://localhost:8080/api/books/${book._id}/pdf`,
+    httpHeaders: { Authorization: `Bearer ${token}` },
+    rangeChunkSize: 256 * 1024,
+    disableAutoFetch: true,
+    disableStream: true
+  });
+
+  setIsPdfLoading(true);
+  loadingTask.promise
+    .then((pdf) => {
+      if (!isMountedRef.current) return;
+      setPdfDocument(pdf);
+      setNumPages(pdf.numPages);
+    })
+    .catch((error) => {
+      if (error.name === 'AbortException') return;
+      console.error("PDF Load Error:", error);
+    })
+    .finally(() => {
+      if (isMountedRef.current) setIsPdfLoading(false);
     });
 
-    if (!isMountedRef.current) return;
-
-    const pdf = await pdfjsLib.getDocument({ data: response.data }).promise;
-    console.log("Fetched PDF successfully:", pdf);
-    setPdfDocument(pdf);
-    setNumPages(pdf.numPages);
-    setIsPdfLoading(false);
-  } catch (error) {
-    if (error.name === 'CanceledError') return;
-    console.error("PDF Load Error:", error);
-    setIsPdfLoading(false);
-  } finally {
-    if (isMountedRef.current) setIsPdfLoading(false);
-  }
-
-  return () => abortController.abort();
-},[book?._id, token]);
+  return () => loadingTask.destroy();
+},[book?._id, book?.format, token]);
 
 useEffect(() => {
   if (isModalOpen) {
-    fetchPdf(); 
+    return fetchPdf();
   }
-}, [isModalOpen, fetchPdf]); 
+}, [isModalOpen, fetchPdf]);
 
 useEffect(() => {
   if (!isModalOpen) {
@@ -491,6 +559,31 @@ useEffect(() => {
   if ( token) checkSavedStatus();
 }, [book._id, token]);
 
+useEffect(() => {
+  if (!isModalOpen || isAdmin || !token) return;
+  axios.get(`http://localhost:8080/api/shelves`, {
+    headers: { Authorization: `Bearer ${token}` }
+  })
+    .then(({ data }) => setShelves(Array.isArray(data) ? data : []))
+    .catch((error) => console.error("Error fetching shelves:", error));
+}, [isModalOpen, isAdmin, token]);
+
+const handleAddToShelf = async (shelfId) => {
+  if (!shelfId) return;
+  try {
+    const { data } = await axios.post(
+      `http://localhost:8080/api/shelves/${shelfId}/books`,
+      { bookId: book._id },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    setShelves((prev) => prev.map((shelf) => (shelf._id === data._id ? data : shelf)));
+    toast.success(`Added to ${data.name}`);
+  } catch (error) {
+    console.error("Add to shelf error:", error);
+    toast.error(error.response?.data?.error || 'Error adding book to shelf');
+  }
+};
+
 // Add toggle handler
 const handleToggleSave = async () => {
   if (!userId || !token) {
@@ -560,6 +653,32 @@ useEffect(() => {
   return () => document.removeEventListener('selectionchange', handleSelection);
 }, []);
 
+// search inside the book
+const handleSearchInside = async (e) => {
+  e.preventDefault();
+  const phrase = searchQuery.trim();
+  if (!phrase) return;
+
+  try {
+    setIsSearching(true);
+    const response = await axios.get(
+      `http://localhost:8080/api/books/${book._id}/search`,
+      {
+        params: { q: phrase },
+        headers: { Authorization: `Bearer ${token}` }
+      }
+    );
+    setSearchHits(response.data?.hits || []);
+  } catch (error) {
+    console.error("Search inside error:", error);
+    setSearchHits([]);
+    toast.error("Search failed");
+  } finally {
+    setIsSearching(false);
+    setHasSearched(true);
+  }
+};
+
 //download pdf
 const handleDownloadPDF = async () => {
   try {
@@ -587,30 +706,6 @@ const handleDownloadPDF = async () => {
   }
 };
 
-  //hadle comment submit button
-  const handleSubmitComment = async () => {
-    if (!comment.trim()) return;
-    if (!userId) {
-      alert('Please login to comment');
-      return;
-    }
-    try {
-      const res = await axios.post(
-        `http://localhost:8080/api/books/${book._id}/comments`,
-        { text: comment },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-      console.log("Comment submitted successfully:", res.data); // Debugging
-      
-      setCommentsList(prev => [res.data, ...prev]);
-      setComment("");
-      toast.success('✅ Comment added successfully!');
-    } catch (error) {
-      console.error("Error submitting comment:", error);
-      toast.error('❌ Failed to add comment.');
-    }
-  };
-
   if (!book) return null;
 
   // Bookmark handling
@@ -637,7 +732,7 @@ const handleDelete = async () => {
         return;
     }
 
-  if (window.confirm('Are you sure you want to delete this book?')) {
+  if (window.confirm('Move this book to the trash? It can be restored from the admin Trash page until it is purged.')) {
     try {
       await axios.delete(`http://localhost:8080/api/books/${book._id}/admin` , {
          headers: { Authorization: `Bearer ${token}`,
@@ -648,7 +743,7 @@ const handleDelete = async () => {
         onDelete(book._id); 
       }
       setIsModalOpen(false);
-      toast.success("Successfully deleted book");
+      toast.success("Book moved to trash");
     } catch (error) {
       setError(error.response?.data?.error || 'Failed to delete book');
       toast.error("Delete error:", error);
@@ -656,6 +751,20 @@ const handleDelete = async () => {
   }
 };
 
+const handleExtractToc = async () => {
+  try {
+    const response = await axios.post(
+      `http://localhost:8080/api/books/${book._id}/toc/extract`,
+      {},
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    setTocItems(response.data || []);
+    toast.success(`Extracted ${response.data?.length || 0} TOC entries`);
+  } catch (error) {
+    toast.error(error.response?.data?.error || "Failed to extract TOC");
+  }
+};
+
 const handleUpdate = async () => {
   try {
     const updatedBook = {
@@ -679,7 +788,7 @@ const handleUpdate = async () => {
     if (onUpdate) {
       onUpdate(response.data); // Update parent state with new data
     }
-    fetchCommentsAndRatings(); // Refresh local data
+    fetchRatingsAndBookmarks(); // Refresh local data
     setError('');
     toast.success("Successfully Updated book");
   } catch (error) {
@@ -689,6 +798,47 @@ const handleUpdate = async () => {
   }
 };
 
+const handleReplaceFiles = async (allowDuplicate = false) => {
+  const data = new FormData();
+  if (replacement.bookFile) {
+    data.append(book.format === "epub" ? "bookEpub" : "bookPdf", replacement.bookFile);
+  }
+  if (replacement.cover) {
+    data.append("coverImage", replacement.cover);
+  }
+  if (allowDuplicate) {
+    data.append("allowDuplicate", "true");
+  }
+
+  try {
+    setIsReplacing(true);
+    const response = await booksAPI.replaceFiles(book._id, data);
+    setReplacement({ bookFile: null, cover: null });
+    if (onUpdate) {
+      onUpdate(response.data.book);
+    }
+    toast.success(
+      replacement.bookFile
+        ? `Book file replaced (${response.data.previousPageCount || "?"} → ${response.data.pageCount} pages)`
+        : "Cover replaced"
+    );
+    response.data.warnings.forEach((warning) => toast.warn(warning, { autoClose: false }));
+  } catch (error) {
+    // The new file is already another book; let the admin decide
+    const duplicates = error.response?.status === 409 ? error.response.data.duplicates : null;
+    if (duplicates?.length) {
+      const list = duplicates.map((other) => `• ${other.title} by ${other.author}`).join("\n");
+      if (window.confirm(`This file is already in the library as:\n${list}\n\nUse it anyway?`)) {
+        await handleReplaceFiles(true);
+        return;
+      }
+    }
+    toast.error(error.response?.data?.error || "Failed to replace files");
+  } finally {
+    setIsReplacing(false);
+  }
+};
+
 const renderPDFViewer = () => (
   <div className={`book-modal ${isPdfFullscreen ? 'fullscreen' : ''}`}>
     <div className="pdf-viewer-container">
@@ -701,11 +851,24 @@ const renderPDFViewer = () => (
       <div className="pdf-controls">
         <div className="left-controls">
           <button 
-            onClick={() => setTocVisible(!tocVisible)}
+            onClick={() => {
+              setTocVisible(!tocVisible);
+              setSearchVisible(false);
+            }}
             aria-label="Toggle table of contents"
           >
             <FaList />
           </button>
+          <button
+            onClick={() => {
+              setSearchVisible(!searchVisible);
+              setTocVisible(false);
+            }}
+            className={searchVisible ? 'active' : ''}
+            aria-label="Search inside book"
+          >
+            <FaSearch />
+          </button>
           <div className="page-navigation">
             <span>Page: </span>
             <input
@@ -759,6 +922,7 @@ const renderPDFViewer = () => (
               <div
                 key={index}
                 className="toc-item"
+                style={{ marginLeft: `${((item.level || 1) - 1) * 12}px` }}
                 onClick={() => navigateToPage(item.page)}
               >
                 <span className="page-marker">Pg. {item.page}</span>
@@ -768,6 +932,35 @@ const renderPDFViewer = () => (
           )}
         </div>
       )}
+      {searchVisible && (
+        <div className="toc-sidebar search-sidebar">
+          <h3>Search Inside</h3>
+          <form onSubmit={handleSearchInside} className="search-inside-form">
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Find a phrase..."
+            />
+            <button type="submit" disabled={isSearching || !searchQuery.trim()}>
+              {isSearching ? '...' : <FaSearch />}
+            </button>
+          </form>
+          {hasSearched && !isSearching && searchHits.length === 0 && (
+            <div className="toc-empty">No matches found</div>
+          )}
+          {searchHits.map((hit) => (
+            <div
+              key={hit.page}
+              className="toc-item"
+              onClick={() => navigateToPage(hit.page)}
+            >
+              <span className="page-marker">Pg. {hit.page}</span>
+              <span className="toc-title">{hit.snippet}</span>
+            </div>
+          ))}
+        </div>
+      )}
       {pdfDocument && (
          <div className="pdf-pages-container">
             {[...Array(numPages)].map((_, i) => (
@@ -790,7 +983,9 @@ const renderPDFViewer = () => (
       <div className="compact-book-card" onClick={() => setIsModalOpen(true)}>
         <div className="compact-card-image">
           <img 
-            src={`http://localhost:8080${book.coverImage}`} 
+            src={coverUrl(book.coverImage, 'medium')}
+            srcSet={coverSrcSet(book.coverImage)}
+            sizes="(max-width: 600px) 45vw, 220px"
             alt={book.title}
             onError={(e) =>{
             e.target.src = '/placeholder-book.jpg';
@@ -856,6 +1051,30 @@ const renderPDFViewer = () => (
                   />
                   <div style={{color:'black'}} className="input-hint">Example: Fiction, Classic, Historical</div>
                 </div>
+                <div className="form-group">
+                  <label>Replace {book.format === 'epub' ? 'EPUB' : 'PDF'}:</label>
+                  <input
+                    type="file"
+                    accept={book.format === 'epub' ? '.epub,application/epub+zip' : 'application/pdf'}
+                    onChange={(e) => setReplacement({...replacement, bookFile: e.target.files[0] || null})}
+                  />
+                  <label>Replace cover:</label>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setReplacement({...replacement, cover: e.target.files[0] || null})}
+                  />
+                  <div style={{color:'black'}} className="input-hint">
+                    Ratings, reviews and bookmarks are kept; the old files are saved as a previous version.
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleReplaceFiles()}
+                    disabled={isReplacing || (!replacement.bookFile && !replacement.cover)}
+                  >
+                    {isReplacing ? 'Replacing...' : 'Replace Files'}
+                  </button>
+                </div>
                 <div className="form-actions">
                   <button 
                   onClick={handleUpdate}
@@ -884,6 +1103,17 @@ const renderPDFViewer = () => (
                   >
                     <FaEdit className="icon" />
                   </button>
+                  <button 
+                    className="edit-btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleExtractToc();
+                    }}
+                    aria-label="Re-extract table of contents"
+                    title="Re-extract table of contents from PDF"
+                  >
+                    <FaList className="icon" />
+                  </button>
                   <button 
                     className="delete-btn"
                     onClick={(e) => {
@@ -898,7 +1128,7 @@ const renderPDFViewer = () => (
               )}
               <div className="modal-image">
                 <img 
-                  src={`http://localhost:8080${book.coverImage}`} 
+                  src={coverUrl(book.coverImage, 'large')}
                   alt={book.title}
                   onError={(e) => e.target.src = '/placeholder-book.jpg'}
                 />
@@ -930,6 +1160,7 @@ const renderPDFViewer = () => (
                     </div>
                     <span className="rating-count">({ratingCount} People Rated)</span>
                   </div>
+                  <RatingBreakdown bookId={book._id} ratingCount={ratingCount} />
                 </div><br></br>
 
                 <h3 className="section-heading">About the Book</h3>
@@ -957,8 +1188,48 @@ const renderPDFViewer = () => (
                   >
                     <FaBookmark /> {isSaved ? "Saved" : "Save to Read Later"}
                   </button>
+                  {shelves.length > 0 && (
+                    <select
+                      className="shelf-select"
+                      value=""
+                      onChange={(e) => handleAddToShelf(e.target.value)}
+                      aria-label="Add to shelf"
+                    >
+                      <option value="">Add to shelf…</option>
+                      {shelves.map((shelf) => {
+                        const onShelf = shelf.books.some((entry) => entry._id === book._id);
+                        return (
+                          <option key={shelf._id} value={shelf._id} disabled={onShelf}>
+                            {onShelf ? `✓ ${shelf.name}` : shelf.name}
+                          </option>
+                        );
+                      })}
+                    </select>
+                  )}
                 </div>
                 )}
+
+                {similarBooks.length > 0 && (
+                  <div className="similar-books">
+                    <h3 className="section-heading">Similar Books</h3>
+                    <ul className="similar-books-list">
+                      {similarBooks.map((similar) => (
+                        <li key={similar._id} className="similar-book">
+                          <img
+                            src={coverUrl(similar.coverImage, 'small')}
+                            alt={similar.title}
+                            onError={(e) => e.target.src = '/placeholder-book.jpg'}
+                          />
+                          <div className="similar-book-info">
+                            <span className="similar-book-title">{similar.title}</span>
+                            <span className="similar-book-author">{similar.author}</span>
+                            <span className="similar-book-reason">{similar.explanation}</span>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
               </div>
 
@@ -996,63 +1267,28 @@ const renderPDFViewer = () => (
                 )}
               </div>
               
-              <p className="comment-notice">Your comments and ratings will help other readers to make their choices</p>
-              <div className="comments-section">
-                <h3><FaRegCommentDots /> Community Discussions ({commentsList.length})</h3>
-                
-                <div className="comment-input">
-                  <textarea
-                    value={comment}
-                    onChange={(e) => setComment(e.target.value)}
-                    placeholder="Share your thoughts..."
-                    rows="3"
-                  />
-                  <button 
-                    className="submit-comment" 
-                    onClick={handleSubmitComment}
-                    disabled={!comment.trim()}
-                  >
-                    Post Comment
-                  </button>
-                </div><br></br>
-
-              <div className="comments-list">
-                {commentsList.map(comment => (
-                  comment && comment.text && ( 
-                <div key={comment._id} className="comment-card">
-                  <div className="user-info">
-                    {comment.user?.avatar ? (
-                      <img 
-                        src={`http://localhost:8080${comment.user.avatar}`} 
-                        alt="Profile" 
-                        className="user-avatar"
-                        style={{ width: '50px', height: '50px' }} 
-                      />
-                      ) : (
-                        <FaUser className="user-avatar" style={{ fontSize: '16px' }}/>
-                      )}
-                      <div className="user-details">
-                        <span className="username">
-                          {comment.user?.UserName || 'Anonymous'}
-                        </span>
-                        <span className="comment-time">
-                          {new Date(comment.createdAt).toLocaleDateString()}
-                        </span>
-                      </div>
-                  </div>
-                  <p style={{color:'black'}} className="comment-text">{comment.text}</p>
-                </div>
-                  )
-                ))}
-              </div>
-              </div>
+              <p className="comment-notice">Your reviews and ratings will help other readers to make their choices</p>
+              <ReviewSection bookId={book._id} userRating={hasRated ? selectedRating : null} />
               </div>
             </div>
             )}
             </>
             )}
             </>
-          ):
+          ): book.format === 'epub' ? (
+            <EpubReader
+              book={book}
+              token={token}
+              chapter={pageNumber}
+              onChapterChange={setPageNumber}
+              tocItems={tocItems}
+              isBookmarked={isBookmarked}
+              onBookmark={handleBookmark}
+              isFullscreen={isPdfFullscreen}
+              onToggleFullscreen={() => setIsPdfFullscreen(!isPdfFullscreen)}
+              onClose={() => setIsModalOpen(false)}
+            />
+          ) :
             renderPDFViewer()}
           </div>
       <ToastContainer position="top-center" />
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { booksAPI } from "../services/api";
+import "./BulkImport.css";
+
+const STATUS_LABELS = {
+  imported: "Imported",
+  "would-import": "Ready",
+  skipped: "Skipped",
+  error: "Error",
+};
+
+// Admin form for adding many books from a manifest and a ZIP of covers and
+// book files. Run it as a dry run first to see which rows would fail.
+const BulkImport = () => {
+  const [manifest, setManifest] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!manifest || !archive) return;
+
+    const data = new FormData();
+    data.append("manifest", manifest);
+    data.append("archive", archive);
+    data.append("dryRun", String(dryRun));
+
+    try {
+      setIsImporting(true);
+      const { data: result } = await booksAPI.importBooks(data);
+      setReport(result);
+      if (!result.dryRun && result.imported) {
+        toast.success(`Imported ${result.imported} book${result.imported === 1 ? "" : "s"}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Import failed");
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="bulk-import">
+      <h2>Bulk Import</h2>
+      <p className="bulk-import-hint">
+        The manifest (CSV or JSON) lists title, author, genres, description, cover and file for each book;
+        the ZIP holds the covers and PDF/EPUB files it names.
+      </p>
+
+      <form onSubmit={handleSubmit}>
+        <label>
+          Manifest
+          <input type="file" accept=".csv,.json" onChange={(e) => setManifest(e.target.files[0] || null)} />
+        </label>
+        <label>
+          Archive
+          <input type="file" accept=".zip" onChange={(e) => setArchive(e.target.files[0] || null)} />
+        </label>
+        <label className="bulk-import-checkbox">
+          <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+          Dry run (validate only)
+        </label>
+        <button type="submit" disabled={!manifest || !archive || isImporting}>
+          {isImporting ? "Importing..." : dryRun ? "Validate" : "Import Books"}
+        </button>
+      </form>
+
+      {report && (
+        <div className="bulk-import-report">
+          <p>
+            {report.imported} of {report.total} {report.dryRun ? "ready to import" : "imported"}, {report.skipped}{" "}
+            skipped, {report.failed} failed
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Title</th>
+                <th>Status</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.row} className={`import-${row.status}`}>
+                  <td>{row.row}</td>
+                  <td>{row.title || "—"}</td>
+                  <td>{STATUS_LABELS[row.status]}</td>
+                  <td>
+                    {row.status === "error"
+                      ? row.errors.join("; ")
+                      : row.reason || (row.pageCount ? `${row.pageCount} pages` : "")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkImport;
@@ -63,8 +63,18 @@ const Club = () => {
 
     try {
       setLoadingBooks(true);
-      const { data } = await api.get("/books");
-      const booksArray = Array.isArray(data) ? data : [];
+      // The list endpoint pages at most 100 books, so walk every page
+      const booksArray = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const { data } = await api.get("/books", {
+          params: { sort: "title", limit: 100, page },
+        });
+        booksArray.push(...(Array.isArray(data?.books) ? data.books : []));
+        totalPages = data?.totalPages || 1;
+        page += 1;
+      } while (page <= totalPages);
       setBookList(booksArray);
 
       const uniqueGenres = new Set();
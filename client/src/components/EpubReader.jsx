@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef } from "react";
+import axios from "axios";
+import { FaBookmark, FaTimes, FaPlus, FaMinus, FaList,
+  FaCompress, FaExpand, FaChevronLeft, FaChevronRight } from "react-icons/fa";
+
+// Chapters come back as sanitised HTML with links to other chapters rewritten
+// to "#chapter-N", so they can be rendered directly and intercepted on click.
+const EpubReader = ({
+  book,
+  token,
+  chapter,
+  onChapterChange,
+  tocItems,
+  isBookmarked,
+  onBookmark,
+  isFullscreen,
+  onToggleFullscreen,
+  onClose
+}) => {
+  const [chapters, setChapters] = useState([]);
+  const [content, setContent] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [fontScale, setFontScale] = useState(1);
+  const [tocVisible, setTocVisible] = useState(false);
+  const contentRef = useRef(null);
+
+  const totalChapters = chapters.length;
+
+  useEffect(() => {
+    const fetchChapters = async () => {
+      try {
+        const response = await axios.get(
+          `http://localhost:8080/api/books/${book._id}/epub/chapters`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setChapters(response.data);
+      } catch (err) {
+        console.error("Error fetching chapters:", err);
+        setError("Failed to load this book");
+      }
+    };
+    fetchChapters();
+  }, [book._id, token]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchChapter = async () => {
+      try {
+        setIsLoading(true);
+        setError("");
+        const response = await axios.get(
+          `http://localhost:8080/api/books/${book._id}/epub/chapters/${chapter}`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+            signal: controller.signal
+          }
+        );
+        setContent(response.data.html);
+        if (contentRef.current) contentRef.current.scrollTop = 0;
+      } catch (err) {
+        if (err.name === "CanceledError") return;
+        console.error("Error fetching chapter:", err);
+        setError("Failed to load chapter");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchChapter();
+    return () => controller.abort();
+  }, [book._id, chapter, token]);
+
+  const goToChapter = (target) => {
+    const max = totalChapters || target;
+    onChapterChange(Math.max(1, Math.min(max, target)));
+    setTocVisible(false);
+  };
+
+  const handleContentClick = (e) => {
+    const link = e.target.closest("a");
+    if (!link) return;
+
+    const href = link.getAttribute("href") || "";
+    const match = href.match(/^#chapter-(\d+)$/);
+    if (match) {
+      e.preventDefault();
+      goToChapter(Number(match[1]));
+    } else if (/^https?:/i.test(href)) {
+      e.preventDefault();
+      window.open(href, "_blank", "noopener,noreferrer");
+    }
+  };
+
+  const chapterTitle = chapters[chapter - 1]?.title;
+
+  return (
+    <div className={`book-modal ${isFullscreen ? 'fullscreen' : ''}`}>
+      <div className="pdf-viewer-container">
+        {isLoading && (
+          <div className="pdf-loading-overlay">
+            <div className="loading-spinner"></div>
+            <p>Loading chapter...</p>
+          </div>
+        )}
+        <div className="pdf-controls">
+          <div className="left-controls">
+            <button
+              onClick={() => setTocVisible(!tocVisible)}
+              aria-label="Toggle table of contents"
+            >
+              <FaList />
+            </button>
+            <button onClick={() => goToChapter(chapter - 1)} disabled={chapter <= 1}>
+              <FaChevronLeft />
+            </button>
+            <span className="epub-chapter-label">
+              Chapter {chapter} of {totalChapters || "..."}
+            </span>
+            <button
+              onClick={() => goToChapter(chapter + 1)}
+              disabled={!totalChapters || chapter >= totalChapters}
+            >
+              <FaChevronRight />
+            </button>
+          </div>
+
+          <div className="center-controls">
+            <button onClick={() => setFontScale(Math.max(0.7, fontScale - 0.1))}><FaMinus /></button>
+            <span>{Math.round(fontScale * 100)}%</span>
+            <button onClick={() => setFontScale(Math.min(2, fontScale + 0.1))}><FaPlus /></button>
+            <button onClick={onBookmark} className={isBookmarked ? 'active' : ''}>
+              <FaBookmark />
+            </button>
+          </div>
+
+          <div className="right-controls">
+            <button onClick={onToggleFullscreen}>
+              {isFullscreen ? <FaCompress /> : <FaExpand />}
+            </button>
+            <button onClick={onClose}>
+              <FaTimes />
+            </button>
+          </div>
+        </div>
+
+        <div className="pdf-content-container">
+          {tocVisible && (
+            <div className="toc-sidebar">
+              <h3>Table of Contents</h3>
+              {(tocItems.length ? tocItems : chapters.map((item) => ({
+                title: item.title,
+                page: item.index,
+                level: 1
+              }))).map((item, index) => (
+                <div
+                  key={index}
+                  className={`toc-item ${item.page === chapter ? 'active' : ''}`}
+                  style={{ marginLeft: `${((item.level || 1) - 1) * 12}px` }}
+                  onClick={() => goToChapter(item.page)}
+                >
+                  <span className="page-marker">Ch. {item.page}</span>
+                  <span className="toc-title">{item.title}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="pdf-pages-container epub-content" ref={contentRef}>
+            {error ? (
+              <div className="toc-empty">{error}</div>
+            ) : (
+              <article
+                className="epub-chapter"
+                style={{ fontSize: `${fontScale}rem` }}
+                aria-label={chapterTitle}
+                onClick={handleContentClick}
+                dangerouslySetInnerHTML={{ __html: content }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EpubReader;
@@ -21,16 +21,24 @@ const genres = [
   "Horror",
 ];
 
+const PAGE_SIZE = 24;
+const SEARCH_DEBOUNCE_MS = 350;
+
 const GenrePage = () => {
   const [selectedGenre, setSelectedGenre] = useState("All");
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
   const [books, setBooks] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const navigate = useNavigate();
 
   const handleDelete = (deletedId) => {
     setBooks((prev) => prev.filter((book) => book._id !== deletedId));
+    setTotal((prev) => Math.max(0, prev - 1));
     alert("Book deleted successfully!");
   };
   
@@ -41,12 +49,29 @@ const GenrePage = () => {
     alert("Book updated successfully!");
   };
 
-  // Fetch books from MongoDB
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  // Filtering, search and paging all happen on the server
   useEffect(() => {
     const fetchBooks = async () => {
       try {
-        const { data } = await api.get("/books");
-        setBooks(Array.isArray(data) ? data : []);
+        const { data } = await api.get("/books", {
+          params: {
+            q: debouncedQuery || undefined,
+            genre: selectedGenre === "All" ? undefined : selectedGenre,
+            page,
+            limit: PAGE_SIZE,
+          },
+        });
+        setBooks(Array.isArray(data?.books) ? data.books : []);
+        setTotal(data?.total ?? 0);
+        setTotalPages(data?.totalPages ?? 0);
         setError("");
       } catch (err) {
         const status = err.response?.status;
@@ -60,24 +85,12 @@ const GenrePage = () => {
       setLoading(false);
     };
     fetchBooks();
-  }, [navigate]);
-
-  const filteredBooks = books.filter((book) => {
-    const lowerQuery = searchQuery.toLowerCase();
-    const bookGenres = Array.isArray(book.genres)
-      ? book.genres.map((g) => (typeof g === "object" ? g.name : g))
-      : [];
-
-    const matchesGenre =
-      selectedGenre === "All" ||
-      bookGenres.some((g) => g?.toLowerCase() === selectedGenre.toLowerCase());
-
-    const matchesSearch =
-      book.title.toLowerCase().includes(lowerQuery) ||
-      book.author.toLowerCase().includes(lowerQuery);
+  }, [navigate, debouncedQuery, selectedGenre, page]);
 
-    return matchesGenre && matchesSearch;
-  });
+  const handleGenreChange = (genre) => {
+    setSelectedGenre(genre);
+    setPage(1);
+  };
 
   if (loading) {
     return (
@@ -119,7 +132,7 @@ const GenrePage = () => {
               <button
                 key={genre}
                 className={`genre-filter ${selectedGenre === genre ? 'active' : ''}`}
-                onClick={() => setSelectedGenre(genre)}
+                onClick={() => handleGenreChange(genre)}
               >
                 {genre}
               </button>
@@ -127,8 +140,12 @@ const GenrePage = () => {
           </div>
         </div>
 
+        <p className="results-count" style={{color:'black'}}>
+          {total} {total === 1 ? "book" : "books"} found
+        </p>
+
         <div className="book-grid">
-          {filteredBooks.map((book) => (
+          {books.map((book) => (
             <BookCard 
             key={book._id} 
             book={book} 
@@ -140,11 +157,33 @@ const GenrePage = () => {
           ))}
         </div>
 
-        {filteredBooks.length === 0 && (
+        {books.length === 0 && (
           <div className="no-results">
             <p>No books found matching your criteria</p>
           </div>
         )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button
+              className="genre-filter"
+              onClick={() => setPage((prev) => Math.max(1, prev - 1))}
+              disabled={page <= 1}
+            >
+              Previous
+            </button>
+            <span style={{color:'black'}}>
+              Page {page} of {totalPages}
+            </span>
+            <button
+              className="genre-filter"
+              onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
+              disabled={page >= totalPages}
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
 
       <Footer />
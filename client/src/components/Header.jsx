@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
-import { FaUserCircle, FaBookMedical, FaRegEdit, FaBell } from "react-icons/fa";
+import { FaUserCircle, FaBookMedical, FaRegEdit, FaBell, FaMedal, FaClone, FaHdd, FaTrashRestore } from "react-icons/fa";
 import { FaRankingStar } from "react-icons/fa6";
 import logocat from "../assets/clublit logo.jpg";
 import "./Header.css";
@@ -129,6 +129,30 @@ const Header = () => {
                 </Link>
               )}
 
+              {isAdmin && shouldShowLink("/admin/badges") && (
+                <Link to="/admin/badges" className="nav-icon">
+                  <FaMedal size={26} title="Badges" />
+                </Link>
+              )}
+
+              {isAdmin && shouldShowLink("/admin/duplicates") && (
+                <Link to="/admin/duplicates" className="nav-icon">
+                  <FaClone size={24} title="Duplicate Books" />
+                </Link>
+              )}
+
+              {isAdmin && shouldShowLink("/admin/storage") && (
+                <Link to="/admin/storage" className="nav-icon">
+                  <FaHdd size={24} title="Storage" />
+                </Link>
+              )}
+
+              {isAdmin && shouldShowLink("/admin/trash") && (
+                <Link to="/admin/trash" className="nav-icon">
+                  <FaTrashRestore size={22} title="Trash" />
+                </Link>
+              )}
+
               <button
                 onClick={handleNotificationClick}
                 className="nav-icon"
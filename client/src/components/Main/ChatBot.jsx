@@ -96,7 +96,48 @@ const ChatBot = () => {
     }, 750);
   };
 
-  const handleQuickAction = (action) => {
+  const showSimilarBooks = async (book) => {
+    appendMessage({
+      from: "user",
+      text: `Books similar to ${book.title}`,
+      animation: "slideInRight",
+    });
+    setIsBotTyping(true);
+
+    let response;
+    try {
+      const { data } = await axios.get(
+        `http://localhost:8080/api/books/${book._id}/similar`,
+        {
+          headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+          params: { limit: 3 },
+        }
+      );
+      const books = Array.isArray(data) ? data : [];
+      response = ensureResponseShape({
+        text: books.length
+          ? `If you enjoyed **${book.title}**, you might like these:`
+          : `I couldn't find anything quite like **${book.title}** yet.`,
+        books,
+        actions: ["Recommendations", "Browse Books"],
+      });
+    } catch {
+      response = ensureResponseShape({
+        text: "I couldn't look up similar books right now. Please try again in a moment.",
+        actions: ["Recommendations", "Browse Books"],
+      });
+    }
+
+    appendMessage({ from: "bot", ...response });
+    setIsBotTyping(false);
+  };
+
+  const handleQuickAction = (action, message) => {
+    // Similar Books follows a book summary, so it can ask about that exact book
+    if (action === "Similar Books" && message?.bookSummary?._id) {
+      showSimilarBooks(message.bookSummary);
+      return;
+    }
     handleSendMessage(action);
   };
 
@@ -259,7 +300,7 @@ const ChatBot = () => {
                               key={action}
                               type="button"
                               className="action-btn"
-                              onClick={() => handleQuickAction(action)}
+                              onClick={() => handleQuickAction(action, msg)}
                             >
                               {action}
                             </button>
@@ -15,7 +15,6 @@ const adImages = [ad1, ad2, ad3];
 
 export const Homepage = () => {
   const [currentAdIndex, setCurrentAdIndex] = useState(0);
-  const [topBooks, setTopBooks] = useState([]);
   const [recommendedBooks, setRecommendedBooks] = useState([]);
   const [clubs, setClubs] = useState([]);
   const [userPreferences, setUserPreferences] = useState({});
@@ -58,26 +57,22 @@ export const Homepage = () => {
     checkSurveyStatus();
   }, [userId, token, navigate, location.state?.surveyCompleted]);
 
-  // 📚 Fetch books based on preferences
+  // 📚 Fetch personalised recommendations (refetched once the survey preferences load)
   useEffect(() => {
-    const fetchBooks = async () => {
+    const fetchRecommendations = async () => {
       try {
-        const { data } = await axios.get("http://localhost:8080/api/books", {
-          params: { genres: userPreferences?.genres?.length ? userPreferences.genres : null },
+        const { data } = await axios.get("http://localhost:8080/api/recommendations", {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { limit: 5 },
         });
-
-        if (userPreferences?.genres?.length) {
-          setRecommendedBooks(data.slice(0, 5));
-        } else {
-          setTopBooks(data.slice(0, 5));
-        }
+        setRecommendedBooks(Array.isArray(data) ? data : []);
       } catch (error) {
-        console.error("Error fetching books:", error);
+        console.error("Error fetching recommendations:", error);
       }
     };
 
-    if (userPreferences) fetchBooks();
-  }, [userPreferences]);
+    if (userPreferences && token) fetchRecommendations();
+  }, [userPreferences, token]);
 
   // 🎭 Fetch book clubs
   useEffect(() => {
@@ -169,8 +164,13 @@ export const Homepage = () => {
         </div>
         <div className="section-divider"></div>
         <div className="book-grid">
-          {(userPreferences?.genres?.length ? recommendedBooks : topBooks).map((book) => (
-            <BookCard key={book._id} book={book} userId={userId} />
+          {recommendedBooks.map((book) => (
+            <div key={book._id} className="recommendation-item">
+              <BookCard book={book} userId={userId} />
+              {book.explanation && (
+                <p className="recommendation-reason">{book.explanation}</p>
+              )}
+            </div>
           ))}
         </div>
       </section>
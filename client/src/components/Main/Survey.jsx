@@ -36,16 +36,8 @@ const Survey = () => {
 
     const fetchGenres = async () => {
       try {
-        const { data: books } = await api.get("/books");
-        const uniqueGenres = new Set();
-
-        books.forEach((book) => {
-          if (Array.isArray(book.genres)) {
-            book.genres.forEach((genre) => uniqueGenres.add(genre));
-          } else if (book.genres) {
-            uniqueGenres.add(book.genres);
-          }
-        });
+        const { data } = await api.get("/books/genres");
+        const uniqueGenres = new Set(Array.isArray(data) ? data : []);
 
         const genreList = Array.from(uniqueGenres).sort();
         setGenres(genreList.length ? genreList : DEFAULT_GENRES);
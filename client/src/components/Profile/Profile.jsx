@@ -1,9 +1,12 @@
 import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
 import axios from "axios";
 import "../Profile/Profile.css";
 import BookCard from "../BookCard";
+import Shelves from "./Shelves";
+import ReadingGoals from "./ReadingGoals";
 import Footer from "../Footer";
-import { FaUserEdit } from "react-icons/fa";
+import { FaUserEdit, FaDownload } from "react-icons/fa";
 import { IoMdLogOut } from "react-icons/io";
 import Header from "../Header";
 import { toast, ToastContainer } from "react-toastify";
@@ -13,6 +16,7 @@ import { clearAuthState, notifyAuthChange } from "../../utils/authStorage";
 const Profile = () => {
   const [userData, setUserData] = useState(null);
   const [bookHistory, setBookHistory] = useState([]);
+  const [continueReading, setContinueReading] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({ name: "", email: "", bio: "" });
   const [avatar, setAvatar] = useState(null);
@@ -20,6 +24,8 @@ const Profile = () => {
   const [favoriteBooks, setFavoriteBooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState("recents"); // For smooth transition
+  const [exportFormat, setExportFormat] = useState("md");
+  const [isExporting, setIsExporting] = useState(false);
   const token = localStorage.getItem("token");
 
   const renderBooksSection = useCallback(
@@ -60,15 +66,16 @@ const Profile = () => {
         });
         setAvatar(profileResponse.data.avatar || null);
 
-        // book history fetch:
-        if (profileResponse.data.bookHistory?.length) {
-          const bookHistoryResponse = await axios.post(
-            "http://localhost:8080/api/books/by-ids",
-            { ids: profileResponse.data.bookHistory },
-            { headers: { Authorization: `Bearer ${token}` }}
-          );
-          setBookHistory(bookHistoryResponse.data);
-        }
+        // book history comes back populated from the profile endpoint
+        setBookHistory(
+          (profileResponse.data.bookHistory || []).filter((book) => book && book._id)
+        );
+
+        const progressResponse = await axios.get("http://localhost:8080/api/progress", {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { status: "reading", limit: 5 },
+        });
+        setContinueReading(progressResponse.data);
 
         // Fetch Favorite Books
         const favoriteResponse = await axios.get("http://localhost:8080/api/users/favorites", {
@@ -125,6 +132,33 @@ const Profile = () => {
     }
   };
 
+  const handleExportAnnotations = async () => {
+    setIsExporting(true);
+    try {
+      const response = await axios.get("http://localhost:8080/api/books/annotations/export", {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format: exportFormat },
+        responseType: "blob",
+      });
+
+      const downloadUrl = window.URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = downloadUrl;
+      link.setAttribute("download", `club-lit-annotations.${exportFormat}`);
+      document.body.appendChild(link);
+      link.click();
+      setTimeout(() => {
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(downloadUrl);
+      }, 100);
+    } catch (error) {
+      console.error("Error exporting annotations:", error);
+      toast.error("Failed to export your notes");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleLogout = () => {
     clearAuthState();
     localStorage.removeItem("surveyStep");
@@ -134,6 +168,35 @@ const Profile = () => {
     window.location.href = "/login";
   };
 
+  const renderContinueReading = () => {
+    if (!continueReading.length) {
+      return <div className="empty-books">You haven't started any books yet.</div>;
+    }
+
+    return (
+      <div className="books-grid">
+        {continueReading.map((entry) => (
+          <div key={entry.book._id} className="continue-reading-item">
+            <BookCard book={entry.book} />
+            <div className="reading-progress-bar">
+              <div
+                className="reading-progress-fill"
+                style={{ width: `${entry.percent}%` }}
+              />
+            </div>
+            <div className="reading-progress-meta">
+              <span>
+                Page {entry.lastPage}
+                {entry.pageCount ? ` of ${entry.pageCount}` : ""} · {Math.round(entry.percent)}%
+              </span>
+              <span>{Math.round(entry.timeSpentSeconds / 60)} min read</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   if (!token) {
     return <p>Please log in to view your profile.</p>;
   }
@@ -151,6 +214,11 @@ const Profile = () => {
           <div className="profile-hero">
             <h2>{userData?.name || "Your Profile"}</h2>
             <p className="profile-subtitle">{userData?.email}</p>
+            {userData?.userId && (
+              <Link to={`/users/${userData.userId}`} className="profile-subtitle">
+                View public profile
+              </Link>
+            )}
           </div>
         <div className="profile-controls">
             <button onClick={handleEditToggle} className="edit-btn">
@@ -162,6 +230,21 @@ const Profile = () => {
               Log Out
             </button>
           </div>
+          <div className="export-controls">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              aria-label="Export format"
+            >
+              <option value="md">Markdown</option>
+              <option value="json">JSON</option>
+              <option value="csv">CSV</option>
+            </select>
+            <button onClick={handleExportAnnotations} className="edit-btn" disabled={isExporting}>
+              <FaDownload className="icon" />
+              {isExporting ? "Exporting..." : "Export Highlights & Bookmarks"}
+            </button>
+          </div>
           <div className="avatar-section">
             <label htmlFor="avatar" className="avatar-label">
             {avatar ? (
@@ -222,18 +305,20 @@ const Profile = () => {
             </div>
             <div className="stat">
               <div className="stat-icon">↻</div>
-              <div className="stat-value">{Math.min(bookHistory.length, 5)}</div>
-              <div className="stat-label">Recents</div>
+              <div className="stat-value">{continueReading.length}</div>
+              <div className="stat-label">In Progress</div>
             </div>
           </div>
         </div>
 
+      {!userData?.isAdmin && <ReadingGoals />}
+
       {/* Three-column Row */}
       {!userData?.isAdmin && (
       <div className="library-section">
           <div className="section-tabs">
         <button className={activeTab === "recents" ? "active" : ""} onClick={() => setActiveTab("recents")}>
-          Recents
+          Continue Reading
         </button>
         <button className={activeTab === "favorites" ? "active" : ""} onClick={() => setActiveTab("favorites")}>
           Saved Books
@@ -241,15 +326,13 @@ const Profile = () => {
         <button className={activeTab === "history" ? "active" : ""} onClick={() => setActiveTab("history")}>
           Book History
         </button>
+        <button className={activeTab === "shelves" ? "active" : ""} onClick={() => setActiveTab("shelves")}>
+          Shelves & Lists
+        </button>
       </div>
 
       <div className="books-container">
-            {activeTab === "recents" &&
-              renderBooksSection(
-                bookHistory,
-                "You haven't viewed any books recently.",
-                5
-              )}
+            {activeTab === "recents" && renderContinueReading()}
 
             {activeTab === "favorites" &&
               renderBooksSection(
@@ -262,6 +345,8 @@ const Profile = () => {
                 bookHistory,
                 "Your reading history is empty."
               )}
+
+            {activeTab === "shelves" && <Shelves />}
         </div>
       </div>
               )}
@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import Header from "../Header";
+import Footer from "../Footer";
+import { usersAPI, shelvesAPI, badgesAPI } from "../../services/api";
+import { ShelfCard } from "./SharedShelf";
+import "./Profile.css";
+import "./Shelves.css";
+
+// What other readers see of a user: name, bio and their public shelves
+const PublicProfile = () => {
+  const { userId } = useParams();
+  const [user, setUser] = useState(null);
+  const [shelves, setShelves] = useState([]);
+  const [badges, setBadges] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const [userResponse, shelvesResponse, badgesResponse] = await Promise.all([
+          usersAPI.getById(userId),
+          shelvesAPI.forUser(userId),
+          badgesAPI.forUser(userId),
+        ]);
+        setUser(userResponse.data);
+        setBadges(badgesResponse.data);
+        // Owners viewing their own page get private shelves too; show what others see
+        setShelves(shelvesResponse.data.filter((shelf) => shelf.isPublic));
+      } catch (err) {
+        console.error("Error fetching public profile:", err);
+        setError(err.response?.data?.message || err.response?.data?.error || "Profile not found");
+      }
+    };
+
+    fetchProfile();
+  }, [userId]);
+
+  return (
+    <div className="profile-page">
+      <Header />
+      <div className="profile-content">
+        {error && <div className="empty-books">{error}</div>}
+        {user && (
+          <div className="user-info-card">
+            <div className="avatar-section">
+              {user.avatar ? (
+                <img src={`http://localhost:8080${user.avatar}`} alt="Avatar" className="avatar-img" />
+              ) : (
+                <div className="avatar-placeholder" />
+              )}
+            </div>
+            <div className="profile-hero">
+              <h2>{user.UserName}</h2>
+              <p className="profile-subtitle">{user.bio || "No bio yet"}</p>
+            </div>
+          </div>
+        )}
+        {user && badges.length > 0 && (
+          <div className="library-section">
+            <h3 className="public-section-title">Badges</h3>
+            <div className="badge-list">
+              {badges.map((badge) => (
+                <span
+                  key={badge._id}
+                  className="badge-chip"
+                  title={`${badge.description} Earned ${new Date(badge.awardedAt).toLocaleDateString()}`}
+                >
+                  <span className="badge-icon">{badge.icon}</span>
+                  {badge.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {user && (
+          <div className="library-section">
+            <h3 className="public-section-title">Shelves</h3>
+            {shelves.length ? (
+              shelves.map((shelf) => <ShelfCard key={shelf._id} shelf={shelf} showShareLink />)
+            ) : (
+              <div className="empty-books">No public shelves yet.</div>
+            )}
+          </div>
+        )}
+      </div>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default PublicProfile;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { FaFire, FaTrophy, FaFlagCheckered } from "react-icons/fa";
+import { goalsAPI } from "../../services/api";
+import "./ReadingGoals.css";
+
+const MILESTONE_LABELS = {
+  goal: (n) => `${n}% of goal`,
+  streak: (n) => `${n}-day streak`,
+  books: (n) => (n === 1 ? "First book" : `${n} books`),
+};
+
+const describeMilestone = (key) => {
+  const [kind, value] = key.split("-");
+  return MILESTONE_LABELS[kind] ? MILESTONE_LABELS[kind](Number(value)) : key;
+};
+
+// Yearly "read N books" challenge, daily streak and milestones on the Profile
+const ReadingGoals = () => {
+  const [summary, setSummary] = useState(null);
+  const [target, setTarget] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    goalsAPI
+      .summary()
+      .then(({ data }) => {
+        setSummary(data);
+        setTarget(data.targetBooks ? String(data.targetBooks) : "");
+      })
+      .catch((error) => console.error("Error fetching reading goal:", error));
+  }, []);
+
+  const handleSaveTarget = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { data } = await goalsAPI.setTarget(target ? Number(target) : null, summary.year);
+      setSummary(data);
+      toast.success(data.targetBooks ? `Goal set: ${data.targetBooks} books in ${data.year}` : "Goal cleared");
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to save your goal");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!summary) return null;
+
+  return (
+    <div className="reading-goals-card">
+      <div className="reading-goals-header">
+        <h3>
+          <FaFlagCheckered className="icon" /> {summary.year} Reading Challenge
+        </h3>
+        <form className="goal-form" onSubmit={handleSaveTarget}>
+          <label htmlFor="goal-target">Books this year</label>
+          <input
+            id="goal-target"
+            type="number"
+            min="1"
+            max="1000"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="e.g. 12"
+          />
+          <button type="submit" className="edit-btn" disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save goal"}
+          </button>
+        </form>
+      </div>
+
+      {summary.targetBooks ? (
+        <>
+          <div className="goal-progress-bar">
+            <div className="goal-progress-fill" style={{ width: `${summary.percent}%` }} />
+          </div>
+          <p className="goal-progress-text">
+            {summary.booksFinished} of {summary.targetBooks} books · {summary.percent}%
+            {summary.percent < 100 && (
+              <span className={summary.onTrack ? "on-track" : "behind"}>
+                {summary.onTrack
+                  ? " · On track"
+                  : ` · ${summary.expectedByToday - summary.booksFinished} behind schedule`}
+              </span>
+            )}
+          </p>
+        </>
+      ) : (
+        <p className="goal-progress-text">
+          {summary.booksFinished} books finished so far this year. Set a goal to track your challenge.
+        </p>
+      )}
+
+      <div className="streak-row">
+        <div className="streak-stat">
+          <FaFire className={`streak-icon ${summary.currentStreak ? "lit" : ""}`} />
+          <span className="stat-value">{summary.currentStreak}</span>
+          <span className="stat-label">day streak{summary.readToday ? "" : " · read today to extend"}</span>
+        </div>
+        <div className="streak-stat">
+          <span className="stat-value">{summary.longestStreak}</span>
+          <span className="stat-label">longest streak</span>
+        </div>
+      </div>
+
+      <div className="activity-strip" aria-label="Reading activity, last 30 days">
+        {summary.recentDays.map((day) => (
+          <span
+            key={day.day}
+            className={`activity-day ${day.active ? "active" : ""}`}
+            title={`${day.day}: ${day.active ? `${day.minutes} min` : "no reading"}`}
+          />
+        ))}
+      </div>
+
+      {summary.milestones.length > 0 && (
+        <div className="milestone-list">
+          {summary.milestones.map((milestone) => (
+            <span
+              key={milestone.key}
+              className="milestone-chip"
+              title={new Date(milestone.achievedAt).toLocaleDateString()}
+            >
+              <FaTrophy /> {describeMilestone(milestone.key)}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingGoals;
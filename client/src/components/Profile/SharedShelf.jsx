@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { FaLink } from "react-icons/fa";
+import { toast, ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import Header from "../Header";
+import Footer from "../Footer";
+import { shelvesAPI, shelfShareUrl, coverUrl } from "../../services/api";
+import "./Profile.css";
+import "./Shelves.css";
+
+// Read-only shelf, shared with the public profile
+export const ShelfCard = ({ shelf, showShareLink = false }) => {
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shelfShareUrl(shelf._id));
+      toast.success("Share link copied");
+    } catch {
+      toast.info(shelfShareUrl(shelf._id));
+    }
+  };
+
+  return (
+    <section className="shelf-card">
+      <div className="shelf-header">
+        <h3>
+          <Link to={`/shelves/${shelf._id}`}>{shelf.name}</Link>
+          <span className="shelf-tab-count">{shelf.bookCount}</span>
+        </h3>
+        {showShareLink && (
+          <button className="edit-btn" onClick={handleCopyLink}>
+            <FaLink className="icon" /> Copy link
+          </button>
+        )}
+      </div>
+      {shelf.description && <p className="shelf-card-description">{shelf.description}</p>}
+      {shelf.books.length ? (
+        <ol className="shelf-covers">
+          {shelf.books.map((book) => (
+            <li key={book._id} className="shelf-cover" title={`${book.title} — ${book.author}`}>
+              <img
+                src={coverUrl(book.coverImage, "small")}
+                alt={book.title}
+                onError={(e) => (e.target.src = "/placeholder-book.jpg")}
+              />
+              <span className="shelf-book-title">{book.title}</span>
+              <span className="shelf-book-author">{book.author}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="empty-books">This shelf is empty.</div>
+      )}
+    </section>
+  );
+};
+
+// Target of a shelf's share URL; works without signing in for public shelves
+const SharedShelf = () => {
+  const { shelfId } = useParams();
+  const [shelf, setShelf] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    shelvesAPI
+      .get(shelfId)
+      .then(({ data }) => setShelf(data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load shelf"));
+  }, [shelfId]);
+
+  return (
+    <div className="profile-page">
+      <Header />
+      <div className="profile-content">
+        {error && <div className="empty-books">{error}</div>}
+        {shelf && (
+          <>
+            {shelf.owner && (
+              <p className="shelf-owner">
+                A {shelf.isPublic ? "public" : "private"} list by{" "}
+                <Link to={`/users/${shelf.owner._id}`}>{shelf.owner.UserName}</Link>
+              </p>
+            )}
+            <ShelfCard shelf={shelf} showShareLink={shelf.isPublic} />
+          </>
+        )}
+      </div>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default SharedShelf;
@@ -0,0 +1,260 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { FaArrowUp, FaArrowDown, FaTrash, FaLink, FaPlus, FaLock, FaGlobe } from "react-icons/fa";
+import { shelvesAPI, shelfShareUrl, coverUrl } from "../../services/api";
+import "./Shelves.css";
+
+const errorMessage = (error, fallback) => error.response?.data?.error || fallback;
+
+const EMPTY_FORM = { name: "", description: "", isPublic: false };
+
+// The signed-in reader's shelves: create lists, share them and arrange books
+const Shelves = () => {
+  const [shelves, setShelves] = useState([]);
+  const [activeShelfId, setActiveShelfId] = useState(null);
+  const [newShelf, setNewShelf] = useState(EMPTY_FORM);
+  const [description, setDescription] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  const activeShelf = shelves.find((shelf) => shelf._id === activeShelfId) || shelves[0];
+
+  useEffect(() => {
+    setDescription(activeShelf?.description || "");
+  }, [activeShelf?._id, activeShelf?.description]);
+
+  const replaceShelf = useCallback((updated) => {
+    setShelves((prev) => prev.map((shelf) => (shelf._id === updated._id ? updated : shelf)));
+  }, []);
+
+  const loadShelves = useCallback(async () => {
+    try {
+      const { data } = await shelvesAPI.list();
+      setShelves(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error("Error fetching shelves:", error);
+      toast.error("Failed to load your shelves");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadShelves();
+  }, [loadShelves]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newShelf.name.trim()) return;
+    try {
+      const { data } = await shelvesAPI.create(newShelf);
+      setShelves((prev) => [...prev, data]);
+      setActiveShelfId(data._id);
+      setNewShelf(EMPTY_FORM);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to create list"));
+    }
+  };
+
+  const handleUpdate = async (payload) => {
+    try {
+      const { data } = await shelvesAPI.update(activeShelf._id, payload);
+      replaceShelf(data);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update shelf"));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${activeShelf.name}"? The books stay in the library.`)) return;
+    try {
+      await shelvesAPI.remove(activeShelf._id);
+      setShelves((prev) => prev.filter((shelf) => shelf._id !== activeShelf._id));
+      setActiveShelfId(null);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete list"));
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shelfShareUrl(activeShelf._id));
+      toast.success("Share link copied");
+    } catch {
+      toast.info(shelfShareUrl(activeShelf._id));
+    }
+  };
+
+  const handleShift = (index, offset) => {
+    const ids = activeShelf.books.map((book) => book._id);
+    const target = index + offset;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+
+    shelvesAPI
+      .reorder(activeShelf._id, ids)
+      .then(({ data }) => replaceShelf(data))
+      .catch((error) => {
+        toast.error(errorMessage(error, "Failed to reorder"));
+        loadShelves();
+      });
+  };
+
+  const handleMoveTo = async (bookId, toShelfId) => {
+    if (!toShelfId) return;
+    try {
+      await shelvesAPI.moveBook(activeShelf._id, bookId, toShelfId);
+      await loadShelves();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to move book"));
+    }
+  };
+
+  const handleRemoveBook = async (bookId) => {
+    try {
+      const { data } = await shelvesAPI.removeBook(activeShelf._id, bookId);
+      replaceShelf(data);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to remove book"));
+    }
+  };
+
+  if (loading) {
+    return <div className="empty-books">Loading shelves...</div>;
+  }
+
+  return (
+    <div className="shelves-manager">
+      <aside className="shelf-sidebar">
+        {shelves.map((shelf) => (
+          <button
+            key={shelf._id}
+            className={`shelf-tab ${shelf._id === activeShelf?._id ? "active" : ""}`}
+            onClick={() => setActiveShelfId(shelf._id)}
+          >
+            {shelf.isPublic ? <FaGlobe /> : <FaLock />}
+            <span className="shelf-tab-name">{shelf.name}</span>
+            <span className="shelf-tab-count">{shelf.bookCount}</span>
+          </button>
+        ))}
+
+        <form className="shelf-create" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={newShelf.name}
+            onChange={(e) => setNewShelf({ ...newShelf, name: e.target.value })}
+            placeholder="New list name"
+            maxLength={80}
+          />
+          <label className="shelf-public-toggle">
+            <input
+              type="checkbox"
+              checked={newShelf.isPublic}
+              onChange={(e) => setNewShelf({ ...newShelf, isPublic: e.target.checked })}
+            />
+            Public
+          </label>
+          <button type="submit" className="edit-btn" disabled={!newShelf.name.trim()}>
+            <FaPlus className="icon" /> Create list
+          </button>
+        </form>
+      </aside>
+
+      {activeShelf && (
+        <section className="shelf-detail">
+          <div className="shelf-header">
+            <h3>{activeShelf.name}</h3>
+            <div className="shelf-actions">
+              <label className="shelf-public-toggle">
+                <input
+                  type="checkbox"
+                  checked={activeShelf.isPublic}
+                  onChange={(e) => handleUpdate({ isPublic: e.target.checked })}
+                />
+                Public
+              </label>
+              {activeShelf.isPublic && (
+                <button className="edit-btn" onClick={handleCopyLink}>
+                  <FaLink className="icon" /> Copy link
+                </button>
+              )}
+              {!activeShelf.isDefault && (
+                <button className="logout-btn" onClick={handleDelete}>
+                  <FaTrash className="icon" /> Delete
+                </button>
+              )}
+            </div>
+          </div>
+
+          <textarea
+            className="shelf-description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            onBlur={() =>
+              description !== activeShelf.description && handleUpdate({ description })
+            }
+            placeholder="Add a description (optional)"
+            maxLength={500}
+            rows={2}
+          />
+
+          {activeShelf.books.length ? (
+            <ol className="shelf-books">
+              {activeShelf.books.map((book, index) => (
+                <li key={book._id} className="shelf-book">
+                  <img
+                    src={coverUrl(book.coverImage, "small")}
+                    alt={book.title}
+                    onError={(e) => (e.target.src = "/placeholder-book.jpg")}
+                  />
+                  <div className="shelf-book-info">
+                    <span className="shelf-book-title">{book.title}</span>
+                    <span className="shelf-book-author">{book.author}</span>
+                  </div>
+                  <div className="shelf-book-controls">
+                    <button
+                      onClick={() => handleShift(index, -1)}
+                      disabled={index === 0}
+                      aria-label="Move up"
+                    >
+                      <FaArrowUp />
+                    </button>
+                    <button
+                      onClick={() => handleShift(index, 1)}
+                      disabled={index === activeShelf.books.length - 1}
+                      aria-label="Move down"
+                    >
+                      <FaArrowDown />
+                    </button>
+                    <select
+                      value=""
+                      onChange={(e) => handleMoveTo(book._id, e.target.value)}
+                      aria-label="Move to shelf"
+                    >
+                      <option value="">Move to…</option>
+                      {shelves
+                        .filter((shelf) => shelf._id !== activeShelf._id)
+                        .map((shelf) => (
+                          <option key={shelf._id} value={shelf._id}>
+                            {shelf.name}
+                          </option>
+                        ))}
+                    </select>
+                    <button onClick={() => handleRemoveBook(book._id)} aria-label="Remove from shelf">
+                      <FaTrash />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div className="empty-books">
+              Nothing here yet. Add books from a book's details with "Add to shelf".
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Shelves;
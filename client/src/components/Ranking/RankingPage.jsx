@@ -14,16 +14,21 @@ const TAB_CONFIG = [
     label: "Most Visited Books",
     description: (book) => `Reads: ${book.reads ?? 0}`,
   },
+  {
+    key: "reads",
+    label: "Most Read Books",
+    description: (book) => `Readers: ${book.readerCount ?? 0}`,
+  },
   {
     key: "highest-rated",
     label: "Highest Rated Books",
     description: (book) =>
-      `Rating: ${(book.averageRating ?? 0).toFixed(1)} ★ (${book.ratingCount ?? 0} ratings)`,
+      `Weighted: ${(book.weightedRating ?? 0).toFixed(2)} · Average: ${(book.averageRating ?? 0).toFixed(1)} ★ (${book.ratingCount ?? 0} ratings)`,
   },
   {
     key: "most-discussed",
     label: "Most Discussed Books",
-    description: (book) => `Comments: ${book.commentCount ?? 0}`,
+    description: (book) => `Reviews: ${book.commentCount ?? 0}`,
   },
   {
     key: "most-members",
@@ -40,6 +45,8 @@ const endpointForTab = (key) => {
   switch (key) {
     case "most-visited":
       return "/books/rankings/most-visited";
+    case "reads":
+      return "/books/rankings/reads";
     case "highest-rated":
       return "/books/rankings/highest-rated";
     case "most-discussed":
@@ -169,9 +176,11 @@ const RankingPage = () => {
               onChange={setTimeRange}
               style={{ width: 140 }}
             >
+              <Select.Option value="daily">Daily</Select.Option>
               <Select.Option value="weekly">Weekly</Select.Option>
               <Select.Option value="monthly">Monthly</Select.Option>
               <Select.Option value="yearly">Yearly</Select.Option>
+              <Select.Option value="all">All Time</Select.Option>
             </Select>
           </div>
 
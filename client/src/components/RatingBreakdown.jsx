@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from "react";
+import { booksAPI } from "../services/api";
+import "./RatingBreakdown.css";
+
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 60;
+
+// The average as it stood at the end of each month, scaled to 0-5 stars
+const TrendLine = ({ history }) => {
+  if (history.length < 2) return null;
+
+  const step = CHART_WIDTH / (history.length - 1);
+  const points = history
+    .map((entry, index) => {
+      const y = CHART_HEIGHT - (entry.cumulativeAverage / 5) * CHART_HEIGHT;
+      return `${(index * step).toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  return (
+    <div className="rating-trend">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label="Average rating over time">
+        <polyline points={points} />
+      </svg>
+      <div className="rating-trend-labels">
+        <span>{history[0].period}</span>
+        <span>{history[history.length - 1].period}</span>
+      </div>
+    </div>
+  );
+};
+
+// Star histogram and weighted score. `ratingCount` is only used to refetch
+// after the reader rates.
+const RatingBreakdown = ({ bookId, ratingCount }) => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    booksAPI
+      .ratingStats(bookId)
+      .then(({ data }) => setStats(data))
+      .catch((error) => console.error("Error fetching rating stats:", error));
+  }, [bookId, ratingCount]);
+
+  if (!stats || !stats.ratingCount) return null;
+
+  return (
+    <div className="rating-breakdown">
+      <p
+        className="weighted-rating"
+        title={`Blends this book's ratings with the library average of ${stats.prior.mean} as if it had ${stats.prior.weight} extra ratings`}
+      >
+        Weighted score: <strong>{stats.weightedRating.toFixed(2)}</strong>
+      </p>
+      <ul className="rating-histogram">
+        {[...stats.distribution].reverse().map(({ stars, count, percent }) => (
+          <li key={stars}>
+            <span className="histogram-label">{stars} ★</span>
+            <span className="histogram-bar">
+              <span className="histogram-fill" style={{ width: `${percent}%` }} />
+            </span>
+            <span className="histogram-count">{count}</span>
+          </li>
+        ))}
+      </ul>
+      <TrendLine history={stats.history} />
+    </div>
+  );
+};
+
+export default RatingBreakdown;
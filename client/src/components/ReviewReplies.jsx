@@ -0,0 +1,243 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { FaUser, FaReply, FaEdit, FaTrash, FaRegSmile } from "react-icons/fa";
+import { toast } from "react-toastify";
+import { reviewsAPI } from "../services/api";
+
+// Must match ReviewReaction.EMOJIS on the server
+const EMOJIS = ["👍", "❤️", "😂", "😮", "😢", "🔥"];
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+// Existing reactions as toggles, plus a picker for the rest
+export const ReactionBar = ({ reactions, onReact }) => {
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+
+  const pick = (emoji) => {
+    setIsPickerOpen(false);
+    onReact(emoji);
+  };
+
+  return (
+    <div className="reaction-bar">
+      {reactions.map(({ emoji, count, mine }) => (
+        <button key={emoji} className={`reaction-chip ${mine ? "mine" : ""}`} onClick={() => onReact(emoji)}>
+          {emoji} {count}
+        </button>
+      ))}
+      <div className="reaction-picker-wrapper">
+        <button className="reaction-add" onClick={() => setIsPickerOpen((open) => !open)} title="Add reaction">
+          <FaRegSmile />
+        </button>
+        {isPickerOpen && (
+          <div className="reaction-picker">
+            {EMOJIS.map((emoji) => (
+              <button key={emoji} onClick={() => pick(emoji)}>
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ReplyForm = ({ initialText = "", submitLabel, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!text.trim()) return;
+    setIsSaving(true);
+    const saved = await onSubmit(text);
+    setIsSaving(false);
+    if (saved) setText("");
+  };
+
+  return (
+    <div className="reply-form">
+      <textarea value={text} onChange={(e) => setText(e.target.value)} rows="2" maxLength={2000} placeholder="Write a reply..." />
+      <div className="review-form-actions">
+        <button className="submit-comment" onClick={handleSubmit} disabled={!text.trim() || isSaving}>
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button className="review-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ReplyNode = ({ reply, maxDepth, userId, onReply, onEdit, onDelete, onReact }) => {
+  const [mode, setMode] = useState(null); // "reply" | "edit" | null
+  const isOwn = reply.user?._id === userId;
+
+  const submitReply = async (text) => {
+    const saved = await onReply(text, reply._id);
+    if (saved) setMode(null);
+    return saved;
+  };
+
+  const submitEdit = async (text) => {
+    const saved = await onEdit(reply._id, text);
+    if (saved) setMode(null);
+    return saved;
+  };
+
+  return (
+    <li className="reply-node">
+      {reply.deleted ? (
+        <p className="reply-deleted">This comment was deleted.</p>
+      ) : (
+        <>
+          <div className="reply-header">
+            {reply.user?.avatar ? (
+              <img src={`http://localhost:8080${reply.user.avatar}`} alt="Profile" className="reply-avatar" />
+            ) : (
+              <FaUser className="reply-avatar" />
+            )}
+            <span className="username">{reply.user?.UserName || "Anonymous"}</span>
+            <span className="comment-time">
+              {new Date(reply.createdAt).toLocaleDateString()}
+              {reply.editedAt && " (edited)"}
+            </span>
+          </div>
+          {mode === "edit" ? (
+            <ReplyForm initialText={reply.text} submitLabel="Save" onSubmit={submitEdit} onCancel={() => setMode(null)} />
+          ) : (
+            <p className="reply-text">{reply.text}</p>
+          )}
+          <div className="review-actions">
+            <ReactionBar reactions={reply.reactions} onReact={(emoji) => onReact(reply._id, emoji)} />
+            {reply.depth < maxDepth && (
+              <button onClick={() => setMode(mode === "reply" ? null : "reply")}>
+                <FaReply /> Reply
+              </button>
+            )}
+            {isOwn && (
+              <>
+                <button onClick={() => setMode(mode === "edit" ? null : "edit")}><FaEdit /> Edit</button>
+                <button onClick={() => onDelete(reply._id)}><FaTrash /> Delete</button>
+              </>
+            )}
+          </div>
+          {mode === "reply" && (
+            <ReplyForm submitLabel="Reply" onSubmit={submitReply} onCancel={() => setMode(null)} />
+          )}
+        </>
+      )}
+      {reply.replies.length > 0 && (
+        <ul className="reply-list">
+          {reply.replies.map((child) => (
+            <ReplyNode
+              key={child._id}
+              reply={child}
+              maxDepth={maxDepth}
+              userId={userId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReact={onReact}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// The discussion under one review. `onCountChange` keeps the review's reply
+// count in step as replies come and go.
+const ReviewReplies = ({ reviewId, onCountChange }) => {
+  const userId = localStorage.getItem("userId");
+  const [replies, setReplies] = useState([]);
+  const [maxDepth, setMaxDepth] = useState(3);
+  // Read through a ref so an inline callback doesn't refetch on every render
+  const onCountChangeRef = useRef(onCountChange);
+  onCountChangeRef.current = onCountChange;
+
+  const fetchReplies = useCallback(async () => {
+    try {
+      const { data } = await reviewsAPI.replies(reviewId);
+      setReplies(data.replies);
+      setMaxDepth(data.maxDepth);
+      onCountChangeRef.current?.(data.total);
+    } catch (error) {
+      console.error("Error fetching replies:", error);
+    }
+  }, [reviewId]);
+
+  useEffect(() => {
+    fetchReplies();
+  }, [fetchReplies]);
+
+  const handleReply = async (text, parentId) => {
+    try {
+      await reviewsAPI.reply(reviewId, text, parentId);
+      fetchReplies();
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to post reply"));
+      return false;
+    }
+  };
+
+  const handleEdit = async (replyId, text) => {
+    try {
+      await reviewsAPI.updateReply(replyId, text);
+      fetchReplies();
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update reply"));
+      return false;
+    }
+  };
+
+  const handleDelete = async (replyId) => {
+    if (!window.confirm("Delete this reply?")) return;
+
+    try {
+      await reviewsAPI.removeReply(replyId);
+      fetchReplies();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete reply"));
+    }
+  };
+
+  const handleReact = async (replyId, emoji) => {
+    try {
+      await reviewsAPI.reactToReply(replyId, emoji);
+      fetchReplies();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update reaction"));
+    }
+  };
+
+  return (
+    <div className="review-replies">
+      {replies.length > 0 && (
+        <ul className="reply-list">
+          {replies.map((reply) => (
+            <ReplyNode
+              key={reply._id}
+              reply={reply}
+              maxDepth={maxDepth}
+              userId={userId}
+              onReply={handleReply}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+              onReact={handleReact}
+            />
+          ))}
+        </ul>
+      )}
+      <ReplyForm submitLabel="Reply" onSubmit={(text) => handleReply(text)} />
+    </div>
+  );
+};
+
+export default ReviewReplies;
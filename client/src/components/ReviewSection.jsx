@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { FaUser, FaRegCommentDots, FaThumbsUp, FaThumbsDown, FaEdit, FaTrash, FaComments } from "react-icons/fa";
+import { toast } from "react-toastify";
+import { reviewsAPI } from "../services/api";
+import ReviewReplies, { ReactionBar } from "./ReviewReplies";
+import "./ReviewSection.css";
+
+const PAGE_SIZE = 10;
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+// Reviews for one book: the reader's own review form, votes, spoilers and paging.
+// `userRating` is passed in so the list refreshes when the reader re-rates,
+// since reviews display the reviewer's current rating.
+const ReviewSection = ({ bookId, userRating }) => {
+  const userId = localStorage.getItem("userId");
+  const [reviews, setReviews] = useState([]);
+  const [userReview, setUserReview] = useState(null);
+  const [sort, setSort] = useState("helpful");
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [text, setText] = useState("");
+  const [spoiler, setSpoiler] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [revealed, setRevealed] = useState(() => new Set());
+  const [openThreads, setOpenThreads] = useState(() => new Set());
+
+  const fetchReviews = useCallback(
+    async (pageToLoad = 1) => {
+      try {
+        const { data } = await reviewsAPI.forBook(bookId, { sort, page: pageToLoad, limit: PAGE_SIZE });
+        setReviews((prev) => (pageToLoad === 1 ? data.reviews : [...prev, ...data.reviews]));
+        setUserReview(data.userReview);
+        setPage(data.page);
+        setTotalPages(data.totalPages);
+        setTotal(data.total);
+      } catch (error) {
+        console.error("Error fetching reviews:", error);
+      }
+    },
+    [bookId, sort]
+  );
+
+  useEffect(() => {
+    fetchReviews(1);
+  }, [fetchReviews, userRating]);
+
+  const resetForm = () => {
+    setText("");
+    setSpoiler(false);
+    setIsEditing(false);
+  };
+
+  const handleSubmit = async () => {
+    if (!text.trim()) return;
+
+    try {
+      setIsSaving(true);
+      if (isEditing && userReview) {
+        await reviewsAPI.update(userReview._id, { text, spoiler });
+        toast.success("Review updated");
+      } else {
+        await reviewsAPI.create(bookId, { text, spoiler });
+        toast.success("Review posted");
+      }
+      resetForm();
+      fetchReviews(1);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to save review"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (review) => {
+    setText(review.text);
+    setSpoiler(review.spoiler);
+    setIsEditing(true);
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm("Delete your review? Your rating will be kept.")) return;
+
+    try {
+      await reviewsAPI.remove(review._id);
+      resetForm();
+      fetchReviews(1);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete review"));
+    }
+  };
+
+  const updateReview = (reviewId, changes) =>
+    setReviews((prev) => prev.map((entry) => (entry._id === reviewId ? { ...entry, ...changes } : entry)));
+
+  const handleVote = async (review, vote) => {
+    try {
+      const { data } = await reviewsAPI.vote(review._id, review.myVote === vote ? null : vote);
+      updateReview(review._id, data);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to record vote"));
+    }
+  };
+
+  const handleReact = async (review, emoji) => {
+    try {
+      const { data } = await reviewsAPI.react(review._id, emoji);
+      updateReview(review._id, data);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update reaction"));
+    }
+  };
+
+  const toggleThread = (reviewId) =>
+    setOpenThreads((prev) => {
+      const next = new Set(prev);
+      if (next.has(reviewId)) next.delete(reviewId);
+      else next.add(reviewId);
+      return next;
+    });
+
+  const reveal = (reviewId) => setRevealed((prev) => new Set(prev).add(reviewId));
+
+  const showForm = !userReview || isEditing;
+
+  return (
+    <div className="comments-section review-section">
+      <h3><FaRegCommentDots /> Reviews ({total})</h3>
+
+      {showForm && (
+        <div className="comment-input">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={userRating === null ? "Share your thoughts... (rate the book above to add your score)" : "Share your thoughts..."}
+            rows="3"
+            maxLength={5000}
+          />
+          <label className="spoiler-checkbox">
+            <input type="checkbox" checked={spoiler} onChange={(e) => setSpoiler(e.target.checked)} />
+            Contains spoilers
+          </label>
+          <div className="review-form-actions">
+            <button className="submit-comment" onClick={handleSubmit} disabled={!text.trim() || isSaving}>
+              {isEditing ? "Save Changes" : "Post Review"}
+            </button>
+            {isEditing && (
+              <button className="review-cancel" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {total > 1 && (
+        <div className="review-sort">
+          <label htmlFor={`review-sort-${bookId}`}>Sort by</label>
+          <select id={`review-sort-${bookId}`} value={sort} onChange={(e) => setSort(e.target.value)}>
+            <option value="helpful">Most helpful</option>
+            <option value="recent">Most recent</option>
+          </select>
+        </div>
+      )}
+
+      <div className="comments-list">
+        {reviews.map((review) => {
+          const isOwn = review.user?._id === userId;
+          const hidden = review.spoiler && !isOwn && !revealed.has(review._id);
+
+          return (
+            <div key={review._id} className="comment-card">
+              <div className="user-info">
+                {review.user?.avatar ? (
+                  <img
+                    src={`http://localhost:8080${review.user.avatar}`}
+                    alt="Profile"
+                    className="user-avatar"
+                    style={{ width: '50px', height: '50px' }}
+                  />
+                ) : (
+                  <FaUser className="user-avatar" style={{ fontSize: '16px' }} />
+                )}
+                <div className="user-details">
+                  <span className="username">{review.user?.UserName || 'Anonymous'}</span>
+                  {review.rating !== null && (
+                    <span className="review-stars" title={`${review.rating} stars`}>
+                      {[...Array(5)].map((_, i) => (
+                        <span key={i} className={`star ${i < review.rating ? 'filled' : ''}`}>★</span>
+                      ))}
+                    </span>
+                  )}
+                </div>
+                <span className="comment-time">
+                  {new Date(review.createdAt).toLocaleDateString()}
+                  {review.editedAt && " (edited)"}
+                </span>
+              </div>
+
+              {hidden ? (
+                <button className="spoiler-toggle" onClick={() => reveal(review._id)}>
+                  This review contains spoilers. Show it anyway
+                </button>
+              ) : (
+                <p style={{ color: 'black' }} className="comment-text">
+                  {review.spoiler && <span className="spoiler-tag">Spoiler</span>}
+                  {review.text}
+                </p>
+              )}
+
+              <div className="review-actions">
+                <ReactionBar reactions={review.reactions} onReact={(emoji) => handleReact(review, emoji)} />
+                <button onClick={() => toggleThread(review._id)}>
+                  <FaComments /> {openThreads.has(review._id) ? "Hide replies" : `Replies (${review.replyCount})`}
+                </button>
+                {isOwn ? (
+                  <>
+                    <button onClick={() => startEditing(review)}><FaEdit /> Edit</button>
+                    <button onClick={() => handleDelete(review)}><FaTrash /> Delete</button>
+                  </>
+                ) : (
+                  <>
+                    <span className="review-helpful-label">Helpful?</span>
+                    <button
+                      className={review.myVote === "helpful" ? "active" : ""}
+                      onClick={() => handleVote(review, "helpful")}
+                      title="Helpful"
+                    >
+                      <FaThumbsUp /> {review.helpfulCount}
+                    </button>
+                    <button
+                      className={review.myVote === "unhelpful" ? "active" : ""}
+                      onClick={() => handleVote(review, "unhelpful")}
+                      title="Not helpful"
+                    >
+                      <FaThumbsDown /> {review.unhelpfulCount}
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {openThreads.has(review._id) && (
+                <ReviewReplies
+                  reviewId={review._id}
+                  onCountChange={(replyCount) => updateReview(review._id, { replyCount })}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {page < totalPages && (
+        <button className="review-load-more" onClick={() => fetchReviews(page + 1)}>
+          Show more reviews
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReviewSection;
@@ -6,6 +6,9 @@ import styled, { keyframes } from 'styled-components';
 import { FiUploadCloud, FiImage, FiFileText, FiX  } from 'react-icons/fi';
 import Header from "../../src/components/Header";
 import Footer from "../components/Footer";
+import BulkImport from "../components/BulkImport";
+import { ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
 
 const fadeIn = keyframes`
   from { opacity: 0; transform: translateY(20px); }
@@ -169,6 +172,10 @@ const PreviewItem = styled.div`
   gap: 0.5rem;
 `;
 
+const isEpub = (file) =>
+  Boolean(file) &&
+  (file.type === 'application/epub+zip' || /\.epub$/i.test(file.name || ''));
+
 const Admin = () => {
   const [formData, setFormData] = useState({
     title: '',
@@ -178,37 +185,44 @@ const Admin = () => {
   });
   const [files, setFiles] = useState({
     coverImage: null,
-    bookPdf: null
+    bookFile: null
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
 
   const onDrop = useCallback((acceptedFiles) => {
     const image = acceptedFiles.find(f => f.type.startsWith('image/'));
-    const pdf = acceptedFiles.find(f => f.type === 'application/pdf');
+    const bookFile = acceptedFiles.find(f => f.type === 'application/pdf' || isEpub(f));
 
-    if (!image || !pdf) {
-      setError('Please upload both a cover image and PDF file');
+    if (!bookFile) {
+      setError('Please upload a PDF or EPUB file');
       return;
     }
 
+    // The cover is optional: EPUBs usually carry their own, and the server
+    // renders the first page of a PDF when none is given
     setFiles({
-      coverImage: Object.assign(image, { preview: URL.createObjectURL(image) }),
-      bookPdf: pdf
+      coverImage: image
+        ? Object.assign(image, { preview: URL.createObjectURL(image) })
+        : null,
+      bookFile
     });
     setError('');
   }, []);
 
+  const isEpubUpload = isEpub(files.bookFile);
+
   const { getRootProps, getInputProps, isDragActive, isDragAccept } = useDropzone({
     onDrop,
     accept: {
       'image/*': ['.jpeg', '.jpg', '.png'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'application/epub+zip': ['.epub']
     },
     multiple: true,
     maxFiles: 2,
     validator: file => {
-      if (!file.type.match(/(image\/.*|application\/pdf)/)) {
+      if (!file.type.match(/(image\/.*|application\/pdf)/) && !isEpub(file)) {
         return 'Invalid file type';
       }
       return null;
@@ -231,19 +245,20 @@ const Admin = () => {
   };
 
   // Frontend: AdminDashboard.jsx (Enhanced Error Handling)
-const handleSubmit = async (e) => {
-  e.preventDefault();
+const handleSubmit = async (e, allowDuplicate = false) => {
+  e?.preventDefault();
   setIsSubmitting(true);
   setError('');
 
   try {
-    // Validate form data before submission
-    if (!formData.title || !formData.author || !formData.description || formData.genres.length === 0) {
+    // Validate form data before submission. EPUB metadata fills in
+    // whatever is left blank on the server.
+    if (!isEpubUpload && (!formData.title || !formData.author || !formData.description || formData.genres.length === 0)) {
       throw new Error('All fields are required');
     }
 
-    if (!files.coverImage || !files.bookPdf) {
-      throw new Error('Please upload both cover image and PDF file');
+    if (!files.bookFile) {
+      throw new Error('Please upload a PDF or EPUB file');
     }
 
     const data = new FormData();
@@ -251,8 +266,13 @@ const handleSubmit = async (e) => {
     data.append('author', formData.author);
     data.append('description', formData.description);
     data.append('genres', JSON.stringify(formData.genres));
-    data.append('coverImage', files.coverImage);
-    data.append('bookPdf', files.bookPdf);
+    if (files.coverImage) {
+      data.append('coverImage', files.coverImage);
+    }
+    data.append(isEpubUpload ? 'bookEpub' : 'bookPdf', files.bookFile);
+    if (allowDuplicate) {
+      data.append('allowDuplicate', 'true');
+    }
 
     const response = await axios.post('http://localhost:8080/api/books/books', data, {
       headers: { 
@@ -264,11 +284,24 @@ const handleSubmit = async (e) => {
 
     if (response.status === 201) {
       setFormData({ title: '', author: '', description: '', genres: [] });
-      setFiles({ coverImage: null, bookPdf: null });
+      setFiles({ coverImage: null, bookFile: null });
       alert('Book uploaded successfully!');
     }
   } catch (err) {
+    // The server found a likely copy already in the library; let the admin decide
+    const duplicates = err.response?.status === 409 ? err.response.data.duplicates : null;
+    if (duplicates?.length) {
+      const list = duplicates
+        .map(book => `• ${book.title} by ${book.author} (${book.reason === 'same-file' ? 'same file' : 'same title and author'})`)
+        .join('\n');
+      if (window.confirm(`This book looks like one already in the library:\n${list}\n\nUpload it anyway?`)) {
+        await handleSubmit(null, true);
+        return;
+      }
+    }
+
     const errorMessage = err.response?.data?.error ||
+      err.response?.data?.message ||
       err.message ||
       'Upload failed. Please check your connection and try again.';
     
@@ -299,7 +332,7 @@ const handleSubmit = async (e) => {
             </div>
             <p>Drag & drop files here, or click to select</p>
             <p style={{ opacity: 0.8, fontSize: '0.9rem' }}>
-              (One cover image and one PDF file)
+              (A PDF or EPUB, plus an optional cover image; without one the first page is used)
             </p>
           </DropZone>
 
@@ -313,10 +346,10 @@ const handleSubmit = async (e) => {
                 <FiX onClick={() => setFiles(prev => ({ ...prev, coverImage: null }))} />
               </PreviewItem>
             )}<br></br>
-            {files.bookPdf && (
+            {files.bookFile && (
               <PreviewItem>
                 <FiFileText />
-                <span>{files.bookPdf.name}</span>
+                <span>{files.bookFile.name}</span>
               </PreviewItem>
             )}
           </FilePreview>
@@ -327,7 +360,7 @@ const handleSubmit = async (e) => {
               placeholder="Book Title"
               value={formData.title}
               onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-              required
+              required={!isEpubUpload}
             />
           </FormGroup>
 
@@ -337,7 +370,7 @@ const handleSubmit = async (e) => {
               placeholder="Author"
               value={formData.author}
               onChange={(e) => setFormData({ ...formData, author: e.target.value })}
-              required
+              required={!isEpubUpload}
             />
           </FormGroup>
 
@@ -348,7 +381,7 @@ const handleSubmit = async (e) => {
               rows="4"
               value={formData.description}
               onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-              required
+              required={!isEpubUpload}
             />
           </FormGroup>
 
@@ -381,7 +414,9 @@ const handleSubmit = async (e) => {
           </SubmitButton>
         </form>
       </UploadCard>
+      <BulkImport />
     </DashboardContainer>
+    <ToastContainer position="top-center" autoClose={3000} />
     <Footer/>
     </div>
   );
@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast, ToastContainer } from "react-toastify";
+import Header from "../components/Header";
+import Footer from "../components/Footer";
+import { badgesAPI } from "../services/api";
+import "./AdminBadgesPage.css";
+import "react-toastify/dist/ReactToastify.css";
+
+const EMPTY_FORM = { name: "", description: "", icon: "🏅", metric: "", threshold: 1 };
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+const AdminBadgesPage = () => {
+  const [badges, setBadges] = useState([]);
+  const [metrics, setMetrics] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchBadges = useCallback(async () => {
+    try {
+      const [badgesResponse, metricsResponse] = await Promise.all([
+        badgesAPI.list(),
+        badgesAPI.metrics(),
+      ]);
+      setBadges(badgesResponse.data);
+      setMetrics(metricsResponse.data);
+    } catch (error) {
+      console.error("Error fetching badges:", error);
+      toast.error(errorMessage(error, "Failed to load badges"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBadges();
+  }, [fetchBadges]);
+
+  const metricLabel = (key) => metrics.find((metric) => metric.key === key)?.label || key;
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const payload = { ...form, threshold: Number(form.threshold) };
+
+    try {
+      if (editingId) {
+        await badgesAPI.update(editingId, payload);
+        toast.success("Badge updated");
+      } else {
+        await badgesAPI.create(payload);
+        toast.success("Badge created");
+      }
+      resetForm();
+      fetchBadges();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to save badge"));
+    }
+  };
+
+  const startEditing = (badge) => {
+    setEditingId(badge._id);
+    setForm({
+      name: badge.name,
+      description: badge.description,
+      icon: badge.icon,
+      metric: badge.metric,
+      threshold: badge.threshold,
+    });
+  };
+
+  const toggleActive = async (badge) => {
+    try {
+      await badgesAPI.update(badge._id, { active: !badge.active });
+      fetchBadges();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update badge"));
+    }
+  };
+
+  const handleBackfill = async (badge) => {
+    try {
+      const { data } = await badgesAPI.backfill(badge._id);
+      toast.success(`Awarded "${badge.name}" to ${data.awarded} reader(s)`);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to award badge"));
+    }
+  };
+
+  const handleDelete = async (badge) => {
+    if (!window.confirm(`Delete "${badge.name}"? Readers who earned it will lose it.`)) return;
+
+    try {
+      await badgesAPI.remove(badge._id);
+      if (editingId === badge._id) resetForm();
+      fetchBadges();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete badge"));
+    }
+  };
+
+  return (
+    <div className="admin-badges-page">
+      <Header />
+      <main className="admin-badges-content">
+        <h1>Badges</h1>
+
+        <form className="badge-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? "Edit badge" : "New badge"}</h3>
+          <div className="badge-form-row">
+            <input
+              name="icon"
+              value={form.icon}
+              onChange={handleChange}
+              maxLength={8}
+              className="badge-icon-input"
+              aria-label="Icon"
+            />
+            <input
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="Badge name"
+              maxLength={60}
+              required
+            />
+          </div>
+          <textarea
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            placeholder="What the reader did to earn it"
+            maxLength={240}
+          />
+          <div className="badge-form-row">
+            <select name="metric" value={form.metric} onChange={handleChange} required>
+              <option value="" disabled>
+                Awarded for...
+              </option>
+              {metrics.map((metric) => (
+                <option key={metric.key} value={metric.key}>
+                  {metric.label}
+                </option>
+              ))}
+            </select>
+            <label>
+              at least
+              <input
+                type="number"
+                name="threshold"
+                min={1}
+                value={form.threshold}
+                onChange={handleChange}
+                required
+              />
+            </label>
+          </div>
+          <div className="badge-form-row">
+            <button type="submit">{editingId ? "Save" : "Create"}</button>
+            {editingId && (
+              <button type="button" className="secondary" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {loading ? (
+          <p>Loading badges...</p>
+        ) : (
+          <ul className="badge-admin-list">
+            {badges.map((badge) => (
+              <li key={badge._id} className={badge.active ? "" : "inactive"}>
+                <span className="badge-admin-icon">{badge.icon}</span>
+                <div className="badge-admin-info">
+                  <strong>{badge.name}</strong>
+                  {!badge.active && <span className="badge-inactive-tag">Inactive</span>}
+                  <p>{badge.description}</p>
+                  <small>
+                    {metricLabel(badge.metric)} ≥ {badge.threshold}
+                  </small>
+                </div>
+                <div className="badge-admin-actions">
+                  <button type="button" onClick={() => startEditing(badge)}>
+                    Edit
+                  </button>
+                  <button type="button" onClick={() => toggleActive(badge)}>
+                    {badge.active ? "Deactivate" : "Activate"}
+                  </button>
+                  {badge.active && (
+                    <button type="button" onClick={() => handleBackfill(badge)}>
+                      Award to qualifying readers
+                    </button>
+                  )}
+                  <button type="button" className="danger" onClick={() => handleDelete(badge)}>
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default AdminBadgesPage;
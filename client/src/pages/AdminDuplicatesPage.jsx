@@ -0,0 +1,133 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast, ToastContainer } from "react-toastify";
+import Header from "../components/Header";
+import Footer from "../components/Footer";
+import { adminAPI, coverUrl } from "../services/api";
+import "./AdminDuplicatesPage.css";
+import "react-toastify/dist/ReactToastify.css";
+
+const REASON_LABELS = {
+  "same-file": "Same file",
+  "same-title-author": "Same title and author",
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+const AdminDuplicatesPage = () => {
+  const [groups, setGroups] = useState([]);
+  // Which book each group keeps, keyed by the group's first book id
+  const [keep, setKeep] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [mergingGroup, setMergingGroup] = useState(null);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      const { data } = await adminAPI.duplicateBooks();
+      setGroups(data.groups);
+    } catch (error) {
+      console.error("Error fetching duplicates:", error);
+      toast.error(errorMessage(error, "Failed to load duplicates"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups]);
+
+  const handleMerge = async (group) => {
+    const groupKey = group.books[0]._id;
+    // The oldest copy is kept unless the admin picks another
+    const targetId = keep[groupKey] || groupKey;
+    const target = group.books.find((book) => book._id === targetId);
+    const duplicateIds = group.books.filter((book) => book._id !== targetId).map((book) => book._id);
+
+    const confirmed = window.confirm(
+      `Keep "${target.title}" and merge ${duplicateIds.length} other cop${duplicateIds.length === 1 ? "y" : "ies"} into it? ` +
+        "Ratings, reviews, progress and shelves move to the kept book and the others are deleted."
+    );
+    if (!confirmed) return;
+
+    try {
+      setMergingGroup(groupKey);
+      await adminAPI.mergeBooks(targetId, duplicateIds);
+      toast.success(`Merged into "${target.title}"`);
+      fetchGroups();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to merge books"));
+    } finally {
+      setMergingGroup(null);
+    }
+  };
+
+  return (
+    <div className="admin-duplicates-page">
+      <Header />
+      <main className="admin-duplicates-content">
+        <h1>Duplicate Books</h1>
+
+        {loading ? (
+          <p>Checking the library...</p>
+        ) : groups.length === 0 ? (
+          <p>No likely duplicates found.</p>
+        ) : (
+          groups.map((group) => {
+            const groupKey = group.books[0]._id;
+            const selected = keep[groupKey] || groupKey;
+
+            return (
+              <section key={groupKey} className="duplicate-group">
+                <div className="duplicate-reasons">
+                  {group.reasons.map((reason) => (
+                    <span key={reason} className="duplicate-reason">
+                      {REASON_LABELS[reason]}
+                    </span>
+                  ))}
+                </div>
+
+                <ul>
+                  {group.books.map((book) => (
+                    <li key={book._id} className={book._id === selected ? "kept" : ""}>
+                      <label>
+                        <input
+                          type="radio"
+                          name={`keep-${groupKey}`}
+                          checked={book._id === selected}
+                          onChange={() => setKeep((prev) => ({ ...prev, [groupKey]: book._id }))}
+                        />
+                        {book.coverImage && (
+                          <img src={coverUrl(book.coverImage, "small")} alt="" className="duplicate-cover" />
+                        )}
+                        <div className="duplicate-info">
+                          <strong>{book.title}</strong>
+                          <span>{book.author}</span>
+                          <small>
+                            Added {new Date(book.createdAt).toLocaleDateString()} · {(book.format || "pdf").toUpperCase()}
+                            {book.pageCount ? ` · ${book.pageCount} pages` : ""}
+                          </small>
+                          <small>
+                            {book.ratingCount || 0} ratings · {book.reviewCount} reviews · {book.reads || 0} reads
+                          </small>
+                        </div>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+
+                <button type="button" onClick={() => handleMerge(group)} disabled={mergingGroup === groupKey}>
+                  {mergingGroup === groupKey ? "Merging..." : "Merge into selected"}
+                </button>
+              </section>
+            );
+          })
+        )}
+      </main>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default AdminDuplicatesPage;
@@ -0,0 +1,127 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast, ToastContainer } from "react-toastify";
+import Header from "../components/Header";
+import Footer from "../components/Footer";
+import { adminAPI } from "../services/api";
+import "./AdminStoragePage.css";
+import "react-toastify/dist/ReactToastify.css";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const AdminStoragePage = () => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [deleting, setDeleting] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const { data } = await adminAPI.storageReport();
+      setReport(data);
+    } catch (error) {
+      console.error("Error fetching storage report:", error);
+      toast.error(errorMessage(error, "Failed to check storage"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleDelete = async () => {
+    const confirmed = window.confirm(
+      `Delete ${report.orphans.length} orphaned file${report.orphans.length === 1 ? "" : "s"} ` +
+        `(${formatSize(report.orphanBytes)})? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setDeleting(true);
+      const { data } = await adminAPI.deleteOrphanFiles(report.orphans.map((file) => file.key));
+      toast.success(`Deleted ${data.deleted.length} files, freeing ${formatSize(data.freedBytes)}`);
+      if (data.kept.length) {
+        toast.info(`${data.kept.length} files were kept because they are in use again`);
+      }
+      fetchReport();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete orphaned files"));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="admin-storage-page">
+      <Header />
+      <main className="admin-storage-content">
+        <h1>Storage</h1>
+
+        {loading ? (
+          <p>Checking stored files...</p>
+        ) : !report ? (
+          <p>Storage report unavailable.</p>
+        ) : (
+          <>
+            <p className="storage-summary">
+              {report.scanned} files in {report.driver} storage · {report.orphans.length} orphaned (
+              {formatSize(report.orphanBytes)}) · {report.missing.length} missing
+              {report.recent > 0 && ` · ${report.recent} uploaded in the last hour not checked`}
+            </p>
+
+            <section className="storage-section">
+              <div className="storage-section-header">
+                <h2>Orphaned files</h2>
+                {report.orphans.length > 0 && (
+                  <button type="button" onClick={handleDelete} disabled={deleting}>
+                    {deleting ? "Deleting..." : "Delete all"}
+                  </button>
+                )}
+              </div>
+              {report.orphans.length === 0 ? (
+                <p>No orphaned files.</p>
+              ) : (
+                <ul>
+                  {report.orphans.map((file) => (
+                    <li key={file.key}>
+                      <code>{file.key}</code>
+                      <small>
+                        {formatSize(file.size)} · {new Date(file.modifiedAt).toLocaleDateString()}
+                      </small>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section className="storage-section">
+              <h2>Missing files</h2>
+              {report.missing.length === 0 ? (
+                <p>Every referenced file is present.</p>
+              ) : (
+                <ul>
+                  {report.missing.map(({ key, referencedBy }) => (
+                    <li key={key}>
+                      <code>{key}</code>
+                      <small>
+                        {referencedBy.map((ref) => `${ref.model} ${ref.id} (${ref.field})`).join(", ")}
+                      </small>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+      </main>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default AdminStoragePage;
@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { toast, ToastContainer } from "react-toastify";
+import Header from "../components/Header";
+import Footer from "../components/Footer";
+import { adminAPI, coverUrl } from "../services/api";
+import "./AdminTrashPage.css";
+import "react-toastify/dist/ReactToastify.css";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || fallback;
+
+const AdminTrashPage = () => {
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyBook, setBusyBook] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const { data } = await adminAPI.trashedBooks();
+      setBooks(data.books);
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      toast.error(errorMessage(error, "Failed to load the trash"));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (book) => {
+    try {
+      setBusyBook(book._id);
+      await adminAPI.restoreBook(book._id);
+      toast.success(`Restored "${book.title}"`);
+      setBooks((prev) => prev.filter((entry) => entry._id !== book._id));
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to restore book"));
+    } finally {
+      setBusyBook(null);
+    }
+  };
+
+  const handlePurge = async (book) => {
+    const confirmed = window.confirm(
+      `Permanently delete "${book.title}"? Its files, ratings, reviews, progress and bookmarks are removed and cannot be restored.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setBusyBook(book._id);
+      await adminAPI.purgeBook(book._id);
+      toast.success(`Deleted "${book.title}" for good`);
+      setBooks((prev) => prev.filter((entry) => entry._id !== book._id));
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete book"));
+    } finally {
+      setBusyBook(null);
+    }
+  };
+
+  return (
+    <div className="admin-trash-page">
+      <Header />
+      <main className="admin-trash-content">
+        <h1>Trash</h1>
+
+        {loading ? (
+          <p>Loading the trash...</p>
+        ) : books.length === 0 ? (
+          <p>The trash is empty.</p>
+        ) : (
+          <ul className="trash-list">
+            {books.map((book) => (
+              <li key={book._id} className="trash-item">
+                {book.coverImage && (
+                  <img src={coverUrl(book.coverImage, "small")} alt="" className="trash-cover" />
+                )}
+                <div className="trash-info">
+                  <strong>{book.title}</strong>
+                  <span>{book.author}</span>
+                  <small>
+                    Deleted {new Date(book.deletedAt).toLocaleDateString()}
+                    {book.deletedBy?.UserName ? ` by ${book.deletedBy.UserName}` : ""} · purged on{" "}
+                    {new Date(book.purgeAt).toLocaleDateString()}
+                  </small>
+                </div>
+                <div className="trash-actions">
+                  <button type="button" onClick={() => handleRestore(book)} disabled={busyBook === book._id}>
+                    Restore
+                  </button>
+                  <button
+                    type="button"
+                    className="danger"
+                    onClick={() => handlePurge(book)}
+                    disabled={busyBook === book._id}
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+      <ToastContainer position="top-center" autoClose={3000} />
+      <Footer />
+    </div>
+  );
+};
+
+export default AdminTrashPage;
@@ -43,4 +43,90 @@ export const usersAPI = {
   favorites: () => api.get("/users/favorites"),
 };
 
+export const shelvesAPI = {
+  list: () => api.get("/shelves"),
+  forUser: (userId) => api.get(`/shelves/user/${userId}`),
+  get: (shelfId) => api.get(`/shelves/${shelfId}`),
+  create: (payload) => api.post("/shelves", payload),
+  update: (shelfId, payload) => api.put(`/shelves/${shelfId}`, payload),
+  remove: (shelfId) => api.delete(`/shelves/${shelfId}`),
+  addBook: (shelfId, bookId, position) =>
+    api.post(`/shelves/${shelfId}/books`, { bookId, position }),
+  removeBook: (shelfId, bookId) => api.delete(`/shelves/${shelfId}/books/${bookId}`),
+  reorder: (shelfId, bookIds) => api.put(`/shelves/${shelfId}/books/order`, { bookIds }),
+  moveBook: (shelfId, bookId, toShelfId, position) =>
+    api.post(`/shelves/${shelfId}/books/${bookId}/move`, { toShelfId, position }),
+};
+
+export const goalsAPI = {
+  summary: (year) => api.get("/goals", { params: { year } }),
+  setTarget: (targetBooks, year) => api.put("/goals", { targetBooks, year }),
+};
+
+export const booksAPI = {
+  ratingStats: (bookId, interval) => api.get(`/books/${bookId}/ratings`, { params: { interval } }),
+  // `formData` carries `manifest`, `archive` and optionally `dryRun`
+  importBooks: (formData) =>
+    api.post("/books/import", formData, { headers: { "Content-Type": "multipart/form-data" } }),
+  // `formData` carries `bookPdf` or `bookEpub` and/or `coverImage`
+  replaceFiles: (bookId, formData) =>
+    api.put(`/books/${bookId}/admin/files`, formData, { headers: { "Content-Type": "multipart/form-data" } }),
+};
+
+export const reviewsAPI = {
+  forBook: (bookId, params) => api.get(`/reviews/book/${bookId}`, { params }),
+  forUser: (userId, params) => api.get(`/reviews/user/${userId}`, { params }),
+  create: (bookId, payload) => api.post(`/reviews/book/${bookId}`, payload),
+  update: (reviewId, payload) => api.put(`/reviews/${reviewId}`, payload),
+  remove: (reviewId) => api.delete(`/reviews/${reviewId}`),
+  vote: (reviewId, vote) => api.put(`/reviews/${reviewId}/vote`, { vote }),
+  react: (reviewId, emoji) => api.put(`/reviews/${reviewId}/reactions`, { emoji }),
+  replies: (reviewId) => api.get(`/reviews/${reviewId}/replies`),
+  reply: (reviewId, text, parentId) => api.post(`/reviews/${reviewId}/replies`, { text, parentId }),
+  updateReply: (replyId, text) => api.put(`/reviews/replies/${replyId}`, { text }),
+  removeReply: (replyId) => api.delete(`/reviews/replies/${replyId}`),
+  reactToReply: (replyId, emoji) => api.put(`/reviews/replies/${replyId}/reactions`, { emoji }),
+};
+
+export const badgesAPI = {
+  list: () => api.get("/badges"),
+  metrics: () => api.get("/badges/metrics"),
+  forUser: (userId) => api.get(`/badges/user/${userId}`),
+  create: (payload) => api.post("/badges", payload),
+  update: (badgeId, payload) => api.put(`/badges/${badgeId}`, payload),
+  remove: (badgeId) => api.delete(`/badges/${badgeId}`),
+  backfill: (badgeId) => api.post(`/badges/${badgeId}/backfill`),
+};
+
+export const adminAPI = {
+  duplicateBooks: () => api.get("/admin/books/duplicates"),
+  mergeBooks: (targetId, duplicateIds) => api.post("/admin/books/merge", { targetId, duplicateIds }),
+  trashedBooks: () => api.get("/admin/books/trash"),
+  restoreBook: (bookId) => api.post(`/admin/books/${bookId}/restore`),
+  purgeBook: (bookId) => api.delete(`/admin/books/${bookId}/purge`),
+  storageReport: () => api.get("/admin/storage/orphans"),
+  deleteOrphanFiles: (keys) => api.post("/admin/storage/orphans/delete", { keys }),
+};
+
+// Widths the server resizes covers to (COVER_SIZES in server/utils/coverImages.js)
+const COVER_WIDTHS = { small: 160, medium: 320, large: 640 };
+const SERVER_URL = API_BASE_URL.replace(/\/api$/, "");
+
+// A resized cover, served as WebP where the browser supports it. Covers
+// stored outside /uploads/images predate resizing and are used as they are.
+export const coverUrl = (coverImage, size) => {
+  if (!coverImage?.startsWith("/uploads/images/")) return `${SERVER_URL}${coverImage}`;
+  const filename = encodeURIComponent(coverImage.split("/").pop());
+  return `${API_BASE_URL}/books/image/${filename}${size ? `?size=${size}` : ""}`;
+};
+
+export const coverSrcSet = (coverImage) =>
+  coverImage?.startsWith("/uploads/images/")
+    ? Object.entries(COVER_WIDTHS)
+        .map(([size, width]) => `${coverUrl(coverImage, size)} ${width}w`)
+        .join(", ")
+    : undefined;
+
+export const shelfShareUrl = (shelfId) => `${window.location.origin}/shelves/${shelfId}`;
+
 export default api;
@@ -0,0 +1,86 @@
+require("dotenv").config();
+const readline = require("readline/promises");
+const mongoose = require("mongoose");
+const {
+  DEFAULT_MIN_AGE_MINUTES,
+  buildStorageReport,
+  deleteOrphanFiles,
+} = require("./utils/orphanFiles");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const confirm = async (question) => {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await prompt.question(`${question} [y/N] `)).trim());
+  } finally {
+    prompt.close();
+  }
+};
+
+const cleanOrphanFiles = async ({ remove = false, yes = false, minAgeMinutes }) => {
+  await mongoose.connect(mongoUri);
+
+  try {
+    const report = await buildStorageReport({ minAgeMinutes });
+
+    report.orphans.forEach((file) => console.log(`Orphan  ${formatSize(file.size).padStart(9)}  ${file.key}`));
+    report.missing.forEach(({ key, referencedBy }) => {
+      const owners = referencedBy.map((ref) => `${ref.model} ${ref.id} ${ref.field}`).join(", ");
+      console.warn(`Missing  ${key} (${owners})`);
+    });
+    console.log(
+      `${report.scanned} files in ${report.driver} storage: ${report.orphans.length} orphaned ` +
+        `(${formatSize(report.orphanBytes)}), ${report.missing.length} missing, ` +
+        `${report.recent} too recent to judge.`
+    );
+
+    if (!remove || !report.orphans.length) {
+      return { ...report, deleted: 0 };
+    }
+    if (!yes && !(await confirm(`Delete ${report.orphans.length} orphaned files?`))) {
+      console.log("Nothing deleted.");
+      return { ...report, deleted: 0 };
+    }
+
+    const result = await deleteOrphanFiles(
+      report.orphans.map((file) => file.key),
+      { minAgeMinutes }
+    );
+    console.log(`Deleted ${result.deleted.length} files, freeing ${formatSize(result.freedBytes)}.`);
+    return { ...report, deleted: result.deleted.length };
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+if (require.main === module) {
+  const minAge = readOption("min-age");
+  const minAgeMinutes = minAge === undefined ? DEFAULT_MIN_AGE_MINUTES : Number(minAge);
+  if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+    console.error("Usage: node clean-orphan-files.js [--delete] [--yes] [--min-age <minutes>]");
+    process.exit(1);
+  }
+
+  cleanOrphanFiles({
+    remove: process.argv.includes("--delete"),
+    yes: process.argv.includes("--yes"),
+    minAgeMinutes,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Orphan file check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = cleanOrphanFiles;
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const fsp = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const { parseManifest, importBooks } = require("./utils/bookImport");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+const importLibrary = async ({ manifestPath, archivePath, dryRun = false }) => {
+  const rows = parseManifest(await fsp.readFile(manifestPath), path.basename(manifestPath));
+
+  await mongoose.connect(mongoUri);
+
+  try {
+    const report = await importBooks({ rows, archive: archivePath, dryRun });
+
+    report.rows.forEach((result) => {
+      const label = `Row ${result.row}${result.title ? ` "${result.title}"` : ""}`;
+      if (result.status === "error") {
+        console.warn(`${label}: ${result.errors.join("; ")}`);
+      } else if (result.status === "skipped") {
+        console.log(`${label}: skipped (${result.reason})`);
+      } else {
+        console.log(`${label}: ${result.status}, ${result.pageCount} pages`);
+      }
+    });
+
+    return report;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const [manifestPath, archivePath] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!manifestPath || !archivePath) {
+    console.error("Usage: node import-books.js <manifest.csv|manifest.json> <files.zip> [--dry-run]");
+    process.exit(1);
+  }
+
+  importLibrary({ manifestPath, archivePath, dryRun })
+    .then(({ total, imported, skipped, failed }) => {
+      console.log(
+        `Import ${dryRun ? "dry run " : ""}finished: ${imported}/${total} books ${
+          dryRun ? "ready to import" : "imported"
+        }, ${skipped} skipped, ${failed} failed.`
+      );
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("Book import failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = importLibrary;
@@ -0,0 +1,47 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Book = require("./models/Book");
+const { indexBookText } = require("./utils/bookTextIndex");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+const indexLibraryText = async ({ all = false } = {}) => {
+  await mongoose.connect(mongoUri);
+
+  try {
+    const filter = all ? {} : { textIndexedAt: null };
+    const books = await Book.find(filter).select("title format pdfUrl epubUrl");
+    let indexed = 0;
+
+    for (const book of books) {
+      try {
+        const pageCount = await indexBookText(book);
+        indexed += 1;
+        console.log(`Indexed ${pageCount} pages of "${book.title}"`);
+      } catch (error) {
+        console.warn(`Skipped "${book.title}": ${error.message}`);
+      }
+    }
+
+    return { total: books.length, indexed };
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  const all = process.argv.includes("--all");
+
+  indexLibraryText({ all })
+    .then(({ total, indexed }) => {
+      console.log(`Text indexing finished: ${indexed}/${total} books indexed.`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Text indexing failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = indexLibraryText;
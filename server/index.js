@@ -1,6 +1,5 @@
 require("dotenv").config();
 const express = require("express");
-const path = require("path");
 const cors = require("cors");
 const http = require("http");
 const { Server } = require("socket.io");
@@ -17,6 +16,16 @@ const booksRoutes = require("./routes/books");
 const adminRoutes = require("./routes/admin");
 const aiRoutes = require("./routes/ai");
 const bookRequestRoutes = require("./routes/bookRequest");
+const progressRoutes = require("./routes/progress");
+const recommendationRoutes = require("./routes/recommendations");
+const shelfRoutes = require("./routes/shelves");
+const goalRoutes = require("./routes/goals");
+const badgeRoutes = require("./routes/badges");
+const reviewRoutes = require("./routes/reviews");
+const { ensureDefaultBadges } = require("./utils/badges");
+const { serveUploads } = require("./utils/fileStorage");
+const { scheduleTrashPurge } = require("./utils/bookTrash");
+const Book = require("./models/Book");
 
 const onlineUsers = new Map();
 
@@ -44,11 +53,13 @@ app.use(
   cors({
     origin: "http://localhost:3000",
     credentials: true,
+    // pdf.js reads these to decide whether it can load PDFs in ranges
+    exposedHeaders: ["Accept-Ranges", "Content-Range", "Content-Length", "ETag"],
   })
 );
 
-// Serve static assets
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Serve uploaded files from the configured storage backend
+app.use("/uploads", serveUploads);
 
 // Health check
 app.get("/", (req, res) => {
@@ -65,6 +76,12 @@ app.use("/api/books", booksRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/book-requests", bookRequestRoutes);
 app.use("/api/ai", aiRoutes);
+app.use("/api/progress", progressRoutes);
+app.use("/api/recommendations", recommendationRoutes);
+app.use("/api/shelves", shelfRoutes);
+app.use("/api/goals", goalRoutes);
+app.use("/api/badges", badgeRoutes);
+app.use("/api/reviews", reviewRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -128,6 +145,14 @@ const startServer = async () => {
     process.exit(1);
   }
 
+  try {
+    // Drops the legacy `genres` text index so the title/author/description
+    // search index can be built (Mongo allows one text index per collection).
+    await Book.syncIndexes();
+  } catch (error) {
+    console.warn("Book index sync failed:", error.message);
+  }
+
   try {
     const seedResult = await seedDatabase({ silent: true });
     if (seedResult.booksSeeded || seedResult.clubsSeeded) {
@@ -137,6 +162,12 @@ const startServer = async () => {
     console.error("Database seed step failed:", error);
   }
 
+  try {
+    await ensureDefaultBadges();
+  } catch (error) {
+    console.warn("Default badge setup failed:", error.message);
+  }
+
   const adminEmail =
     process.env.MASTER_ADMIN_EMAIL ||
     process.env.SEED_ADMIN_EMAIL ||
@@ -150,6 +181,8 @@ const startServer = async () => {
     );
   }
 
+  scheduleTrashPurge();
+
   const PORT = process.env.PORT || 8080;
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,30 @@
+const jwt = require("jsonwebtoken");
+const { User } = require("../models/User");
+
+// Like authenticateToken, but lets anonymous requests through with no
+// `req.user` instead of rejecting them. Used for shareable, public content.
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWTPRIVATEKEY);
+    const user = await User.findById(decoded._id).select("_id isAdmin");
+    if (user) {
+      req.user = {
+        _id: user._id.toString(),
+        isAdmin: Boolean(user.isAdmin),
+      };
+    }
+  } catch (error) {
+    // An expired or invalid token just means the visitor is anonymous
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
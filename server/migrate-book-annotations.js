@@ -0,0 +1,142 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Book = require("./models/Book");
+const Rating = require("./models/Rating");
+const Comment = require("./models/Comment");
+const Highlight = require("./models/Highlight");
+const Bookmark = require("./models/Bookmark");
+const { recalculateRatings } = require("./utils/ratings");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+const EMBEDDED_FIELDS = ["ratings", "comments", "highlights", "bookmarks"];
+
+// Upserts keyed on the old subdocument _id (or the natural key) make the
+// migration safe to re-run after a partial failure.
+const upsertById = (entries) =>
+  entries.map((doc) => ({
+    updateOne: {
+      filter: { _id: doc._id },
+      update: { $setOnInsert: doc },
+      upsert: true,
+      // Keep the original dates instead of stamping the migration time
+      timestamps: false,
+    },
+  }));
+
+const buildOperations = (book) => {
+  const withUser = (entry) => entry && entry.userId;
+
+  const ratings = (book.ratings || []).filter(withUser).map((entry) => ({
+    updateOne: {
+      filter: { book: book._id, user: entry.userId },
+      update: { $setOnInsert: { rating: entry.rating } },
+      upsert: true,
+    },
+  }));
+
+  const comments = upsertById(
+    (book.comments || [])
+      .filter((entry) => withUser(entry) && entry.text)
+      .map((entry) => ({
+        _id: entry._id,
+        user: entry.userId,
+        book: book._id,
+        text: entry.text,
+        createdAt: entry.createdAt || book.createdAt,
+      }))
+  );
+
+  const highlights = upsertById(
+    (book.highlights || [])
+      .filter((entry) => withUser(entry) && entry.page >= 1)
+      .map((entry) => ({
+        _id: entry._id,
+        user: entry.userId,
+        book: book._id,
+        text: entry.text || "",
+        page: entry.page,
+        coordinates: entry.coordinates || null,
+        color: Highlight.COLORS.includes(entry.color) ? entry.color : Highlight.COLORS[0],
+        note: entry.note || "",
+        tags: entry.tags || [],
+        createdAt: entry.createdAt || book.createdAt,
+        updatedAt: entry.updatedAt || entry.createdAt || book.createdAt,
+      }))
+  );
+
+  const bookmarks = (book.bookmarks || [])
+    .filter((entry) => withUser(entry) && entry.page >= 1)
+    .map((entry) => ({
+      updateOne: {
+        filter: { book: book._id, user: entry.userId, page: entry.page },
+        update: { $setOnInsert: { createdAt: entry.createdAt || book.createdAt } },
+        upsert: true,
+      },
+    }));
+
+  return { ratings, comments, highlights, bookmarks };
+};
+
+const migrateBookAnnotations = async ({ dryRun = false } = {}) => {
+  await mongoose.connect(mongoUri);
+
+  try {
+    await Promise.all([Rating, Comment, Highlight, Bookmark].map((model) => model.syncIndexes()));
+
+    // The fields are gone from the Book schema, so read the raw documents
+    const cursor = Book.collection.find(
+      { $or: EMBEDDED_FIELDS.map((field) => ({ [field]: { $exists: true } })) },
+      { projection: { createdAt: 1, ...Object.fromEntries(EMBEDDED_FIELDS.map((f) => [f, 1])) } }
+    );
+
+    const totals = { books: 0, ratings: 0, comments: 0, highlights: 0, bookmarks: 0 };
+
+    for await (const book of cursor) {
+      const operations = buildOperations(book);
+      totals.books += 1;
+      Object.keys(operations).forEach((key) => {
+        totals[key] += operations[key].length;
+      });
+
+      if (dryRun) continue;
+
+      if (operations.ratings.length) await Rating.bulkWrite(operations.ratings);
+      if (operations.comments.length) await Comment.bulkWrite(operations.comments);
+      if (operations.highlights.length) await Highlight.bulkWrite(operations.highlights);
+      if (operations.bookmarks.length) await Bookmark.bulkWrite(operations.bookmarks);
+
+      await recalculateRatings(book._id);
+      await Book.collection.updateOne(
+        { _id: book._id },
+        { $unset: Object.fromEntries(EMBEDDED_FIELDS.map((field) => [field, ""])) }
+      );
+    }
+
+    return totals;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+
+  migrateBookAnnotations({ dryRun })
+    .then((totals) => {
+      const prefix = dryRun ? "Dry run: would migrate" : "Migrated";
+      console.log(
+        `${prefix} ${totals.ratings} ratings, ${totals.comments} comments, ` +
+          `${totals.highlights} highlights and ${totals.bookmarks} bookmarks ` +
+          `from ${totals.books} books.`
+      );
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateBookAnnotations;
@@ -0,0 +1,194 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Book = require("./models/Book");
+const Comment = require("./models/Comment");
+const Rating = require("./models/Rating");
+const Review = require("./models/Review");
+const { User } = require("./models/User");
+const { recalculateRatings } = require("./utils/ratings");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+// Review.text's maxlength
+const MAX_REVIEW_LENGTH = 5000;
+
+const normalizeTitle = (title) => (title || "").trim().toLowerCase();
+
+// Run after migrate-book-annotations.js. Both old stores are read in full
+// and merged in memory before anything is written, so a re-run after a
+// partial failure produces the same reviews and $setOnInsert keeps the
+// ones already written.
+const collectReviews = async () => {
+  const reviews = new Map();
+  const skipped = [];
+
+  const entryFor = (book, user) => {
+    const key = `${book}:${user}`;
+    if (!reviews.has(key)) {
+      reviews.set(key, { book, user, texts: [], createdAt: null, updatedAt: null, rating: null });
+    }
+    return reviews.get(key);
+  };
+  const addText = (entry, text, date) => {
+    const trimmed = (text || "").trim();
+    if (trimmed && !entry.texts.includes(trimmed)) entry.texts.push(trimmed);
+    if (date && (!entry.createdAt || date < entry.createdAt)) entry.createdAt = date;
+    if (date && (!entry.updatedAt || date > entry.updatedAt)) entry.updatedAt = date;
+  };
+
+  // Book comments allowed several per reader; they become one review, oldest first
+  const comments = Comment.collection.find({}).sort({ createdAt: 1 });
+  for await (const comment of comments) {
+    if (!comment.book || !comment.user) continue;
+    addText(entryFor(comment.book, comment.user), comment.text, comment.createdAt);
+  }
+
+  // Profile comments were keyed by book title and carried their own rating
+  const titles = new Map();
+  for (const book of await Book.find({}, "title").lean()) {
+    const title = normalizeTitle(book.title);
+    titles.set(title, titles.has(title) ? null : book._id); // null marks an ambiguous title
+  }
+
+  const users = User.collection.find(
+    { "comments.0": { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+  for await (const user of users) {
+    for (const comment of user.comments) {
+      const bookId = titles.get(normalizeTitle(comment.bookTitle));
+      if (!bookId) {
+        skipped.push({ user: user._id, comment });
+        continue;
+      }
+      const entry = entryFor(bookId, user._id);
+      addText(entry, comment.text, comment.updatedAt);
+      if (typeof comment.rating === "number") entry.rating = comment.rating;
+    }
+  }
+
+  return { reviews: [...reviews.values()].filter((entry) => entry.texts.length), skipped };
+};
+
+const migrateReviews = async ({ dryRun = false } = {}) => {
+  await mongoose.connect(mongoUri);
+
+  try {
+    await Promise.all([Review, Rating].map((model) => model.syncIndexes()));
+
+    const { reviews, skipped } = await collectReviews();
+    const totals = { reviews: reviews.length, ratings: 0, truncated: 0, skipped };
+
+    const ratingOperations = [];
+    const reviewOperations = [];
+    for (const entry of reviews) {
+      // A rating left through the book page wins over the one in a profile comment
+      const existing = await Rating.findOne({ book: entry.book, user: entry.user }, "rating").lean();
+      const rating = existing ? existing.rating : entry.rating;
+      if (!existing && rating !== null) {
+        ratingOperations.push({
+          updateOne: {
+            filter: { book: entry.book, user: entry.user },
+            update: { $setOnInsert: { rating } },
+            upsert: true,
+          },
+        });
+      }
+
+      // Joined comments can outgrow a single review; the newest text is cut
+      let text = entry.texts.join("\n\n");
+      if (text.length > MAX_REVIEW_LENGTH) {
+        text = text.slice(0, MAX_REVIEW_LENGTH).trim();
+        totals.truncated += 1;
+      }
+
+      const createdAt = entry.createdAt || new Date();
+      reviewOperations.push({
+        updateOne: {
+          filter: { book: entry.book, user: entry.user },
+          update: {
+            $setOnInsert: {
+              text,
+              rating,
+              createdAt,
+              updatedAt: entry.updatedAt || createdAt,
+            },
+          },
+          upsert: true,
+          // Keep the original dates instead of stamping the migration time
+          timestamps: false,
+        },
+      });
+    }
+    totals.ratings = ratingOperations.length;
+
+    if (dryRun) return totals;
+
+    if (ratingOperations.length) {
+      await Rating.bulkWrite(ratingOperations);
+      const books = new Set(ratingOperations.map((op) => op.updateOne.filter.book.toString()));
+      for (const bookId of books) {
+        await recalculateRatings(new mongoose.Types.ObjectId(bookId));
+      }
+    }
+    if (reviewOperations.length) await Review.bulkWrite(reviewOperations);
+
+    await Comment.collection.deleteMany({});
+    // Comments whose book couldn't be matched stay on the user for manual review
+    const unmatched = new Map();
+    skipped.forEach(({ user, comment }) => {
+      const key = user.toString();
+      unmatched.set(key, [...(unmatched.get(key) || []), comment]);
+    });
+    for (const [userId, entries] of unmatched) {
+      await User.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(userId) },
+        { $set: { comments: entries } }
+      );
+    }
+    await User.collection.updateMany(
+      {
+        _id: { $nin: [...unmatched.keys()].map((id) => new mongoose.Types.ObjectId(id)) },
+        comments: { $exists: true },
+      },
+      { $unset: { comments: "" } }
+    );
+
+    return totals;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+
+  migrateReviews({ dryRun })
+    .then((totals) => {
+      const prefix = dryRun ? "Dry run: would create" : "Created";
+      console.log(`${prefix} ${totals.reviews} reviews and ${totals.ratings} ratings.`);
+      if (totals.truncated) {
+        console.log(
+          `${totals.truncated} reviews joined more than ${MAX_REVIEW_LENGTH} characters of comments ` +
+            `and ${dryRun ? "would be" : "were"} cut to fit.`
+        );
+      }
+      if (totals.skipped.length) {
+        console.log(
+          `${totals.skipped.length} profile comments name a book title that matches no single book ` +
+            `and ${dryRun ? "would be" : "were"} left on the user document:`
+        );
+        totals.skipped.forEach(({ user, comment }) =>
+          console.log(`  user ${user}: "${comment.bookTitle}"`)
+        );
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateReviews;
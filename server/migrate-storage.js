@@ -0,0 +1,84 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { createDriver } = require("./utils/fileStorage");
+
+const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
+const mongoUri = process.env.DB || defaultUri;
+
+/**
+ * Copies every stored file from one backend to another. Files already in
+ * the target with the same size are left alone, so an interrupted run can
+ * simply be repeated. With `deleteSource` each copied file is removed from
+ * the source once the copy is in place.
+ */
+const migrateStorage = async ({ from, to, deleteSource = false, dryRun = false }) => {
+  if (!from || !to || from === to) {
+    throw new Error("Pass two different backends with --from and --to");
+  }
+  const source = createDriver(from);
+  const target = createDriver(to);
+
+  await mongoose.connect(mongoUri);
+
+  try {
+    const keys = await source.list();
+    const report = { total: keys.length, copied: 0, skipped: 0, deleted: 0, failed: 0 };
+
+    for (const key of keys) {
+      try {
+        const [sourceStat, targetStat] = await Promise.all([source.stat(key), target.stat(key)]);
+        if (targetStat && targetStat.size === sourceStat.size) {
+          report.skipped += 1;
+        } else {
+          if (!dryRun) {
+            await target.write(key, await source.read(key));
+          }
+          report.copied += 1;
+          console.log(`${dryRun ? "Would copy" : "Copied"} ${key}`);
+        }
+
+        if (deleteSource && !dryRun) {
+          await source.remove(key);
+          report.deleted += 1;
+        }
+      } catch (error) {
+        report.failed += 1;
+        console.warn(`Failed to migrate ${key}: ${error.message}`);
+      }
+    }
+
+    return report;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+if (require.main === module) {
+  const options = {
+    from: readOption("from"),
+    to: readOption("to"),
+    deleteSource: process.argv.includes("--delete-source"),
+    dryRun: process.argv.includes("--dry-run"),
+  };
+
+  migrateStorage(options)
+    .then(({ total, copied, skipped, deleted, failed }) => {
+      console.log(
+        `Storage migration ${options.dryRun ? "dry run " : ""}finished: ${copied} copied, ` +
+          `${skipped} already present, ${deleted} removed from source, ${failed} failed ` +
+          `(${total} files).`
+      );
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("Storage migration failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateStorage;
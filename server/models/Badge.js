@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A badge is a rule, not code: award it once `metric` reaches `threshold`.
+// The metrics themselves are defined in utils/badges.js.
+const BadgeSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true, match: /^[a-z0-9-]+$/ },
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    description: { type: String, default: "", trim: true, maxlength: 240 },
+    icon: { type: String, default: "🏅", maxlength: 8 },
+    metric: { type: String, required: true },
+    threshold: { type: Number, required: true, min: 1 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+BadgeSchema.index({ active: 1, metric: 1 });
+
+module.exports = mongoose.model("Badge", BadgeSchema);
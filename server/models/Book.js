@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+// Genres are stored lower-cased and singular ("Classics" -> "classic"), so
+// anything filtering on genres must normalise its input the same way.
+const normalizeGenre = (genre) =>
+  String(genre).trim().toLowerCase().replace(/s$/, '');
+
+const simplify = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Matches the same book under slightly different titles: accents, case,
+// punctuation, subtitles and leading articles are ignored, and author name
+// order doesn't matter ("Scott, Walter" == "Walter Scott").
+const buildDedupeKey = (title, author) => {
+  const mainTitle = String(title || '').split(/\s*[:([]/)[0] || title;
+  const titleKey = simplify(mainTitle).replace(/^(the|a|an) /, '');
+  const authorKey = simplify(author).split(' ').sort().join(' ');
+  return `${titleKey}|${authorKey}`;
+};
+
 const BookSchema = new mongoose.Schema({
   title: { type: String, required: true },
   author: { type: String, required: true },
@@ -8,60 +33,110 @@ const BookSchema = new mongoose.Schema({
     required: [true, 'At least one genre is required'],
     validate: [arrayLimit, 'At least one genre is required'],
     set: function(genres) {
-      return genres.map(genre => 
-        genre.toLowerCase().replace(/s$/, '')
-      );
+      return genres.map(normalizeGenre);
     }
   },
   description: { type: String, required: true },
   coverImage: { type: String, required: true }, // Path to the image
-  pdfUrl: { type: String, required: true }, // Path to the PDF
   createdAt: {
     type: Date,
     default: Date.now
   },
-  ratings: {
-    type: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      rating: { type: Number, required: true, min: 0, max: 5 }
-    }],
-    default: []
-  },
+  // Ratings, comments, highlights and bookmarks live in their own
+  // collections; only the rating aggregates are kept on the book.
   averageRating: { type: Number, default: 0,min: 0, max: 5,  set: v => Number(v.toFixed(1)) },
   ratingCount: { type: Number, default: 0 },
-  comments: [
-    {
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      text: { type: String, required: true },
-      createdAt: { type: Date, default: Date.now }
-    }
-  ],
-  highlights: [{
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    text: String,
-    page: Number,
-    coordinates: Object,
-    createdAt: Date
-  }],
-  bookmarks: [{
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    page: Number,
-    createdAt: Date
-  }],
+  ratingSum: { type: Number, default: 0 },
   pageCount: Number,
+  format: { type: String, enum: ['pdf', 'epub'], default: 'pdf' },
   pdfUrl: {
     type: String,
-    required: true,
-    get: value => value.replace(/\\/g, '/') 
+    required: function() { return this.format !== 'epub'; },
+    get: value => value && value.replace(/\\/g, '/')
+  },
+  epubUrl: {
+    type: String,
+    required: function() { return this.format === 'epub'; }
   },
   reads: { type: Number, default: 0 },
+  textIndexedAt: { type: Date, default: null }, // Set once BookPage text has been extracted
+  // Duplicate detection: SHA-256 of the PDF/EPUB and buildDedupeKey(title, author)
+  contentHash: { type: String, default: null },
+  dedupeKey: { type: String, default: null },
+  // Soft delete: trashed books are hidden everywhere until restored or purged
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Files replaced by a newer upload, oldest first. They stay in storage so
+  // a bad replacement can be undone by hand.
+  fileVersions: [{
+    kind: { type: String, enum: ['pdf', 'epub', 'cover'], required: true },
+    url: { type: String, required: true },
+    pageCount: Number,
+    contentHash: String,
+    replacedAt: { type: Date, default: Date.now },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
   toc: [{
     title: String,
     page: Number,
     level: { type: Number, default: 1 } // For hierarchy (e.g., chapters/sections)
   }]
 });
-BookSchema.index({ genres: 'text' });
+BookSchema.index(
+  { title: 'text', author: 'text', description: 'text' },
+  { name: 'book_text_search', weights: { title: 10, author: 5, description: 1 } }
+);
+BookSchema.index({ genres: 1, createdAt: -1 });
+BookSchema.index({ averageRating: -1, ratingCount: -1 });
+BookSchema.index({ reads: -1 });
+BookSchema.index({ pageCount: 1 });
+BookSchema.index({ createdAt: -1 });
+BookSchema.index({ contentHash: 1 });
+BookSchema.index({ dedupeKey: 1 });
+BookSchema.index({ deletedAt: 1 });
+
+BookSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('author')) {
+    this.dedupeKey = buildDedupeKey(this.title, this.author);
+  }
+  next();
+});
+
+// findByIdAndUpdate() skips the save hook, so title/author edits made with
+// it refresh the key here, reading whichever of the two isn't changing.
+BookSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+  if (!('title' in changes) && !('author' in changes)) return;
+
+  let { title, author } = changes;
+  if (title === undefined || author === undefined) {
+    const current = await this.model
+      .findOne(this.getFilter(), 'title author')
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (!current) return;
+    title = title === undefined ? current.title : title;
+    author = author === undefined ? current.author : author;
+  }
+  this.set('dedupeKey', buildDedupeKey(title, author));
+});
+
+// Queries skip trashed books unless they filter on `deletedAt` themselves or
+// pass the `withDeleted` option (e.g. `.setOptions({ withDeleted: true })`).
+const HIDES_DELETED = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+BookSchema.pre(HIDES_DELETED, function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+BookSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+BookSchema.statics.normalizeGenre = normalizeGenre;
+BookSchema.statics.buildDedupeKey = buildDedupeKey;
 
 function arrayLimit(val) {
   return val.length > 0;
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const EVENT_TYPES = ["read", "rating", "comment"];
+
+// Append-only log of reader activity, used for time-windowed rankings.
+// All-time rankings come from the running totals instead, so events only
+// need to be kept for as long as the longest window.
+const BookEventSchema = new mongoose.Schema({
+  type: { type: String, enum: EVENT_TYPES, required: true },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  value: { type: Number }, // The score, for rating events
+  createdAt: { type: Date, default: Date.now },
+});
+
+BookEventSchema.index({ type: 1, createdAt: -1, book: 1 });
+BookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 400 * 24 * 60 * 60 });
+
+BookEventSchema.statics.TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model("BookEvent", BookEventSchema);
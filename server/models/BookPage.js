@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Extracted text of a single PDF page, kept out of the Book document so the
+// full-text index does not bloat every book read.
+const BookPageSchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+  page: { type: Number, required: true, min: 1 },
+  text: { type: String, default: "" },
+});
+
+BookPageSchema.index({ book: 1, page: 1 }, { unique: true });
+BookPageSchema.index({ text: "text" }, { name: "book_page_text_search" });
+
+BookPageSchema.statics.replaceForBook = async function (bookId, pages) {
+  await this.deleteMany({ book: bookId });
+  const docs = pages
+    .filter((entry) => entry.text)
+    .map((entry) => ({ book: bookId, page: entry.page, text: entry.text }));
+  if (docs.length) {
+    await this.insertMany(docs, { ordered: false });
+  }
+  return docs.length;
+};
+
+module.exports = mongoose.model("BookPage", BookPageSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+const BookmarkSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+  page: { type: Number, required: true, min: 1 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+BookmarkSchema.index({ user: 1, book: 1, page: 1 }, { unique: true });
+BookmarkSchema.index({ book: 1 });
+
+module.exports = mongoose.model("Bookmark", BookmarkSchema);
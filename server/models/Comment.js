@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Superseded by Review. Only migrations touch this collection now:
+// migrate-book-annotations.js fills it and migrate-reviews.js drains it.
+
+const CommentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+  text: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+CommentSchema.index({ book: 1, createdAt: 1 });
+CommentSchema.index({ user: 1 });
+
+module.exports = mongoose.model("Comment", CommentSchema);
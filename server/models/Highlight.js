@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const HIGHLIGHT_COLORS = ["yellow", "green", "blue", "pink", "purple"];
+
+const HighlightSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    text: { type: String, default: "" },
+    page: { type: Number, required: true, min: 1 },
+    coordinates: { type: Object, default: null },
+    color: { type: String, enum: HIGHLIGHT_COLORS, default: HIGHLIGHT_COLORS[0] },
+    note: { type: String, default: "" }, // Private to the highlight's owner
+    tags: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+HighlightSchema.index({ user: 1, book: 1, page: 1 });
+HighlightSchema.index({ user: 1, createdAt: -1 });
+HighlightSchema.index({ user: 1, tags: 1 });
+
+HighlightSchema.statics.COLORS = HIGHLIGHT_COLORS;
+
+module.exports = mongoose.model("Highlight", HighlightSchema);
@@ -21,5 +21,8 @@ messageSchema.pre("save", async function (next) {
     next();
 });
 
+// Badge rules count messages per user
+messageSchema.index({ user: 1 });
+
 module.exports = mongoose.model("Message", messageSchema);
 
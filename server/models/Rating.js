@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// One rating per user per book. Book.averageRating, ratingCount and ratingSum
+// are kept in step atomically by the rating route.
+const RatingSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    rating: { type: Number, required: true, min: 0, max: 5 },
+  },
+  { timestamps: true }
+);
+
+RatingSchema.index({ book: 1, user: 1 }, { unique: true });
+RatingSchema.index({ user: 1 });
+
+module.exports = mongoose.model("Rating", RatingSchema);
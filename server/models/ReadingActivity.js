@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// One document per reader per UTC day they read anything. Streaks are runs of
+// consecutive `day`s, so the string form ("2024-05-31") is what gets compared.
+const ReadingActivitySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  day: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  opens: { type: Number, default: 0, min: 0 },
+  progressUpdates: { type: Number, default: 0, min: 0 },
+  secondsSpent: { type: Number, default: 0, min: 0 },
+  booksFinished: { type: Number, default: 0, min: 0 },
+});
+
+ReadingActivitySchema.index({ user: 1, day: -1 }, { unique: true });
+
+module.exports = mongoose.model("ReadingActivity", ReadingActivitySchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A reader's challenge for one calendar year. The document also remembers
+// which milestones were already celebrated that year so each is notified once,
+// and the longest daily streak seen while it was the current year, so the
+// all-time best survives without re-reading every day of activity.
+const ReadingGoalSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    year: { type: Number, required: true },
+    targetBooks: { type: Number, default: null, min: 1, max: 1000 },
+    milestones: {
+      type: [
+        {
+          _id: false,
+          key: { type: String, required: true },
+          achievedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    longestStreak: { type: Number, min: 0 },
+  },
+  { timestamps: true }
+);
+
+ReadingGoalSchema.index({ user: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReadingGoal", ReadingGoalSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Where a reader is in a book. One document per (user, book) so every device
+// reads and writes the same record.
+const ReadingProgressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+  lastPage: { type: Number, default: 1, min: 1 },
+  pageCount: { type: Number, default: 0 },
+  percent: { type: Number, default: 0, min: 0, max: 100 },
+  timeSpentSeconds: { type: Number, default: 0, min: 0 },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  lastReadAt: { type: Date, default: Date.now },
+});
+
+ReadingProgressSchema.index({ user: 1, book: 1 }, { unique: true });
+ReadingProgressSchema.index({ user: 1, lastReadAt: -1 });
+
+module.exports = mongoose.model("ReadingProgress", ReadingProgressSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// One review per reader per book. `rating` mirrors the reader's Rating for
+// the book (utils/ratings.js keeps them in step); Rating stays the source of
+// the book's averages, so deleting a review leaves the score in place.
+// Vote counters are kept in step with ReviewVote by the vote route.
+const ReviewSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    rating: { type: Number, min: 0, max: 5, default: null },
+    text: { type: String, required: true, trim: true, maxlength: 5000 },
+    spoiler: { type: Boolean, default: false },
+    helpfulCount: { type: Number, default: 0 },
+    unhelpfulCount: { type: Number, default: 0 },
+    // helpfulCount - unhelpfulCount, stored so "most helpful" can use an index
+    helpfulScore: { type: Number, default: 0 },
+    editedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ReviewSchema.index({ book: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ book: 1, helpfulScore: -1, createdAt: -1 });
+ReviewSchema.index({ book: 1, createdAt: -1 });
+ReviewSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Review", ReviewSchema);
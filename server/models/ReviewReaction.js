@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const EMOJIS = ["👍", "❤️", "😂", "😮", "😢", "🔥"];
+
+// An emoji reaction to a review or a reply. A reader can leave several
+// different emojis on the same post, but each one only once.
+const ReviewReactionSchema = new mongoose.Schema(
+  {
+    targetType: { type: String, enum: ["Review", "ReviewReply"], required: true },
+    target: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: "targetType" },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    emoji: { type: String, enum: EMOJIS, required: true },
+  },
+  { timestamps: true }
+);
+
+ReviewReactionSchema.index({ target: 1, user: 1, emoji: 1 }, { unique: true });
+ReviewReactionSchema.index({ book: 1 });
+
+ReviewReactionSchema.statics.EMOJIS = EMOJIS;
+
+module.exports = mongoose.model("ReviewReaction", ReviewReactionSchema);
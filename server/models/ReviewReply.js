@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const MAX_DEPTH = 3;
+
+// A reply in a review's discussion. `parent` is null for replies to the
+// review itself; `depth` is 1 there and grows by one per nesting level.
+// `book` is denormalised so rankings and cleanup don't need a join.
+const ReviewReplySchema = new mongoose.Schema(
+  {
+    review: { type: mongoose.Schema.Types.ObjectId, ref: "Review", required: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "ReviewReply", default: null },
+    depth: { type: Number, required: true, min: 1, max: MAX_DEPTH },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    text: { type: String, required: true, trim: true, maxlength: 2000 },
+    // Replies with answers are blanked rather than removed so the thread holds together
+    deleted: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ReviewReplySchema.index({ review: 1, createdAt: 1 });
+ReviewReplySchema.index({ book: 1 });
+ReviewReplySchema.index({ parent: 1 });
+
+ReviewReplySchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model("ReviewReply", ReviewReplySchema);
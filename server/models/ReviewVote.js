@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+const ReviewVoteSchema = new mongoose.Schema(
+  {
+    review: { type: mongoose.Schema.Types.ObjectId, ref: "Review", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    helpful: { type: Boolean, required: true },
+  },
+  { timestamps: true }
+);
+
+ReviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReviewVote", ReviewVoteSchema);
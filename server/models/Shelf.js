@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Every reader gets these; `key` tells them apart from custom lists
+const DEFAULT_SHELVES = [
+  { key: "want-to-read", name: "Want to read" },
+  { key: "reading", name: "Reading" },
+  { key: "finished", name: "Finished" },
+];
+
+const ShelfEntrySchema = new mongoose.Schema(
+  {
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ShelfSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    description: { type: String, default: "", trim: true, maxlength: 500 },
+    key: { type: String, enum: [...DEFAULT_SHELVES.map((shelf) => shelf.key), null], default: null },
+    isPublic: { type: Boolean, default: false },
+    // Array order is the reader's chosen order
+    books: { type: [ShelfEntrySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+ShelfSchema.index({ user: 1, name: 1 }, { unique: true });
+ShelfSchema.index(
+  { user: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: "string" } } }
+);
+ShelfSchema.index({ "books.book": 1 });
+
+ShelfSchema.statics.DEFAULT_SHELVES = DEFAULT_SHELVES;
+
+module.exports = mongoose.model("Shelf", ShelfSchema);
@@ -14,15 +14,6 @@ const userSchema = new mongoose.Schema({
 	bio: { type: String  },
 	bookHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: "Book" }],
 	favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: "Book" }],
-	comments: {
-		type: [{
-			bookTitle: { type: String, required: true },
-			text: { type: String, required: true },
-			rating: { type: Number, min: 0, max: 5 },
-			updatedAt: { type: Date, default: Date.now }
-		}],
-		default: []
-	},
 	notifications: [{
 		message: { type: String, required: true },
 		status: { 
@@ -1,129 +1,127 @@
 const express = require("express");
-const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
-const fsp = require("fs/promises");
+const mongoose = require("mongoose");
 
 const { User } = require("../models/User");
-const Book = require("../models/Book");
 const authenticateToken = require("../middleware/authenticateToken");
 const adminAuth = require("../middleware/adminAuth");
+const { findDuplicateGroups, mergeBooks } = require("../utils/bookDuplicates");
+const { buildStorageReport, deleteOrphanFiles } = require("../utils/orphanFiles");
+const { listTrash, restoreBook, purgeTrashedBook } = require("../utils/bookTrash");
+const booksRouter = require("./books");
 
 const router = express.Router();
 
-const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
-const ADMIN_IMAGE_DIR = path.join(UPLOADS_ROOT, "images");
-const ADMIN_PDF_DIR = path.join(UPLOADS_ROOT, "pdfs");
+// Handled by POST /books/books (the books router sees the same `/books`
+// path), so admin uploads get EPUB support, page counts, TOC extraction,
+// text indexing, cover rendering and duplicate checks too.
+router.post("/books", booksRouter);
 
-const ensureDir = (dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+router.get("/books/duplicates", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const groups = await findDuplicateGroups();
+    res.json({ groups });
+  } catch (error) {
+    console.error("Duplicate report error:", error);
+    res.status(500).json({ message: "Server error" });
   }
-};
-
-ensureDir(ADMIN_IMAGE_DIR);
-ensureDir(ADMIN_PDF_DIR);
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const targetDir = file.mimetype.startsWith("image/")
-      ? ADMIN_IMAGE_DIR
-      : ADMIN_PDF_DIR;
-    cb(null, targetDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || "";
-    cb(null, `${Date.now()}-${Math.random().toString(16).slice(2)}${ext}`);
-  },
 });
 
-const fileFilter = (req, file, cb) => {
-  if (
-    file.mimetype.startsWith("image/") ||
-    file.mimetype === "application/pdf"
-  ) {
-    cb(null, true);
-  } else {
-    cb(new Error("Only images and PDFs are allowed"), false);
-  }
-};
+router.post("/books/merge", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { targetId, duplicateIds } = req.body;
+    const ids = Array.isArray(duplicateIds) ? duplicateIds : [];
+    if (
+      !mongoose.Types.ObjectId.isValid(targetId) ||
+      !ids.length ||
+      !ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "targetId and a list of duplicateIds are required." });
+    }
 
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 50 * 1024 * 1024 },
+    const result = await mergeBooks(targetId, ids);
+    res.json({ message: "Books merged", ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Book merge error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
-const deleteFileSafe = async (filePath) => {
+// Books deleted from the library, with the date each will be purged
+router.get("/books/trash", authenticateToken, adminAuth, async (req, res) => {
   try {
-    if (!filePath) return;
-    if (fs.existsSync(filePath)) {
-      await fsp.unlink(filePath);
-    }
-  } catch (err) {
-    console.warn("Failed to remove file:", filePath, err.message);
+    res.json({ books: await listTrash() });
+  } catch (error) {
+    console.error("Trash list error:", error);
+    res.status(500).json({ message: "Server error" });
   }
-};
+});
 
-router.post(
-  "/books",
-  authenticateToken,
-  adminAuth,
-  upload.fields([
-    { name: "coverImage", maxCount: 1 },
-    { name: "bookPdf", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    const uploadedPaths = [];
-    try {
-      const { title, author, description } = req.body;
-      const genres = req.body.genres
-        ? req.body.genres.split(",").map((g) => g.trim()).filter(Boolean)
-        : [];
-
-      if (!title || !author || !description || !genres.length) {
-        return res.status(400).json({
-          message:
-            "Title, author, description, and at least one genre are required.",
-        });
-      }
+router.post("/books/:bookId/restore", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+      return res.status(400).json({ message: "Invalid book ID" });
+    }
 
-      const coverFile = req.files?.coverImage?.[0];
-      const pdfFile = req.files?.bookPdf?.[0];
+    const book = await restoreBook(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: "Book not found in trash" });
+    }
+    res.json({ message: "Book restored", book: { id: book._id, title: book.title } });
+  } catch (error) {
+    console.error("Book restore error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      if (!coverFile || !pdfFile) {
-        return res
-          .status(400)
-          .json({ message: "Cover image and PDF are required." });
-      }
+// Deletes a trashed book for good without waiting for the scheduled purge
+router.delete("/books/:bookId/purge", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookId)) {
+      return res.status(400).json({ message: "Invalid book ID" });
+    }
 
-      uploadedPaths.push(coverFile.path, pdfFile.path);
+    const book = await purgeTrashedBook(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: "Book not found in trash" });
+    }
+    res.json({ message: "Book permanently deleted", book: { id: book._id, title: book.title } });
+  } catch (error) {
+    console.error("Book purge error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      const book = await Book.create({
-        title: title.trim(),
-        author: author.trim(),
-        description: description.trim(),
-        genres,
-        coverImage: `/uploads/images/${path.basename(coverFile.path)}`,
-        pdfUrl: `/uploads/pdfs/${path.basename(pdfFile.path)}`,
-      });
+// Stored files no document references, and references whose file is gone
+router.get("/storage/orphans", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    res.json(await buildStorageReport());
+  } catch (error) {
+    console.error("Storage report error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-      res.status(201).json({
-        message: "Book uploaded successfully",
-        book: {
-          id: book._id,
-          title: book.title,
-          author: book.author,
-          genres: book.genres,
-        },
-      });
-    } catch (error) {
-      console.error("Admin book upload error:", error);
-      await Promise.all(uploadedPaths.map(deleteFileSafe));
-      res.status(500).json({ error: "Failed to upload book" });
+// Takes the orphan `keys` the admin confirmed from the report; any that
+// became referenced in the meantime are kept
+router.post("/storage/orphans/delete", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { keys } = req.body;
+    if (!Array.isArray(keys) || !keys.length || !keys.every((key) => typeof key === "string")) {
+      return res.status(400).json({ message: "A list of orphaned file keys is required." });
     }
+
+    const result = await deleteOrphanFiles(keys);
+    res.json({ message: `Deleted ${result.deleted.length} orphaned files`, ...result });
+  } catch (error) {
+    console.error("Orphan cleanup error:", error);
+    res.status(500).json({ message: "Server error" });
   }
-);
+});
 
 router.get("/users", authenticateToken, adminAuth, async (req, res) => {
   try {
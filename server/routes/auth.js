@@ -5,7 +5,7 @@ const bcrypt = require("bcrypt");
 const Joi = require("joi");
 const jwt = require("jsonwebtoken");
 const authenticateToken = require("../middleware/authenticateToken");
-const multer = require("multer");
+const { createUpload } = require("../utils/fileStorage");
 const mongoose = require("mongoose");
 // REGISTRATION ROUTE - ADD THIS
 router.post("/register", async (req, res) => {
@@ -197,17 +197,8 @@ router.get("/profile", authenticateToken, async (req, res) => {
   }
 });
   
-  // Set up storage engine for Multer
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/");
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  },
-});
-
-const upload = multer({ storage });
+  // Avatars go to the configured file storage
+const upload = createUpload({ folder: "avatars" });
 
 // Profile Update with Avatar Upload
 router.put(
@@ -252,7 +243,7 @@ router.put(
       }
 
       if (req.file) {
-        user.avatar = `/uploads/${req.file.filename}`;
+        user.avatar = req.file.key;
       }
 
       await user.save();
@@ -0,0 +1,224 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Badge = require("../models/Badge");
+const UserBadge = require("../models/UserBadge");
+const { User } = require("../models/User");
+const authenticateToken = require("../middleware/authenticateToken");
+const adminAuth = require("../middleware/adminAuth");
+const { BADGE_METRICS, backfillBadge } = require("../utils/badges");
+
+const router = express.Router();
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+const DUPLICATE_KEY = 11000;
+
+const serializeBadge = (badge) => ({
+  _id: badge._id.toString(),
+  key: badge.key,
+  name: badge.name,
+  description: badge.description,
+  icon: badge.icon,
+  metric: badge.metric,
+  threshold: badge.threshold,
+  active: badge.active,
+});
+
+const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const parseBadgeFields = (body, { creating = false } = {}) => {
+  const updates = {};
+
+  for (const field of ["name", "description", "icon"]) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== "string") {
+        return { error: `${field} must be text` };
+      }
+      updates[field] = body[field].trim();
+    }
+  }
+  if ((creating || updates.name !== undefined) && !updates.name) {
+    return { error: "Badge name is required" };
+  }
+
+  if (body.metric !== undefined || creating) {
+    if (!BADGE_METRICS[body.metric]) {
+      return { error: `metric must be one of: ${Object.keys(BADGE_METRICS).join(", ")}` };
+    }
+    updates.metric = body.metric;
+  }
+
+  if (body.threshold !== undefined || creating) {
+    const threshold = Number.parseInt(body.threshold, 10);
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return { error: "threshold must be a positive whole number" };
+    }
+    updates.threshold = threshold;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be true or false" };
+    }
+    updates.active = body.active;
+  }
+
+  if (creating) {
+    updates.key = slugify(typeof body.key === "string" && body.key ? body.key : updates.name);
+    if (!updates.key) {
+      return { error: "Badge key must contain letters or numbers" };
+    }
+  }
+
+  return { updates };
+};
+
+// Active badges for everyone; admins also see retired ones
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const filter = req.user.isAdmin ? {} : { active: true };
+    const badges = await Badge.find(filter).sort({ metric: 1, threshold: 1 }).lean();
+    res.json(badges.map(serializeBadge));
+  } catch (error) {
+    console.error("Fetch badges error:", error);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+// The vocabulary admins build rules from
+router.get("/metrics", authenticateToken, adminAuth, (req, res) => {
+  res.json(
+    Object.entries(BADGE_METRICS).map(([key, metric]) => ({
+      key,
+      label: metric.label,
+    }))
+  );
+});
+
+router.get("/user/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const earned = await UserBadge.find({ user: userId })
+      .sort({ awardedAt: -1 })
+      .populate("badge")
+      .lean();
+
+    res.json(
+      earned
+        .filter((entry) => entry.badge)
+        .map((entry) => ({ ...serializeBadge(entry.badge), awardedAt: entry.awardedAt }))
+    );
+  } catch (error) {
+    console.error("Fetch user badges error:", error);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+router.post("/", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { error, updates } = parseBadgeFields(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const badge = await Badge.create(updates);
+    res.status(201).json(serializeBadge(badge));
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({ error: "A badge with that key already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Create badge error:", error);
+    res.status(500).json({ error: "Failed to create badge" });
+  }
+});
+
+router.put("/:badgeId", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { badgeId } = req.params;
+    if (!isValidObjectId(badgeId)) {
+      return res.status(400).json({ error: "Invalid badge ID" });
+    }
+
+    const { error, updates } = parseBadgeFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const badge = await Badge.findByIdAndUpdate(badgeId, updates, {
+      new: true,
+      runValidators: true,
+    });
+    if (!badge) {
+      return res.status(404).json({ error: "Badge not found" });
+    }
+
+    res.json(serializeBadge(badge));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update badge error:", error);
+    res.status(500).json({ error: "Failed to update badge" });
+  }
+});
+
+// Also takes the badge away from everyone who earned it; deactivate to keep them
+router.delete("/:badgeId", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { badgeId } = req.params;
+    if (!isValidObjectId(badgeId)) {
+      return res.status(400).json({ error: "Invalid badge ID" });
+    }
+
+    const badge = await Badge.findByIdAndDelete(badgeId);
+    if (!badge) {
+      return res.status(404).json({ error: "Badge not found" });
+    }
+    await UserBadge.deleteMany({ badge: badge._id });
+
+    res.json({ message: "Badge deleted" });
+  } catch (error) {
+    console.error("Delete badge error:", error);
+    res.status(500).json({ error: "Failed to delete badge" });
+  }
+});
+
+// New rules only fire on future actions; this awards them to readers who already qualify
+router.post("/:badgeId/backfill", authenticateToken, adminAuth, async (req, res) => {
+  try {
+    const { badgeId } = req.params;
+    if (!isValidObjectId(badgeId)) {
+      return res.status(400).json({ error: "Invalid badge ID" });
+    }
+
+    const badge = await Badge.findById(badgeId).lean();
+    if (!badge) {
+      return res.status(404).json({ error: "Badge not found" });
+    }
+    if (!badge.active) {
+      return res.status(400).json({ error: "Activate the badge before awarding it" });
+    }
+
+    res.json({ awarded: await backfillBadge(badge) });
+  } catch (error) {
+    console.error("Backfill badge error:", error);
+    res.status(500).json({ error: "Failed to award badge" });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const adminAuth = require("../middleware/adminAuth");
 const BookRequest = require("../models/BookRequest");
 const { User } = require("../models/User");
 const Book = require("../models/Book");
+const { recordBadgeEvent } = require("../utils/badges");
 
 const isValidObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
 const toStringId = (value) => value?.toString();
@@ -161,6 +162,10 @@ router.put("/admin/:id", authenticateToken, adminAuth, async (req, res) => {
         viewed: false,
       });
       await request.user.save();
+
+      if (status === "Approved") {
+        recordBadgeEvent(request.user._id, "bookRequest.approved");
+      }
     }
 
     res.json(sanitizeRequest(request));
@@ -1,82 +1,104 @@
 const express = require("express");
 const multer = require("multer");
 const path = require("path");
-const crypto = require("crypto");
-const fs = require("fs");
+const os = require("os");
 const fsp = require("fs/promises");
 const mongoose = require("mongoose");
-const pdfjsLib = require("pdfjs-dist/legacy/build/pdf");
 
 const Book = require("../models/Book");
+const BookPage = require("../models/BookPage");
+const Rating = require("../models/Rating");
+const Highlight = require("../models/Highlight");
+const Bookmark = require("../models/Bookmark");
+const BookEvent = require("../models/BookEvent");
 const { User } = require("../models/User");
 const authenticateToken = require("../middleware/authenticateToken");
 const adminAuth = require("../middleware/adminAuth");
+const { inspectPdf } = require("../utils/pdfProcessing");
+const {
+  EPUB_MIMETYPE,
+  inspectEpub,
+  listEpubChapters,
+  readEpubChapter,
+} = require("../utils/epubProcessing");
+const { indexBookText } = require("../utils/bookTextIndex");
+const { parseManifest, importBooks } = require("../utils/bookImport");
+const { hashContent, findDuplicateBooks } = require("../utils/bookDuplicates");
+const {
+  COVER_SIZES,
+  renderPdfCover,
+  generateCoverVariants,
+  getCoverVariant,
+} = require("../utils/coverImages");
+const {
+  RANGES,
+  RANKING_METRICS,
+  recordBookEvent,
+  getBookRanking,
+} = require("../utils/rankings");
+const {
+  EXPORT_FORMATS,
+  collectAnnotations,
+  renderAnnotationExport,
+} = require("../utils/annotationExport");
+const {
+  findSimilarBooks,
+  invalidateSimilarityIndex,
+} = require("../utils/similarBooks");
+const { recordReadingActivity } = require("../utils/readingGoals");
+const { recordBadgeEvent } = require("../utils/badges");
+const { HISTORY_INTERVALS, applyRating, getRatingStats } = require("../utils/ratings");
+const { trashBook } = require("../utils/bookTrash");
+const { replaceBookFiles } = require("../utils/bookFiles");
+const { storage, createUpload, newKey, toKey } = require("../utils/fileStorage");
 
 const router = express.Router();
 
-const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
-const IMAGE_DIR = path.join(UPLOADS_ROOT, "images");
-const PDF_DIR = path.join(UPLOADS_ROOT, "pdfs");
 const MAX_UPLOAD_SIZE = 50 * 1024 * 1024; // 50 MB
-const ensureDir = (dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-};
 
-ensureDir(IMAGE_DIR);
-ensureDir(PDF_DIR);
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const targetDir = file.mimetype.startsWith("image/") ? IMAGE_DIR : PDF_DIR;
-    cb(null, targetDir);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || "";
-    const name = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${ext}`;
-    cb(null, name);
-  },
-});
+// Browsers often report EPUBs as application/zip or octet-stream, so the
+// extension is trusted as well as the declared mimetype.
+const isEpubFile = (file) =>
+  file.mimetype === EPUB_MIMETYPE ||
+  path.extname(file.originalname || "").toLowerCase() === ".epub";
+
+const uploadFolder = (req, file) => {
+  if (file.mimetype.startsWith("image/")) return "images";
+  return isEpubFile(file) ? "epubs" : "pdfs";
+};
 
 const fileFilter = (req, file, cb) => {
   const isImage = file.mimetype.startsWith("image/");
   const isPdf = file.mimetype === "application/pdf";
-  if (isImage || isPdf) {
+  if (isImage || isPdf || isEpubFile(file)) {
     cb(null, true);
   } else {
-    cb(new Error("Only image and PDF uploads are allowed"), false);
+    cb(new Error("Only image, PDF and EPUB uploads are allowed"), false);
   }
 };
 
-const upload = multer({
-  storage,
+const upload = createUpload({
+  folder: uploadFolder,
   fileFilter,
   limits: { fileSize: MAX_UPLOAD_SIZE },
 });
 
+// Bulk imports are unpacked in memory, so the upload only goes to a temp file
+const importUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 500 * 1024 * 1024 },
+});
+
 const isValidObjectId = mongoose.Types.ObjectId.isValid;
 const toStringId = (value) => value?.toString();
 
-const getAbsoluteUploadPath = (relative) => {
-  if (!relative) return null;
-  const normalized = relative.startsWith("/")
-    ? relative.slice(1)
-    : relative;
-  return path.join(__dirname, "..", normalized);
-};
-
-const deleteFileSafe = async (filePath) => {
+// Takes a storage key, i.e. the `/uploads/...` path a book document keeps
+const deleteFileSafe = async (key) => {
   try {
-    if (!filePath) return;
-    const fullPath = path.isAbsolute(filePath)
-      ? filePath
-      : getAbsoluteUploadPath(filePath);
-    if (fullPath && fs.existsSync(fullPath)) {
-      await fsp.unlink(fullPath);
-    }
+    if (!key) return;
+    await storage.remove(key);
   } catch (error) {
-    console.warn("Failed to delete file:", filePath, error.message);
+    console.warn("Failed to delete file:", key, error.message);
   }
 };
 
@@ -112,7 +134,65 @@ const parseToc = (input) => {
     .filter((entry) => entry.title && entry.page !== null);
 };
 
-const sanitizeBook = (book, currentUserId) => {
+const HIGHLIGHT_COLORS = Highlight.COLORS;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+const parseTags = (input) => {
+  const tags = parseArray(input)
+    .filter((tag) => typeof tag === "string")
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+// Validates the editable parts of a highlight. Only fields present in the
+// body end up in `updates`, so it serves both create and partial update.
+const parseHighlightFields = (body) => {
+  const updates = {};
+
+  if (body.color !== undefined) {
+    if (!HIGHLIGHT_COLORS.includes(body.color)) {
+      return { error: `Color must be one of: ${HIGHLIGHT_COLORS.join(", ")}` };
+    }
+    updates.color = body.color;
+  }
+
+  if (body.note !== undefined) {
+    const note = typeof body.note === "string" ? body.note.trim() : "";
+    if (note.length > MAX_NOTE_LENGTH) {
+      return { error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` };
+    }
+    updates.note = note;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = parseTags(body.tags);
+    if (tags.length > MAX_TAGS || tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+      return {
+        error: `Use at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`,
+      };
+    }
+    updates.tags = tags;
+  }
+
+  return { updates };
+};
+
+const serializeHighlight = (entry) => ({
+  id: toStringId(entry._id),
+  text: entry.text,
+  page: entry.page,
+  coordinates: entry.coordinates,
+  color: entry.color || HIGHLIGHT_COLORS[0],
+  note: entry.note || "",
+  tags: entry.tags || [],
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt || entry.createdAt,
+});
+
+const sanitizeBook = (book) => {
   if (!book) return book;
   const plain = book.toObject ? book.toObject() : { ...book };
   plain._id = toStringId(plain._id);
@@ -121,31 +201,20 @@ const sanitizeBook = (book, currentUserId) => {
   plain.genres = Array.isArray(plain.genres)
     ? plain.genres.map((g) => g)
     : [];
+  delete plain.ratingSum;
+  delete plain.fileVersions; // Admin-only, returned by the file replacement route
 
-  const userId = toStringId(currentUserId);
-  const ratings = Array.isArray(plain.ratings) ? plain.ratings : [];
-  const bookmarks = Array.isArray(plain.bookmarks) ? plain.bookmarks : [];
-
-  const userRatingEntry = ratings.find(
-    (entry) => toStringId(entry.userId) === userId
-  );
-  plain.userRating = userRatingEntry ? userRatingEntry.rating : null;
-  plain.ratingCount = ratings.length;
-
-  if (!plain.averageRating && ratings.length) {
-    const sum = ratings.reduce((total, entry) => total + entry.rating, 0);
-    plain.averageRating = Number((sum / ratings.length).toFixed(1));
-  }
+  return plain;
+};
 
-  plain.isBookmarked = userId
-    ? bookmarks.some((entry) => toStringId(entry.userId) === userId)
-    : false;
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
 
-  delete plain.ratings;
-  delete plain.bookmarks;
-  delete plain.highlights;
+const isFlagSet = (value) => ["true", "1"].includes(String(value));
 
-  return plain;
+const saveEpubCover = async (cover) => {
+  const key = newKey("images", cover.extension);
+  await storage.write(key, cover.data, { contentType: cover.mediaType });
+  return key;
 };
 
 router.post(
@@ -155,73 +224,308 @@ router.post(
   upload.fields([
     { name: "coverImage", maxCount: 1 },
     { name: "bookPdf", maxCount: 1 },
+    { name: "bookEpub", maxCount: 1 },
   ]),
   async (req, res) => {
     const uploadedFiles = [];
 
     try {
-      const { title, author, description } = req.body;
-      const genres = parseArray(req.body.genres);
-      const toc = parseToc(req.body.toc);
+      const manualToc = parseToc(req.body.toc);
 
       const coverFile = req.files?.coverImage?.[0];
       const pdfFile = req.files?.bookPdf?.[0];
+      // Accept an EPUB sent in the PDF field too, so older clients keep working
+      const epubFile =
+        req.files?.bookEpub?.[0] ||
+        (pdfFile && isEpubFile(pdfFile) ? pdfFile : null);
+      const bookFile = epubFile || pdfFile;
+
+      uploadedFiles.push(
+        ...Object.values(req.files || {})
+          .flat()
+          .map((file) => file.key)
+      );
 
-      if (!title || !author || !description || !genres.length) {
-        return res.status(400).json({
-          message: "Title, author, description, and at least one genre are required.",
+      if (!bookFile) {
+        throw badRequest("A PDF or EPUB file is required.");
+      }
+      const fileData = await storage.read(bookFile.key);
+
+      let metadata = {};
+      let bookData;
+      let pages;
+
+      if (epubFile) {
+        const epub = inspectEpub(fileData);
+        metadata = epub;
+        pages = epub.pages;
+
+        let coverKey = coverFile?.key;
+        if (!coverKey && epub.cover) {
+          coverKey = await saveEpubCover(epub.cover);
+          uploadedFiles.push(coverKey);
+        }
+
+        bookData = {
+          format: "epub",
+          epubUrl: epubFile.key,
+          coverImage: coverKey,
+          pageCount: epub.pageCount,
+          toc: manualToc.length ? manualToc : epub.toc,
+        };
+      } else {
+        const inspected = await inspectPdf(fileData, {
+          withText: true,
+          withToc: true,
         });
+        pages = inspected.pages;
+
+        if (inspected.pageCount < 1) {
+          throw new Error("Unable to determine PDF structure.");
+        }
+
+        // Without an uploaded cover, the first page stands in for one
+        let coverKey = coverFile?.key;
+        if (!coverKey) {
+          coverKey = await renderPdfCover(fileData);
+          uploadedFiles.push(coverKey);
+        }
+
+        bookData = {
+          format: "pdf",
+          pdfUrl: pdfFile.key,
+          coverImage: coverKey,
+          pageCount: inspected.pageCount,
+          // A hand-written TOC from the upload form wins over the PDF outline
+          toc: manualToc.length ? manualToc : inspected.toc,
+        };
       }
 
-      if (!coverFile || !pdfFile) {
-        return res
-          .status(400)
-          .json({ message: "Cover image and PDF file are required." });
+      // Form fields win; EPUB metadata only fills in what was left blank
+      const title = req.body.title?.trim() || metadata.title;
+      const author = req.body.author?.trim() || metadata.author;
+      const description = req.body.description?.trim() || metadata.description;
+      const genres = parseArray(req.body.genres);
+      if (!genres.length && metadata.subjects) {
+        genres.push(...metadata.subjects);
       }
 
-      uploadedFiles.push(coverFile.path, pdfFile.path);
+      if (!title || !author || !description || !genres.length) {
+        throw badRequest(
+          "Title, author, description, and at least one genre are required."
+        );
+      }
 
-      const pdfBuffer = await fsp.readFile(pdfFile.path);
-      const pdfDocument = await pdfjsLib
-        .getDocument({ data: pdfBuffer })
-        .promise;
-      const pageCount = pdfDocument.numPages;
-      pdfDocument.destroy();
+      if (!bookData.coverImage) {
+        throw badRequest("Cover image is required for EPUBs without one of their own.");
+      }
 
-      if (pageCount < 1) {
-        throw new Error("Unable to determine PDF structure.");
+      // An admin who has seen the matches can resend with allowDuplicate
+      const contentHash = await hashContent(fileData);
+      if (!isFlagSet(req.body.allowDuplicate)) {
+        const duplicates = await findDuplicateBooks({ contentHash, title, author });
+        if (duplicates.length) {
+          throw Object.assign(
+            new Error("This book looks like one already in the library."),
+            { status: 409, duplicates }
+          );
+        }
       }
 
       const book = await Book.create({
-        title: title.trim(),
-        author: author.trim(),
-        description: description.trim(),
+        ...bookData,
+        title,
+        author,
+        description,
         genres,
-        coverImage: `/uploads/images/${path.basename(coverFile.path)}`,
-        pdfUrl: `/uploads/pdfs/${path.basename(pdfFile.path)}`,
-        pageCount,
-        toc,
+        contentHash,
       });
 
+      try {
+        await indexBookText(book, pages);
+      } catch (indexError) {
+        console.warn("Book text indexing failed:", book._id, indexError.message);
+      }
+      try {
+        await generateCoverVariants(book.coverImage);
+      } catch (coverError) {
+        console.warn("Cover thumbnail generation failed:", book._id, coverError.message);
+      }
+      invalidateSimilarityIndex();
+
       res.status(201).json({
         message: "Book uploaded successfully",
         book: sanitizeBook(book),
       });
     } catch (error) {
-      console.error("Book upload error:", error);
-      await Promise.all(uploadedFiles.map((filePath) => deleteFileSafe(filePath)));
-      const status = error.name === "ValidationError" ? 400 : 500;
+      if (!error.status) {
+        console.error("Book upload error:", error);
+      }
+      await Promise.all(uploadedFiles.map((key) => deleteFileSafe(key)));
+      const status =
+        error.status || (error.name === "ValidationError" ? 400 : 500);
       res.status(status).json({
         message: error.message || "Server error during upload",
+        ...(error.duplicates && { duplicates: error.duplicates }),
       });
     }
   }
 );
 
+// Adds many books at once from a CSV/JSON manifest and a ZIP of their files.
+// Always answers with a per-row report; `dryRun` only validates.
+router.post(
+  "/import",
+  authenticateToken,
+  adminAuth,
+  importUpload.fields([
+    { name: "manifest", maxCount: 1 },
+    { name: "archive", maxCount: 1 },
+  ]),
+  async (req, res) => {
+    const manifestFile = req.files?.manifest?.[0];
+    const archiveFile = req.files?.archive?.[0];
+
+    try {
+      if (!manifestFile || !archiveFile) {
+        throw badRequest("A manifest and a ZIP archive are required.");
+      }
+
+      const rows = parseManifest(
+        await fsp.readFile(manifestFile.path),
+        manifestFile.originalname
+      );
+      const dryRun = isFlagSet(req.body.dryRun);
+      const report = await importBooks({ rows, archive: archiveFile.path, dryRun });
+
+      res.status(!dryRun && report.imported ? 201 : 200).json(report);
+    } catch (error) {
+      if (!error.status) {
+        console.error("Book import error:", error);
+      }
+      res.status(error.status || 500).json({
+        message: error.message || "Server error during import",
+      });
+    } finally {
+      // Temp files, not stored uploads
+      await Promise.all(
+        [manifestFile, archiveFile]
+          .filter(Boolean)
+          .map((file) => fsp.unlink(file.path).catch(() => {}))
+      );
+    }
+  }
+);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SIMILAR_LIMIT = 6;
+const MAX_SIMILAR_LIMIT = 20;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  rating: { averageRating: -1, ratingCount: -1, createdAt: -1 },
+  popular: { reads: -1, createdAt: -1 },
+  title: { title: 1 },
+  pages: { pageCount: 1, createdAt: -1 },
+};
+
+const parseNumberParam = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const buildRangeFilter = (min, max) => {
+  const range = {};
+  if (min !== null) range.$gte = min;
+  if (max !== null) range.$lte = max;
+  return Object.keys(range).length ? range : null;
+};
+
+// Translates the GET /api/books query string into a Mongo filter, sort and
+// paging window. Unknown or malformed values are ignored rather than rejected
+// so old clients that send extra params keep working.
+const buildBookQuery = (query = {}) => {
+  const filter = {};
+  const search = typeof query.q === "string" ? query.q.trim() : "";
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  const genres = parseArray(query.genres ?? query.genre)
+    .filter((genre) => typeof genre === "string" && genre.trim())
+    .filter((genre) => genre.trim().toLowerCase() !== "all")
+    .map(Book.normalizeGenre);
+  if (genres.length) {
+    filter.genres = { $in: genres };
+  }
+
+  const ratingRange = buildRangeFilter(
+    parseNumberParam(query.minRating),
+    parseNumberParam(query.maxRating)
+  );
+  if (ratingRange) {
+    filter.averageRating = ratingRange;
+  }
+
+  const pageRange = buildRangeFilter(
+    parseNumberParam(query.minPages),
+    parseNumberParam(query.maxPages)
+  );
+  if (pageRange) {
+    filter.pageCount = pageRange;
+  }
+
+  let sort = SORT_OPTIONS[query.sort] || null;
+  if (!sort) {
+    sort = search
+      ? { score: { $meta: "textScore" }, averageRating: -1 }
+      : SORT_OPTIONS.newest;
+  }
+
+  const limit = Math.min(
+    parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE),
+    MAX_PAGE_SIZE
+  );
+  const page = parsePositiveInt(query.page, 1);
+
+  return {
+    filter,
+    sort,
+    projection: search ? { score: { $meta: "textScore" } } : undefined,
+    page,
+    limit,
+  };
+};
+
 router.get("/", authenticateToken, async (req, res) => {
   try {
-    const books = await Book.find().sort({ createdAt: -1 }).lean();
-    res.json(books.map((book) => sanitizeBook(book, req.user._id)));
+    const { filter, sort, projection, page, limit } = buildBookQuery(req.query);
+
+    const [books, total] = await Promise.all([
+      Book.find(filter, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Book.countDocuments(filter),
+    ]);
+
+    res.json({
+      books: books.map((book) => sanitizeBook(book)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
   } catch (error) {
     console.error("Fetch books error:", error);
     res.status(500).json({ message: "Failed to fetch books" });
@@ -238,49 +542,216 @@ router.get("/genres", authenticateToken, async (req, res) => {
   }
 });
 
-router.get("/rankings/reads", authenticateToken, async (req, res) => {
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (value = "") =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseSearchPhrase = (value) =>
+  typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "";
+
+// Returns a short excerpt around the first match of `phrase`, falling back to
+// the start of the page when the text index matched on a stemmed form.
+const buildSnippet = (text = "", phrase = "") => {
+  const flat = text.replace(/\s+/g, " ");
+  const index = flat.toLowerCase().indexOf(phrase.toLowerCase());
+  if (index === -1) {
+    return flat.slice(0, SNIPPET_RADIUS * 2).trim();
+  }
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, index + phrase.length + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${flat.slice(start, end).trim()}${
+    end < flat.length ? "…" : ""
+  }`;
+};
+
+router.get("/search", authenticateToken, async (req, res) => {
   try {
-    const books = await Book.find().sort({ reads: -1 }).limit(10).lean();
-    res.json(books.map((book) => sanitizeBook(book, req.user._id)));
+    const phrase = parseSearchPhrase(req.query.q);
+    if (!phrase) {
+      return res.status(400).json({ error: "Search phrase is required" });
+    }
+
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+    const page = parsePositiveInt(req.query.page, 1);
+    // Quoting the phrase makes $text require it verbatim instead of OR-ing words
+    const textFilter = { $text: { $search: `"${phrase.replace(/"/g, "")}"` } };
+    // Pages of trashed or deleted books are left out before counting and
+    // paging, so totals match the results
+    const matchedBooks = await BookPage.distinct("book", textFilter);
+    const liveBooks = await Book.distinct("_id", { _id: { $in: matchedBooks } });
+    const filter = { ...textFilter, book: { $in: liveBooks } };
+
+    const [hits, total] = await Promise.all([
+      BookPage.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("book", "title author coverImage")
+        .lean(),
+      BookPage.countDocuments(filter),
+    ]);
+
+    res.json({
+      results: hits
+        .filter((hit) => hit.book)
+        .map((hit) => ({
+          book: {
+            _id: toStringId(hit.book._id),
+            title: hit.book.title,
+            author: hit.book.author,
+            coverImage: hit.book.coverImage,
+          },
+          page: hit.page,
+          snippet: buildSnippet(hit.text, phrase),
+        })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
   } catch (error) {
-    console.error("Reads ranking error:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Full-text search error:", error);
+    res.status(500).json({ error: "Failed to search books" });
   }
 });
 
-router.get("/rankings/most-visited", authenticateToken, async (req, res) => {
+// Every highlight the current user has made, newest first, optionally
+// narrowed to one book (`book`) or one tag (`tag`).
+router.get("/annotations", authenticateToken, async (req, res) => {
   try {
-    const books = await Book.find().sort({ reads: -1 }).limit(10).lean();
-    res.json(books.map((book) => sanitizeBook(book, req.user._id)));
+    const { book: bookId } = req.query;
+    const tag = typeof req.query.tag === "string" ? req.query.tag.trim().toLowerCase() : "";
+
+    if (bookId && !isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const filter = { user: req.user._id };
+    if (bookId) filter.book = bookId;
+    if (tag) filter.tags = tag;
+    // Highlights on trashed or deleted books are left out before counting and
+    // paging, so totals match the listing
+    const highlightedBooks = await Highlight.distinct("book", filter);
+    filter.book = { $in: await Book.distinct("_id", { _id: { $in: highlightedBooks } }) };
+
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+
+    // The tag filter applies to the listing only, so `tags` still offers
+    // every tag the user has used
+    const [highlights, total, tags] = await Promise.all([
+      Highlight.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("book", "title author coverImage")
+        .lean(),
+      Highlight.countDocuments(filter),
+      Highlight.distinct("tags", { user: req.user._id }),
+    ]);
+
+    res.json({
+      annotations: highlights
+        .filter((entry) => entry.book)
+        .map((entry) => ({
+          ...serializeHighlight(entry),
+          book: {
+            _id: toStringId(entry.book._id),
+            title: entry.book.title,
+            author: entry.book.author,
+            coverImage: entry.book.coverImage,
+          },
+        })),
+      tags: tags.sort(),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
   } catch (error) {
-    console.error("Most visited ranking error:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Annotations fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch annotations" });
   }
 });
 
-router.get("/rankings/highest-rated", authenticateToken, async (req, res) => {
+const ANNOTATION_EXPORT_FIELDS = "title author toc";
+
+const loadUserAnnotations = (userId, bookFilter = {}) =>
+  Promise.all([
+    Highlight.find({ user: userId, ...bookFilter }).lean(),
+    Bookmark.find({ user: userId, ...bookFilter }).lean(),
+  ]);
+
+const sendAnnotationExport = async (req, res, books, bookFilter, filenameBase) => {
+  const format = req.query.format || "md";
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  const [highlights, bookmarks] = await loadUserAnnotations(req.user._id, bookFilter);
+  const { body, contentType, extension } = renderAnnotationExport(
+    collectAnnotations(books, highlights, bookmarks),
+    format
+  );
+  const filename = filenameBase.replace(/[^\w.-]+/g, "-").slice(0, 80) || "annotations";
+
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}.${extension}"`,
+  });
+  res.send(body);
+};
+
+// All of the current user's highlights and bookmarks across books
+router.get("/annotations/export", authenticateToken, async (req, res) => {
   try {
-    const books = await Book.find()
-      .sort({ averageRating: -1, ratingCount: -1 })
-      .limit(10)
+    const [highlightBooks, bookmarkBooks] = await Promise.all([
+      Highlight.distinct("book", { user: req.user._id }),
+      Bookmark.distinct("book", { user: req.user._id }),
+    ]);
+    const books = await Book.find(
+      { _id: { $in: [...highlightBooks, ...bookmarkBooks] } },
+      ANNOTATION_EXPORT_FIELDS
+    )
+      .sort({ title: 1 })
       .lean();
-    res.json(books.map((book) => sanitizeBook(book, req.user._id)));
+
+    await sendAnnotationExport(req, res, books, {}, "club-lit-annotations");
   } catch (error) {
-    console.error("Highest rated ranking error:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Annotation export error:", error);
+    res.status(500).json({ error: "Failed to export annotations" });
   }
 });
 
-router.get("/rankings/most-discussed", authenticateToken, async (req, res) => {
+// `range` is one of RANGES (daily, weekly, monthly, yearly, all); without it
+// the all-time ranking is returned.
+router.get("/rankings/:metric", authenticateToken, async (req, res) => {
   try {
-    const books = await Book.aggregate([
-      { $project: { title: 1, author: 1, commentCount: { $size: "$comments" } } },
-      { $sort: { commentCount: -1 } },
-      { $limit: 10 },
-    ]);
-    res.json(books);
+    const { metric } = req.params;
+    const range = req.query.range || "all";
+
+    if (!RANKING_METRICS.includes(metric)) {
+      return res.status(404).json({ error: "Unknown ranking" });
+    }
+    if (!RANGES[range]) {
+      return res.status(400).json({
+        error: `Range must be one of: ${Object.keys(RANGES).join(", ")}`,
+      });
+    }
+
+    const books = await getBookRanking(metric, range);
+    res.json(books.map((book) => sanitizeBook(book)));
   } catch (error) {
-    console.error("Most discussed ranking error:", error);
+    console.error("Book ranking error:", error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -298,59 +769,69 @@ router.post("/:bookId/rate", authenticateToken, async (req, res) => {
       return res.status(400).json({ message: "Rating must be between 0 and 5" });
     }
 
-    const userId = new mongoose.Types.ObjectId(req.user._id);
-    const book = await Book.findById(bookId);
-
-    if (!book) {
+    const totals = await applyRating(bookId, req.user._id, rating);
+    if (!totals) {
       return res.status(404).json({ message: "Book not found" });
     }
 
-    book.ratings = Array.isArray(book.ratings) ? book.ratings : [];
-    const existingRating = book.ratings.find((entry) =>
-      entry.userId.equals(userId)
-    );
+    res.json({ ...totals, userRating: rating });
+  } catch (error) {
+    console.error("Rating error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    if (existingRating) {
-      existingRating.rating = rating;
-      existingRating.updatedAt = new Date();
-    } else {
-      book.ratings.push({ userId, rating });
+// Star distribution, rating history and Bayesian-weighted score
+router.get("/:bookId/ratings", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    const interval = req.query.interval || "month";
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+    if (!HISTORY_INTERVALS[interval]) {
+      return res.status(400).json({
+        error: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(", ")}`,
+      });
     }
 
-    const total = book.ratings.reduce((sum, entry) => sum + entry.rating, 0);
-    book.ratingCount = book.ratings.length;
-    book.averageRating = Number((total / book.ratingCount).toFixed(1));
+    const stats = await getRatingStats(bookId, { interval });
+    if (!stats) {
+      return res.status(404).json({ error: "Book not found" });
+    }
 
-    await book.save();
+    res.json(stats);
+  } catch (error) {
+    console.error("Rating stats error:", error);
+    res.status(500).json({ error: "Failed to fetch rating stats" });
+  }
+});
 
-    res.json({
-      averageRating: book.averageRating,
-      ratingCount: book.ratingCount,
-      userRating: rating,
+const sendPdfFile = async (req, res) => {
+  const filename = path.basename(req.params.filename);
+  try {
+    const sent = await storage.send(req, res, toKey("pdfs", filename), {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${filename}"`,
+      },
     });
+    if (!sent) {
+      res.status(404).json({ error: "PDF not found" });
+    }
   } catch (error) {
-    console.error("Rating error:", error);
-    res.status(500).json({ message: "Server error" });
+    console.error("PDF file error:", error);
+    if (!res.headersSent) {
+      res.status(error.status || 500).json({ error: "Error streaming PDF" });
+    }
   }
-});
+};
 
 router.get("/:filename", (req, res, next) => {
-  const { filename } = req.params;
-  if (!filename.includes(".")) {
+  if (!req.params.filename.includes(".")) {
     return next();
   }
-
-  const pdfPath = path.join(PDF_DIR, filename);
-  if (!fs.existsSync(pdfPath)) {
-    return res.status(404).json({ error: "PDF not found" });
-  }
-
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `inline; filename="${path.basename(pdfPath)}"`
-  );
-  res.sendFile(pdfPath);
+  sendPdfFile(req, res);
 });
 
 router.get("/:bookId", authenticateToken, async (req, res) => {
@@ -360,31 +841,19 @@ router.get("/:bookId", authenticateToken, async (req, res) => {
       return res.status(400).json({ message: "Invalid book ID" });
     }
 
-    const book = await Book.findById(bookId)
-      .populate("comments.userId", "UserName avatar")
-      .lean();
-
+    const book = await Book.findById(bookId).lean();
     if (!book) {
       return res.status(404).json({ message: "Book not found" });
     }
 
-    const sanitized = sanitizeBook(book, req.user._id);
-    sanitized.comments = (book.comments || []).map((comment) => ({
-      _id: toStringId(comment._id),
-      text: comment.text,
-      createdAt: comment.createdAt,
-      user: comment.userId
-        ? {
-            _id: toStringId(comment.userId._id ?? comment.userId),
-            UserName: comment.userId.UserName ?? "Unknown",
-            avatar: comment.userId.avatar ?? null,
-          }
-        : {
-            _id: null,
-            UserName: "Unknown",
-            avatar: null,
-          },
-    }));
+    const [userRating, isBookmarked] = await Promise.all([
+      Rating.findOne({ book: bookId, user: req.user._id }, "rating").lean(),
+      Bookmark.exists({ book: bookId, user: req.user._id }),
+    ]);
+
+    const sanitized = sanitizeBook(book);
+    sanitized.userRating = userRating ? userRating.rating : null;
+    sanitized.isBookmarked = Boolean(isBookmarked);
 
     res.json(sanitized);
   } catch (error) {
@@ -393,166 +862,221 @@ router.get("/:bookId", authenticateToken, async (req, res) => {
   }
 });
 
-router.post("/:bookId/comments", authenticateToken, async (req, res) => {
+router.get("/:bookId/similar", authenticateToken, async (req, res) => {
   try {
     const { bookId } = req.params;
-    const text = (req.body.text || "").trim();
-
     if (!isValidObjectId(bookId)) {
-      return res.status(400).json({ message: "Invalid book ID" });
+      return res.status(400).json({ error: "Invalid book ID" });
     }
 
-    if (!text) {
-      return res.status(400).json({ message: "Comment text is required" });
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, DEFAULT_SIMILAR_LIMIT),
+      MAX_SIMILAR_LIMIT
+    );
+    const books = await findSimilarBooks(bookId, { limit });
+    if (!books) {
+      return res.status(404).json({ error: "Book not found" });
     }
 
-    const book = await Book.findById(bookId);
-    if (!book) {
-      return res.status(404).json({ message: "Book not found" });
+    res.json(books.map((book) => sanitizeBook(book)));
+  } catch (error) {
+    console.error("Similar books error:", error);
+    res.status(500).json({ error: "Failed to find similar books" });
+  }
+});
+
+router.get("/pdf/:filename", authenticateToken, sendPdfFile);
+
+// Covers are served at their original size unless `size` asks for a
+// thumbnail, which comes back as WebP when the browser says it accepts it.
+// File names are unique per upload, so responses can be cached for good.
+router.get("/image/:filename", async (req, res) => {
+  try {
+    const coverKey = toKey("images", path.basename(req.params.filename));
+    const { size } = req.query;
+    const cacheHeaders = { "Cache-Control": "public, max-age=31536000, immutable" };
+
+    if (size === undefined) {
+      const sent = await storage.send(req, res, coverKey, { headers: cacheHeaders });
+      if (!sent) {
+        res.status(404).json({ error: "Image not found" });
+      }
+      return;
     }
 
-    const comment = {
-      userId: req.user._id,
-      text,
-      createdAt: new Date(),
-    };
-
-    book.comments = Array.isArray(book.comments) ? book.comments : [];
-    book.comments.push(comment);
-    await book.save();
-
-    const populated = await Book.findById(bookId)
-      .select({ comments: { $slice: -1 } })
-      .populate("comments.userId", "UserName avatar");
-
-    const savedComment = populated?.comments?.[0];
-    res.status(201).json({
-      _id: toStringId(savedComment?._id),
-      text: savedComment?.text,
-      createdAt: savedComment?.createdAt,
-      user: savedComment?.userId
-        ? {
-            _id: toStringId(savedComment.userId._id ?? savedComment.userId),
-            UserName: savedComment.userId.UserName ?? "Unknown",
-            avatar: savedComment.userId.avatar ?? null,
-          }
-        : {
-            _id: req.user._id,
-            UserName: "Unknown",
-            avatar: null,
-          },
-    });
+    if (!COVER_SIZES[size]) {
+      return res.status(400).json({
+        error: `size must be one of: ${Object.keys(COVER_SIZES).join(", ")}`,
+      });
+    }
+
+    const format = /image\/webp/.test(req.get("Accept") || "") ? "webp" : "jpeg";
+    const variant = await getCoverVariant(coverKey, size, format);
+    if (!variant) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    res.set("Vary", "Accept");
+    await storage.send(req, res, variant, { headers: cacheHeaders });
   } catch (error) {
-    console.error("Comment error:", error);
-    res.status(500).json({ message: "Internal Server Error" });
+    console.error("Cover image error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to load image" });
+    }
   }
 });
 
-router.get("/:bookId/comments", authenticateToken, async (req, res) => {
+router.get("/:bookId/pdf", authenticateToken, async (req, res) => {
   try {
     const { bookId } = req.params;
     if (!isValidObjectId(bookId)) {
-      return res.status(400).json({ message: "Invalid book ID" });
+      return res.status(400).json({ error: "Invalid book ID" });
     }
 
-    const book = await Book.findById(bookId).populate(
-      "comments.userId",
-      "UserName avatar"
-    );
+    const book = await Book.findById(bookId, "title pdfUrl");
     if (!book) {
-      return res.status(404).json({ message: "Book not found" });
+      return res.status(404).json({ error: "Book not found" });
     }
 
-    const comments = (book.comments || []).map((comment) => ({
-      _id: toStringId(comment._id),
-      text: comment.text,
-      createdAt: comment.createdAt,
-      user: comment.userId
-        ? {
-            _id: toStringId(comment.userId._id ?? comment.userId),
-            UserName: comment.userId.UserName ?? "Unknown",
-            avatar: comment.userId.avatar ?? null,
-          }
-        : { _id: null, UserName: "Unknown", avatar: null },
-    }));
-
-    res.json(comments);
+    // Both storage drivers answer Range requests, so pdf.js can fetch large
+    // books in chunks
+    const sent =
+      book.pdfUrl &&
+      (await storage.send(req, res, book.pdfUrl, {
+        headers: {
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `inline; filename="${encodeURIComponent(book.title)}.pdf"`,
+          "Cache-Control": "private, no-cache",
+        },
+      }));
+    if (!sent) {
+      return res.status(404).json({ error: "PDF not found" });
+    }
   } catch (error) {
-    console.error("Get comments error:", error);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-router.get("/pdf/:filename", authenticateToken, (req, res) => {
-  const pdfPath = path.join(PDF_DIR, req.params.filename);
-  if (!fs.existsSync(pdfPath)) {
-    return res.status(404).json({ error: "PDF not found" });
-  }
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `inline; filename="${path.basename(pdfPath)}"`
-  );
-  res.sendFile(pdfPath);
-});
-
-router.get("/image/:filename", (req, res) => {
-  const imagePath = path.join(IMAGE_DIR, req.params.filename);
-  if (!fs.existsSync(imagePath)) {
-    return res.status(404).json({ error: "Image not found" });
+    console.error("PDF delivery error:", error);
+    if (!res.headersSent) {
+      res.status(error.status || 500).json({ error: "Error streaming PDF" });
+    }
   }
-  res.sendFile(imagePath);
 });
 
-router.get("/:bookId/pdf", authenticateToken, async (req, res) => {
+// Called by the reader once per open; the PDF stream itself is fetched in
+// many range requests, so counting bytes served would inflate `reads`.
+router.post("/:bookId/open", authenticateToken, async (req, res) => {
   try {
     const { bookId } = req.params;
     if (!isValidObjectId(bookId)) {
       return res.status(400).json({ error: "Invalid book ID" });
     }
 
-    const book = await Book.findById(bookId);
+    const book = await Book.findByIdAndUpdate(
+      bookId,
+      { $inc: { reads: 1 } },
+      { new: true, projection: { reads: 1 } }
+    );
     if (!book) {
       return res.status(404).json({ error: "Book not found" });
     }
 
-    const pdfPath = getAbsoluteUploadPath(book.pdfUrl);
-    if (!pdfPath || !fs.existsSync(pdfPath)) {
-      return res.status(404).json({ error: "PDF not found" });
-    }
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { bookHistory: book._id } }
+    );
+    recordBookEvent("read", { book: book._id, user: req.user._id });
+    recordReadingActivity(req.user._id, { opens: 1 });
+    recordBadgeEvent(req.user._id, "book.opened");
 
-    const stats = await fsp.stat(pdfPath);
-    if (stats.size < 256) {
-      console.warn("PDF file appears unusually small:", pdfPath);
-    }
+    res.json({ reads: book.reads });
+  } catch (error) {
+    console.error("Book open error:", error);
+    res.status(500).json({ error: "Failed to record book open" });
+  }
+});
 
-    res.set({
-      "Content-Type": "application/pdf",
-      "Content-Length": stats.size,
-      "Content-Disposition": `inline; filename="${book.title}.pdf"`,
-    });
+const loadEpubBook = async (req, res) => {
+  const { bookId } = req.params;
+  if (!isValidObjectId(bookId)) {
+    res.status(400).json({ error: "Invalid book ID" });
+    return null;
+  }
+
+  const book = await Book.findById(bookId, "format epubUrl");
+  if (!book) {
+    res.status(404).json({ error: "Book not found" });
+    return null;
+  }
+
+  const epubData = book.format === "epub" && book.epubUrl && (await storage.read(book.epubUrl));
+  if (!epubData) {
+    res.status(404).json({ error: "EPUB not found" });
+    return null;
+  }
+
+  return epubData;
+};
+
+router.get("/:bookId/epub/chapters", authenticateToken, async (req, res) => {
+  try {
+    const epubData = await loadEpubBook(req, res);
+    if (!epubData) return;
+
+    res.json(listEpubChapters(epubData));
+  } catch (error) {
+    console.error("EPUB chapters error:", error);
+    res.status(error.status || 500).json({ error: "Failed to read EPUB" });
+  }
+});
 
-    const stream = fs.createReadStream(pdfPath);
-    stream.on("error", (err) => {
-      console.error("Stream error:", err);
-      if (!res.headersSent) {
-        res.status(500).json({ error: "Error streaming PDF" });
+router.get(
+  "/:bookId/epub/chapters/:chapter",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const chapter = parsePositiveInt(req.params.chapter, null);
+      if (!chapter) {
+        return res.status(400).json({ error: "Invalid chapter number" });
       }
-    });
-    stream.on("end", async () => {
-      try {
-        book.reads = (book.reads || 0) + 1;
-        await book.save();
-      } catch (dbError) {
-        console.error("Failed to update read count:", dbError);
+
+      const epubData = await loadEpubBook(req, res);
+      if (!epubData) return;
+
+      const content = readEpubChapter(epubData, chapter);
+      if (!content) {
+        return res.status(404).json({ error: "Chapter not found" });
       }
-    });
-    stream.pipe(res);
+
+      res.json(content);
+    } catch (error) {
+      console.error("EPUB chapter error:", error);
+      res.status(error.status || 500).json({ error: "Failed to read EPUB" });
+    }
+  }
+);
+
+const DUPLICATE_KEY = 11000;
+
+// Two saves of the same new bookmark can race on the unique index; the loser
+// retries and just refreshes the one the other created
+const upsertBookmark = async (filter) => {
+  const update = () =>
+    Bookmark.findOneAndUpdate(filter, { $set: { createdAt: new Date() } }, { upsert: true });
+  try {
+    return await update();
   } catch (error) {
-    console.error("PDF delivery error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return update();
   }
-});
+};
+
+const listUserBookmarks = async (bookId, userId) => {
+  const bookmarks = await Bookmark.find({ book: bookId, user: userId })
+    .sort({ createdAt: -1 })
+    .lean();
+  return bookmarks.map((entry) => ({
+    page: entry.page,
+    createdAt: entry.createdAt,
+  }));
+};
 
 router.post("/:bookId/bookmarks", authenticateToken, async (req, res) => {
   try {
@@ -567,37 +1091,14 @@ router.post("/:bookId/bookmarks", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Valid page number is required" });
     }
 
-    const book = await Book.findById(bookId);
-    if (!book) {
+    if (!(await Book.exists({ _id: bookId }))) {
       return res.status(404).json({ error: "Book not found" });
     }
 
-    book.bookmarks = Array.isArray(book.bookmarks) ? book.bookmarks : [];
-    book.bookmarks = book.bookmarks.filter(
-      (entry) =>
-        !(
-          toStringId(entry.userId) === req.user._id &&
-          entry.page === page
-        )
-    );
+    // Re-bookmarking a page just moves it to the top of the list
+    await upsertBookmark({ book: bookId, user: req.user._id, page });
 
-    book.bookmarks.push({
-      userId: req.user._id,
-      page,
-      createdAt: new Date(),
-    });
-
-    await book.save();
-
-    const userBookmarks = book.bookmarks.filter(
-      (entry) => toStringId(entry.userId) === req.user._id
-    );
-    res.status(201).json(
-      userBookmarks.map((entry) => ({
-        page: entry.page,
-        createdAt: entry.createdAt,
-      }))
-    );
+    res.status(201).json(await listUserBookmarks(bookId, req.user._id));
   } catch (error) {
     console.error("Bookmark error:", error);
     res.status(500).json({ error: "Server error" });
@@ -611,19 +1112,11 @@ router.get("/:bookId/bookmarks", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Invalid book ID" });
     }
 
-    const book = await Book.findById(bookId).lean();
-    if (!book) {
+    if (!(await Book.exists({ _id: bookId }))) {
       return res.status(404).json({ error: "Book not found" });
     }
 
-    const bookmarks = (book.bookmarks || [])
-      .filter((entry) => toStringId(entry.userId) === req.user._id)
-      .map((entry) => ({
-        page: entry.page,
-        createdAt: entry.createdAt,
-      }));
-
-    res.json(bookmarks);
+    res.json(await listUserBookmarks(bookId, req.user._id));
   } catch (error) {
     console.error("Get bookmarks error:", error);
     res.status(500).json({ error: "Server error" });
@@ -637,21 +1130,15 @@ router.get("/:bookId/highlights", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Invalid book ID" });
     }
 
-    const book = await Book.findById(bookId).lean();
-    if (!book) {
+    if (!(await Book.exists({ _id: bookId }))) {
       return res.status(404).json({ error: "Book not found" });
     }
 
-    const highlights = (book.highlights || [])
-      .filter((entry) => toStringId(entry.userId) === req.user._id)
-      .map((entry) => ({
-        text: entry.text,
-        page: entry.page,
-        coordinates: entry.coordinates,
-        createdAt: entry.createdAt,
-      }));
+    const highlights = await Highlight.find({ book: bookId, user: req.user._id })
+      .sort({ page: 1, createdAt: 1 })
+      .lean();
 
-    res.json(highlights);
+    res.json(highlights.map(serializeHighlight));
   } catch (error) {
     console.error("Highlights fetch error:", error);
     res.status(500).json({ error: "Server error" });
@@ -671,35 +1158,181 @@ router.post("/:bookId/highlights", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Valid page number is required" });
     }
 
-    const book = await Book.findById(bookId);
-    if (!book) {
+    const fields = parseHighlightFields(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    if (!(await Book.exists({ _id: bookId }))) {
       return res.status(404).json({ error: "Book not found" });
     }
 
-    const highlight = {
-      userId: req.user._id,
+    const highlight = await Highlight.create({
+      user: req.user._id,
+      book: bookId,
       text: text || "",
       page,
       coordinates: coordinates || null,
-      createdAt: new Date(),
-    };
-
-    book.highlights = Array.isArray(book.highlights) ? book.highlights : [];
-    book.highlights.push(highlight);
-    await book.save();
-
-    res.status(201).json({
-      text: highlight.text,
-      page: highlight.page,
-      coordinates: highlight.coordinates,
-      createdAt: highlight.createdAt,
+      ...fields.updates,
     });
+
+    res.status(201).json(serializeHighlight(highlight));
   } catch (error) {
     console.error("Highlight error:", error);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+router.get(
+  "/:bookId/annotations/export",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { bookId } = req.params;
+      if (!isValidObjectId(bookId)) {
+        return res.status(400).json({ error: "Invalid book ID" });
+      }
+
+      const book = await Book.findById(bookId, ANNOTATION_EXPORT_FIELDS).lean();
+      if (!book) {
+        return res.status(404).json({ error: "Book not found" });
+      }
+
+      await sendAnnotationExport(
+        req,
+        res,
+        [book],
+        { book: book._id },
+        `${book.title}-annotations`
+      );
+    } catch (error) {
+      console.error("Book annotation export error:", error);
+      res.status(500).json({ error: "Failed to export annotations" });
+    }
+  }
+);
+
+const highlightFilter = (req, res) => {
+  const { bookId, highlightId } = req.params;
+  if (!isValidObjectId(bookId) || !isValidObjectId(highlightId)) {
+    res.status(400).json({ error: "Invalid book or highlight ID" });
+    return null;
+  }
+  // Someone else's highlight is reported as missing rather than forbidden
+  return { _id: highlightId, book: bookId, user: req.user._id };
+};
+
+router.put(
+  "/:bookId/highlights/:highlightId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const filter = highlightFilter(req, res);
+      if (!filter) return;
+
+      const fields = parseHighlightFields(req.body);
+      if (fields.error) {
+        return res.status(400).json({ error: fields.error });
+      }
+
+      const highlight = await Highlight.findOneAndUpdate(
+        filter,
+        { $set: fields.updates },
+        { new: true, runValidators: true }
+      );
+      if (!highlight) {
+        return res.status(404).json({ error: "Highlight not found" });
+      }
+
+      res.json(serializeHighlight(highlight));
+    } catch (error) {
+      console.error("Highlight update error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/:bookId/highlights/:highlightId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const filter = highlightFilter(req, res);
+      if (!filter) return;
+
+      const highlight = await Highlight.findOneAndDelete(filter);
+      if (!highlight) {
+        return res.status(404).json({ error: "Highlight not found" });
+      }
+
+      res.json({ message: "Highlight deleted", id: toStringId(highlight._id) });
+    } catch (error) {
+      console.error("Highlight delete error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+router.get("/:bookId/search", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const phrase = parseSearchPhrase(req.query.q);
+    if (!phrase) {
+      return res.status(400).json({ error: "Search phrase is required" });
+    }
+
+    const book = await Book.findById(bookId, "textIndexedAt").lean();
+    if (!book) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+
+    const pattern = new RegExp(escapeRegExp(phrase).replace(/ /g, "\\s+"), "i");
+    const pages = await BookPage.find({ book: bookId, text: pattern })
+      .sort({ page: 1 })
+      .lean();
+
+    res.json({
+      indexed: Boolean(book.textIndexedAt),
+      hits: pages.map((entry) => ({
+        page: entry.page,
+        snippet: buildSnippet(entry.text, phrase),
+      })),
+    });
+  } catch (error) {
+    console.error("Search inside book error:", error);
+    res.status(500).json({ error: "Failed to search book" });
+  }
+});
+
+router.post(
+  "/:bookId/text-index",
+  authenticateToken,
+  adminAuth,
+  async (req, res) => {
+    try {
+      const { bookId } = req.params;
+      if (!isValidObjectId(bookId)) {
+        return res.status(400).json({ error: "Invalid book ID" });
+      }
+
+      const book = await Book.findById(bookId, "format pdfUrl epubUrl");
+      if (!book) {
+        return res.status(404).json({ error: "Book not found" });
+      }
+
+      const indexedPages = await indexBookText(book);
+      res.json({ message: "Book text re-indexed", indexedPages });
+    } catch (error) {
+      console.error("Book text index error:", error);
+      res.status(500).json({ error: "Failed to index book text" });
+    }
+  }
+);
+
 router.put(
   "/:bookId/admin",
   authenticateToken,
@@ -739,6 +1372,7 @@ router.put(
       if (!book) {
         return res.status(404).json({ error: "Book not found" });
       }
+      invalidateSimilarityIndex();
 
       res.json(sanitizeBook(book));
     } catch (error) {
@@ -748,6 +1382,85 @@ router.put(
   }
 );
 
+// Swaps in a corrected PDF/EPUB (`bookPdf` or `bookEpub`) and/or cover
+// without recreating the book, so ratings, reviews and reading data stay.
+// Replaced files are kept as versions; the response warns about bookmarks
+// and highlights beyond the new last page.
+router.put(
+  "/:bookId/admin/files",
+  authenticateToken,
+  adminAuth,
+  upload.fields([
+    { name: "coverImage", maxCount: 1 },
+    { name: "bookPdf", maxCount: 1 },
+    { name: "bookEpub", maxCount: 1 },
+  ]),
+  async (req, res) => {
+    const uploadedFiles = Object.values(req.files || {})
+      .flat()
+      .map((file) => file.key);
+    let book;
+
+    try {
+      const { bookId } = req.params;
+      if (!isValidObjectId(bookId)) {
+        throw badRequest("Invalid book ID");
+      }
+
+      const coverFile = req.files?.coverImage?.[0];
+      const bookFile = req.files?.bookEpub?.[0] || req.files?.bookPdf?.[0];
+      if (!coverFile && !bookFile) {
+        throw badRequest("A new book file, a new cover, or both are required.");
+      }
+      if (coverFile && !coverFile.mimetype.startsWith("image/")) {
+        throw badRequest("The cover must be an image.");
+      }
+
+      book = await Book.findById(bookId);
+      if (!book) {
+        throw Object.assign(new Error("Book not found"), { status: 404 });
+      }
+
+      if (bookFile) {
+        const isEpub = book.format === "epub";
+        const matchesFormat = isEpub
+          ? isEpubFile(bookFile)
+          : bookFile.mimetype === "application/pdf" && !isEpubFile(bookFile);
+        if (!matchesFormat) {
+          throw badRequest(`This book is ${isEpub ? "an EPUB" : "a PDF"}; upload the same format to replace it.`);
+        }
+      }
+
+      const result = await replaceBookFiles(book, {
+        bookFileKey: bookFile?.key,
+        coverKey: coverFile?.key,
+        userId: req.user._id,
+        allowDuplicate: isFlagSet(req.body.allowDuplicate),
+      });
+
+      res.json({
+        message: "Book files replaced",
+        book: sanitizeBook(book),
+        versions: book.fileVersions,
+        ...result,
+      });
+    } catch (error) {
+      if (!error.status) {
+        console.error("Book file replace error:", error);
+      }
+      // Anything the book already points at was saved and must stay
+      const inUse = new Set([book?.pdfUrl, book?.epubUrl, book?.coverImage]);
+      await Promise.all(
+        uploadedFiles.filter((key) => !inUse.has(key)).map((key) => deleteFileSafe(key))
+      );
+      res.status(error.status || 500).json({
+        error: error.message || "Server error while replacing files",
+        ...(error.duplicates && { duplicates: error.duplicates }),
+      });
+    }
+  }
+);
+
 router.delete(
   "/:bookId/admin",
   authenticateToken,
@@ -759,18 +1472,15 @@ router.delete(
         return res.status(400).json({ error: "Invalid book ID" });
       }
 
-      const book = await Book.findByIdAndDelete(bookId);
+      // Soft delete: the book can be restored from the admin trash until
+      // the scheduled purge removes it and everything attached to it
+      const book = await trashBook(bookId, req.user._id);
       if (!book) {
         return res.status(404).json({ error: "Book not found" });
       }
 
-      await Promise.all([
-        deleteFileSafe(book.coverImage),
-        deleteFileSafe(book.pdfUrl),
-      ]);
-
       res.json({
-        message: "Book deleted successfully",
+        message: "Book moved to trash",
         book: sanitizeBook(book),
       });
     } catch (error) {
@@ -829,4 +1539,51 @@ router.put(
   }
 );
 
+router.post(
+  "/:bookId/toc/extract",
+  authenticateToken,
+  adminAuth,
+  async (req, res) => {
+    try {
+      const { bookId } = req.params;
+      if (!isValidObjectId(bookId)) {
+        return res.status(400).json({ error: "Invalid book ID" });
+      }
+
+      const book = await Book.findById(bookId);
+      if (!book) {
+        return res.status(404).json({ error: "Book not found" });
+      }
+
+      const isEpub = book.format === "epub";
+      const fileKey = isEpub ? book.epubUrl : book.pdfUrl;
+      const fileData = fileKey && (await storage.read(fileKey));
+      if (!fileData) {
+        return res
+          .status(404)
+          .json({ error: isEpub ? "EPUB not found" : "PDF not found" });
+      }
+
+      const { toc } = isEpub
+        ? inspectEpub(fileData)
+        : await inspectPdf(fileData, { withToc: true });
+      if (!toc.length) {
+        return res.status(422).json({
+          error: isEpub
+            ? "This EPUB has no navigation document to extract a table of contents from"
+            : "This PDF has no outline to extract a table of contents from",
+        });
+      }
+
+      book.toc = toc;
+      await book.save();
+
+      res.json(book.toc);
+    } catch (error) {
+      console.error("Extract TOC error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router;
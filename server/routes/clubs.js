@@ -5,6 +5,7 @@ const { User } = require("../models/User");
 const Club = require("../models/Club");
 const authenticateToken = require("../middleware/authenticateToken");
 const adminAuth = require("../middleware/adminAuth");
+const { recordBadgeEvent } = require("../utils/badges");
 
 const isValidId = (value) => mongoose.Types.ObjectId.isValid(value);
 const toStringId = (value) => value?.toString();
@@ -84,6 +85,7 @@ router.post("/", authenticateToken, async (req, res) => {
     await User.findByIdAndUpdate(req.user._id, {
       $addToSet: { joinedClubs: newClub._id },
     });
+    recordBadgeEvent(req.user._id, "club.created");
 
     await newClub.populate([
       { path: "createdBy", select: "UserName email avatar" },
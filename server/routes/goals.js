@@ -0,0 +1,70 @@
+const express = require("express");
+
+const ReadingGoal = require("../models/ReadingGoal");
+const authenticateToken = require("../middleware/authenticateToken");
+const { getGoalSummary, checkMilestones } = require("../utils/readingGoals");
+
+const router = express.Router();
+
+const MAX_TARGET_BOOKS = 1000;
+
+const parseYear = (value) => {
+  const currentYear = new Date().getUTCFullYear();
+  if (value === undefined || value === "") return currentYear;
+  const year = Number.parseInt(value, 10);
+  // Past years stay viewable; planning is allowed one year ahead
+  return Number.isInteger(year) && year >= 2000 && year <= currentYear + 1 ? year : null;
+};
+
+// Goal progress, streaks and milestones for one year (default: this year)
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const year = parseYear(req.query.year);
+    if (year === null) {
+      return res.status(400).json({ error: "Invalid year" });
+    }
+
+    res.json(await getGoalSummary(req.user._id, year));
+  } catch (error) {
+    console.error("Fetch reading goal error:", error);
+    res.status(500).json({ error: "Failed to fetch reading goal" });
+  }
+});
+
+// Sets or clears (`targetBooks: null`) the yearly "read N books" target
+router.put("/", authenticateToken, async (req, res) => {
+  try {
+    const year = parseYear(req.body.year);
+    if (year === null) {
+      return res.status(400).json({ error: "Invalid year" });
+    }
+
+    let targetBooks = null;
+    if (req.body.targetBooks !== null && req.body.targetBooks !== undefined) {
+      targetBooks = Number.parseInt(req.body.targetBooks, 10);
+      if (!Number.isInteger(targetBooks) || targetBooks < 1 || targetBooks > MAX_TARGET_BOOKS) {
+        return res
+          .status(400)
+          .json({ error: `Target must be between 1 and ${MAX_TARGET_BOOKS} books` });
+      }
+    }
+
+    await ReadingGoal.findOneAndUpdate(
+      { user: req.user._id, year },
+      { $set: { targetBooks }, $setOnInsert: { user: req.user._id, year } },
+      { upsert: true, runValidators: true }
+    );
+
+    // A new target may already be partly met by books finished earlier
+    if (year === new Date().getUTCFullYear()) {
+      await checkMilestones(req.user._id);
+    }
+
+    res.json(await getGoalSummary(req.user._id, year));
+  } catch (error) {
+    console.error("Update reading goal error:", error);
+    res.status(500).json({ error: "Failed to update reading goal" });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const Message = require("../models/Message");
 const { User } = require("../models/User");
 const Club = require("../models/Club");
 const authenticateToken = require("../middleware/authenticateToken");
+const { recordBadgeEvent } = require("../utils/badges");
 
 const router = express.Router();
 const TIME_LIMIT_MS = 5 * 60 * 1000;
@@ -73,6 +74,7 @@ router.post("/", authenticateToken, async (req, res) => {
     if (io) {
       io.to(serialized.clubId).emit("newMessage", serialized);
     }
+    recordBadgeEvent(userId, "message");
 
     res.status(201).json(serialized);
   } catch (error) {
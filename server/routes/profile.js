@@ -24,7 +24,6 @@ router.get("/profile", authenticateToken, async (req, res) => {
       avatar: user.avatar,
       bookHistory: user.bookHistory || [],
       favorites: user.favorites || [],
-      comments: user.comments || [],
     });
   } catch (error) {
     console.error("Profile Fetch Error:", error);
@@ -182,49 +181,4 @@ router.post("/favorite", authenticateToken, async (req, res) => {
   }
 });
 
-// Save user comment and rating
-router.post("/comment", authenticateToken, async (req, res) => {
-  try {
-    const { bookTitle, comment, rating } = req.body;
-    if (!bookTitle || !comment) {
-      return res
-        .status(400)
-        .json({ message: "bookTitle and comment are required" });
-    }
-
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    if (!Array.isArray(user.comments)) {
-      user.comments = [];
-    }
-
-    const numericRating =
-      typeof rating === "number" ? Math.max(0, Math.min(5, rating)) : undefined;
-
-    const existingComment = user.comments.find(
-      (c) => c.bookTitle === bookTitle
-    );
-    if (existingComment) {
-      existingComment.text = comment;
-      existingComment.rating = numericRating;
-      existingComment.updatedAt = new Date();
-    } else {
-      user.comments.push({
-        bookTitle,
-        text: comment,
-        rating: numericRating,
-        updatedAt: new Date(),
-      });
-    }
-    await user.save();
-    res.json({ message: "Comment saved successfully" });
-  } catch (error) {
-    console.error("Comment Save Error:", error);
-    res.status(500).json({ message: "Internal Server Error" });
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,161 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const ReadingProgress = require("../models/ReadingProgress");
+const authenticateToken = require("../middleware/authenticateToken");
+const { recordReadingActivity } = require("../utils/readingGoals");
+const { recordBadgeEvent } = require("../utils/badges");
+
+const router = express.Router();
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+
+// A client that was left open overnight should not log eight hours of reading
+const MAX_SECONDS_PER_UPDATE = 30 * 60;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+const BOOK_FIELDS = "-toc -ratingSum";
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FILTERS = {
+  reading: { finishedAt: null },
+  finished: { finishedAt: { $ne: null } },
+  all: {},
+};
+
+// Two first saves for the same book can both try the insert; the one that
+// loses on the unique index retries and updates the record the other created.
+const upsertProgress = async (filter, update) => {
+  const options = { new: true, upsert: true, setDefaultsOnInsert: true };
+  try {
+    return await ReadingProgress.findOneAndUpdate(filter, update, options);
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return ReadingProgress.findOneAndUpdate(filter, update, options);
+  }
+};
+
+const serializeProgress = (progress) => {
+  const plain = progress.toObject ? progress.toObject() : { ...progress };
+  return {
+    book: plain.book,
+    lastPage: plain.lastPage,
+    pageCount: plain.pageCount,
+    percent: plain.percent,
+    timeSpentSeconds: plain.timeSpentSeconds,
+    startedAt: plain.startedAt,
+    finishedAt: plain.finishedAt,
+    lastReadAt: plain.lastReadAt,
+  };
+};
+
+// Current user's progress across books, most recently read first
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const filter = STATUS_FILTERS[req.query.status] || STATUS_FILTERS.reading;
+    const parsedLimit = Number.parseInt(req.query.limit, 10);
+    const limit =
+      Number.isFinite(parsedLimit) && parsedLimit > 0
+        ? Math.min(parsedLimit, MAX_LIST_LIMIT)
+        : DEFAULT_LIST_LIMIT;
+
+    const entries = await ReadingProgress.find({ user: req.user._id, ...filter })
+      .sort({ lastReadAt: -1 })
+      .limit(limit)
+      .populate("book", BOOK_FIELDS);
+
+    // Progress can outlive its book if the book was deleted
+    res.json(entries.filter((entry) => entry.book).map(serializeProgress));
+  } catch (error) {
+    console.error("Fetch reading progress error:", error);
+    res.status(500).json({ error: "Failed to fetch reading progress" });
+  }
+});
+
+router.get("/:bookId", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const progress = await ReadingProgress.findOne({
+      user: req.user._id,
+      book: bookId,
+    });
+
+    res.json(progress ? serializeProgress(progress) : null);
+  } catch (error) {
+    console.error("Fetch book progress error:", error);
+    res.status(500).json({ error: "Failed to fetch reading progress" });
+  }
+});
+
+router.put("/:bookId", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const page = Number.parseInt(req.body.page, 10);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "A valid page number is required" });
+    }
+
+    const book = await Book.findById(bookId, "pageCount");
+    if (!book) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+
+    const pageCount =
+      book.pageCount || Number.parseInt(req.body.pageCount, 10) || 0;
+    const lastPage = pageCount ? Math.min(page, pageCount) : page;
+    const percent = pageCount
+      ? Math.round((lastPage / pageCount) * 1000) / 10
+      : 0;
+    const secondsSpent = Math.min(
+      Math.max(Math.round(Number(req.body.secondsSpent) || 0), 0),
+      MAX_SECONDS_PER_UPDATE
+    );
+    const now = new Date();
+
+    let progress = await upsertProgress(
+      { user: req.user._id, book: bookId },
+      {
+        $set: { lastPage, pageCount, percent, lastReadAt: now },
+        $inc: { timeSpentSeconds: secondsSpent },
+        $setOnInsert: { startedAt: now },
+      }
+    );
+
+    let justFinished = false;
+    const reachedEnd = pageCount > 0 && lastPage >= pageCount;
+    if ((reachedEnd || req.body.finished === true) && !progress.finishedAt) {
+      const finished = await ReadingProgress.findOneAndUpdate(
+        { _id: progress._id, finishedAt: null },
+        { $set: { finishedAt: now } },
+        { new: true }
+      );
+      if (finished) {
+        progress = finished;
+        justFinished = true;
+      }
+    }
+
+    recordReadingActivity(req.user._id, {
+      progressUpdates: 1,
+      secondsSpent,
+      booksFinished: justFinished ? 1 : 0,
+    });
+    if (justFinished) recordBadgeEvent(req.user._id, "book.finished");
+
+    res.json(serializeProgress(progress));
+  } catch (error) {
+    console.error("Update reading progress error:", error);
+    res.status(500).json({ error: "Failed to update reading progress" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+
+const authenticateToken = require("../middleware/authenticateToken");
+const { recommendBooks } = require("../utils/recommendations");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const parsedLimit = Number.parseInt(req.query.limit, 10);
+    const limit =
+      Number.isFinite(parsedLimit) && parsedLimit > 0
+        ? Math.min(parsedLimit, MAX_LIMIT)
+        : DEFAULT_LIMIT;
+
+    const books = await recommendBooks(req.user._id, { limit });
+    if (!books) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(books);
+  } catch (error) {
+    console.error("Recommendations error:", error);
+    res.status(500).json({ error: "Failed to build recommendations" });
+  }
+});
+
+module.exports = router;
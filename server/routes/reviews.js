@@ -0,0 +1,769 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const ReviewVote = require("../models/ReviewVote");
+const ReviewReply = require("../models/ReviewReply");
+const ReviewReaction = require("../models/ReviewReaction");
+const { User } = require("../models/User");
+const authenticateToken = require("../middleware/authenticateToken");
+const { applyRating } = require("../utils/ratings");
+const { recordBookEvent } = require("../utils/rankings");
+const { recordBadgeEvent } = require("../utils/badges");
+
+const router = express.Router();
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+const toStringId = (value) => value?.toString();
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_REVIEW_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 2000;
+const DUPLICATE_KEY = 11000;
+const ALREADY_REVIEWED = "You have already reviewed this book; edit your review instead";
+
+const SORT_OPTIONS = {
+  helpful: { helpfulScore: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const parsePagination = (query) => ({
+  page: parsePositiveInt(query.page, 1),
+  limit: Math.min(parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+});
+
+const serializeUser = (user) =>
+  user?._id
+    ? { _id: toStringId(user._id), UserName: user.UserName ?? "Unknown", avatar: user.avatar ?? null }
+    : { _id: toStringId(user) || null, UserName: "Unknown", avatar: null };
+
+const serializeReview = (review, { myVote, reactions, replyCount } = {}) => ({
+  _id: toStringId(review._id),
+  book: review.book?._id
+    ? {
+        _id: toStringId(review.book._id),
+        title: review.book.title,
+        author: review.book.author,
+        coverImage: review.book.coverImage,
+      }
+    : toStringId(review.book),
+  user: serializeUser(review.user),
+  rating: review.rating ?? null,
+  text: review.text,
+  spoiler: Boolean(review.spoiler),
+  helpfulCount: review.helpfulCount || 0,
+  unhelpfulCount: review.unhelpfulCount || 0,
+  myVote: myVote ?? null,
+  reactions: reactions || [],
+  replyCount: replyCount || 0,
+  createdAt: review.createdAt,
+  editedAt: review.editedAt || null,
+});
+
+const serializeReply = (reply, reactions) => ({
+  _id: toStringId(reply._id),
+  review: toStringId(reply.review),
+  parent: toStringId(reply.parent) || null,
+  depth: reply.depth,
+  user: reply.deleted ? null : serializeUser(reply.user),
+  text: reply.deleted ? "" : reply.text,
+  deleted: Boolean(reply.deleted),
+  reactions: reactions || [],
+  createdAt: reply.createdAt,
+  editedAt: reply.editedAt || null,
+  replies: [],
+});
+
+// Maps review id -> "helpful" | "unhelpful" for the reviews the user voted on
+const loadVotes = async (userId, reviews) => {
+  const votes = await ReviewVote.find(
+    { user: userId, review: { $in: reviews.map((review) => review._id) } },
+    "review helpful"
+  ).lean();
+  return new Map(
+    votes.map((vote) => [toStringId(vote.review), vote.helpful ? "helpful" : "unhelpful"])
+  );
+};
+
+// Maps post id -> [{ emoji, count, mine }] in the order the emojis are offered
+const loadReactions = async (userId, targetIds) => {
+  if (!targetIds.length) return new Map();
+
+  const me = new mongoose.Types.ObjectId(String(userId));
+  const rows = await ReviewReaction.aggregate([
+    { $match: { target: { $in: targetIds } } },
+    {
+      $group: {
+        _id: { target: "$target", emoji: "$emoji" },
+        count: { $sum: 1 },
+        mine: { $max: { $eq: ["$user", me] } },
+      },
+    },
+  ]);
+
+  const reactions = new Map();
+  rows
+    .sort((a, b) => ReviewReaction.EMOJIS.indexOf(a._id.emoji) - ReviewReaction.EMOJIS.indexOf(b._id.emoji))
+    .forEach(({ _id, count, mine }) => {
+      const key = toStringId(_id.target);
+      reactions.set(key, [...(reactions.get(key) || []), { emoji: _id.emoji, count, mine }]);
+    });
+  return reactions;
+};
+
+const loadReplyCounts = async (reviews) => {
+  const rows = await ReviewReply.aggregate([
+    { $match: { review: { $in: reviews.map((review) => review._id) }, deleted: false } },
+    { $group: { _id: "$review", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [toStringId(row._id), row.count]));
+};
+
+const serializePage = async (userId, reviews) => {
+  const ids = reviews.map((review) => review._id);
+  const [votes, reactions, replyCounts] = await Promise.all([
+    loadVotes(userId, reviews),
+    loadReactions(userId, ids),
+    loadReplyCounts(reviews),
+  ]);
+  return reviews.map((review) => {
+    const key = toStringId(review._id);
+    return serializeReview(review, {
+      myVote: votes.get(key),
+      reactions: reactions.get(key),
+      replyCount: replyCounts.get(key),
+    });
+  });
+};
+
+// Nests a review's replies under their parents, oldest first at every level
+const buildThread = (replies, reactions) => {
+  const nodes = new Map(
+    replies.map((reply) => [
+      toStringId(reply._id),
+      serializeReply(reply, reactions.get(toStringId(reply._id))),
+    ])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent);
+    (parent ? parent.replies : roots).push(node);
+  });
+  return roots;
+};
+
+const parseReplyText = (body) => {
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (!text) {
+    return { error: "Reply text is required" };
+  }
+  if (text.length > MAX_REPLY_LENGTH) {
+    return { error: `Replies are limited to ${MAX_REPLY_LENGTH} characters` };
+  }
+  return { text };
+};
+
+const parseEmoji = (body) =>
+  ReviewReaction.EMOJIS.includes(body.emoji)
+    ? { emoji: body.emoji }
+    : { error: `emoji must be one of: ${ReviewReaction.EMOJIS.join(" ")}` };
+
+// Adds the reader's reaction, or takes it back if they had already left it
+const toggleReaction = async ({ targetType, target, book, user, emoji }) => {
+  const removed = await ReviewReaction.deleteOne({ target, user, emoji });
+  if (removed.deletedCount) return;
+
+  try {
+    await ReviewReaction.create({ targetType, target, book, user, emoji });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error; // A double click already added it
+  }
+};
+
+/**
+ * Tells the author of the post being answered, and the reviewer if that is
+ * someone else, about a new reply. Failures are logged, never thrown.
+ */
+const notifyReply = async ({ review, parent, replier }) => {
+  try {
+    const [author, book] = await Promise.all([
+      User.findById(replier, "UserName").lean(),
+      Book.findById(review.book, "title").lean(),
+    ]);
+    const name = author?.UserName || "Someone";
+    const title = book?.title || "a book";
+
+    const messages = new Map();
+    if (parent) {
+      messages.set(toStringId(parent.user), `${name} replied to your comment on "${title}"`);
+    }
+    if (!messages.has(toStringId(review.user))) {
+      messages.set(toStringId(review.user), `${name} replied to your review of "${title}"`);
+    }
+    messages.delete(toStringId(replier));
+
+    await Promise.all(
+      [...messages].map(([userId, message]) =>
+        User.updateOne(
+          { _id: userId },
+          {
+            $push: {
+              notifications: {
+                message,
+                status: "unread",
+                reason: "Review reply",
+                createdAt: new Date(),
+                viewed: false,
+              },
+            },
+          }
+        )
+      )
+    );
+  } catch (error) {
+    console.warn("Failed to send reply notifications:", error.message);
+  }
+};
+
+const parseReviewFields = (body, { creating = false } = {}) => {
+  const updates = {};
+
+  if (body.text !== undefined || creating) {
+    const text = typeof body.text === "string" ? body.text.trim() : "";
+    if (!text) {
+      return { error: "Review text is required" };
+    }
+    if (text.length > MAX_REVIEW_LENGTH) {
+      return { error: `Reviews are limited to ${MAX_REVIEW_LENGTH} characters` };
+    }
+    updates.text = text;
+  }
+
+  if (body.spoiler !== undefined) {
+    if (typeof body.spoiler !== "boolean") {
+      return { error: "spoiler must be true or false" };
+    }
+    updates.spoiler = body.spoiler;
+  }
+
+  if (body.rating !== undefined && body.rating !== null) {
+    const rating = Number(body.rating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) {
+      return { error: "Rating must be between 0 and 5" };
+    }
+    updates.rating = rating;
+  }
+
+  return { updates };
+};
+
+router.get("/book/:bookId", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const sortKey = req.query.sort || "helpful";
+    if (!SORT_OPTIONS[sortKey]) {
+      return res.status(400).json({
+        error: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}`,
+      });
+    }
+    const { page, limit } = parsePagination(req.query);
+
+    if (!(await Book.exists({ _id: bookId }))) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+
+    // The reader's own review comes back separately so it can be edited
+    // whichever page it falls on
+    const [reviews, total, own] = await Promise.all([
+      Review.find({ book: bookId })
+        .sort(SORT_OPTIONS[sortKey])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user", "UserName avatar")
+        .lean(),
+      Review.countDocuments({ book: bookId }),
+      Review.findOne({ book: bookId, user: req.user._id })
+        .populate("user", "UserName avatar")
+        .lean(),
+    ]);
+
+    res.json({
+      reviews: await serializePage(req.user._id, reviews),
+      userReview: own ? (await serializePage(req.user._id, [own]))[0] : null,
+      sort: sortKey,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Fetch reviews error:", error);
+    res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+});
+
+router.post("/book/:bookId", authenticateToken, async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    if (!isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid book ID" });
+    }
+
+    const { error, updates } = parseReviewFields(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!(await Book.exists({ _id: bookId }))) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+    if (await Review.exists({ book: bookId, user: req.user._id })) {
+      return res.status(409).json({ error: ALREADY_REVIEWED });
+    }
+
+    // Without a score in the request, the review shows the reader's existing rating
+    const rated = updates.rating !== undefined;
+    if (!rated) {
+      const existing = await Rating.findOne({ book: bookId, user: req.user._id }, "rating").lean();
+      updates.rating = existing ? existing.rating : null;
+    }
+
+    // The rating is only applied once the review is stored, so a rejected
+    // review leaves the reader's rating as it was
+    const review = await Review.create({ ...updates, book: bookId, user: req.user._id });
+    if (rated) {
+      await applyRating(bookId, req.user._id, updates.rating);
+    }
+    await review.populate("user", "UserName avatar");
+    recordBookEvent("comment", { book: bookId, user: req.user._id });
+    recordBadgeEvent(req.user._id, "comment");
+
+    res.status(201).json(serializeReview(review));
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({ error: ALREADY_REVIEWED });
+    }
+    console.error("Create review error:", error);
+    res.status(500).json({ error: "Failed to save review" });
+  }
+});
+
+router.get("/user/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    const { page, limit } = parsePagination(req.query);
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find({ user: userId })
+        .sort(SORT_OPTIONS.recent)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("user", "UserName avatar")
+        .populate("book", "title author coverImage")
+        .lean(),
+      Review.countDocuments({ user: userId }),
+    ]);
+
+    res.json({
+      reviews: await serializePage(req.user._id, reviews),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Fetch user reviews error:", error);
+    res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+});
+
+router.get("/:reviewId/replies", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
+    if (!(await Review.exists({ _id: reviewId }))) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const replies = await ReviewReply.find({ review: reviewId })
+      .sort({ createdAt: 1 })
+      .populate("user", "UserName avatar")
+      .lean();
+    const reactions = await loadReactions(
+      req.user._id,
+      replies.map((reply) => reply._id)
+    );
+
+    res.json({
+      replies: buildThread(replies, reactions),
+      total: replies.filter((reply) => !reply.deleted).length,
+      maxDepth: ReviewReply.MAX_DEPTH,
+    });
+  } catch (error) {
+    console.error("Fetch replies error:", error);
+    res.status(500).json({ error: "Failed to fetch replies" });
+  }
+});
+
+// `parentId` answers another reply; leave it out to answer the review itself
+router.post("/:reviewId/replies", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { parentId } = req.body;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+    if (parentId && !isValidObjectId(parentId)) {
+      return res.status(400).json({ error: "Invalid reply ID" });
+    }
+
+    const { error, text } = parseReplyText(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const review = await Review.findById(reviewId, "user book").lean();
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await ReviewReply.findOne({ _id: parentId, review: review._id }).lean();
+      if (!parent) {
+        return res.status(404).json({ error: "Reply not found" });
+      }
+      if (parent.deleted) {
+        return res.status(400).json({ error: "You can't reply to a deleted comment" });
+      }
+      if (parent.depth >= ReviewReply.MAX_DEPTH) {
+        return res.status(400).json({
+          error: `Replies can only be nested ${ReviewReply.MAX_DEPTH} levels deep`,
+        });
+      }
+    }
+
+    const reply = await ReviewReply.create({
+      review: review._id,
+      book: review.book,
+      parent: parent?._id || null,
+      depth: parent ? parent.depth + 1 : 1,
+      user: req.user._id,
+      text,
+    });
+    await reply.populate("user", "UserName avatar");
+    recordBookEvent("comment", { book: review.book, user: req.user._id });
+    notifyReply({ review, parent, replier: req.user._id });
+
+    res.status(201).json(serializeReply(reply));
+  } catch (error) {
+    console.error("Create reply error:", error);
+    res.status(500).json({ error: "Failed to post reply" });
+  }
+});
+
+router.put("/replies/:replyId", authenticateToken, async (req, res) => {
+  try {
+    const { replyId } = req.params;
+    if (!isValidObjectId(replyId)) {
+      return res.status(400).json({ error: "Invalid reply ID" });
+    }
+
+    const { error, text } = parseReplyText(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const reply = await ReviewReply.findOne({ _id: replyId, deleted: false });
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+    if (toStringId(reply.user) !== toStringId(req.user._id)) {
+      return res.status(403).json({ error: "You can only edit your own reply" });
+    }
+
+    reply.text = text;
+    reply.editedAt = new Date();
+    await reply.save();
+    await reply.populate("user", "UserName avatar");
+
+    const reactions = await loadReactions(req.user._id, [reply._id]);
+    res.json(serializeReply(reply, reactions.get(toStringId(reply._id))));
+  } catch (error) {
+    console.error("Update reply error:", error);
+    res.status(500).json({ error: "Failed to update reply" });
+  }
+});
+
+router.delete("/replies/:replyId", authenticateToken, async (req, res) => {
+  try {
+    const { replyId } = req.params;
+    if (!isValidObjectId(replyId)) {
+      return res.status(400).json({ error: "Invalid reply ID" });
+    }
+
+    const reply = await ReviewReply.findOne({ _id: replyId, deleted: false }).lean();
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+    if (!req.user.isAdmin && toStringId(reply.user) !== toStringId(req.user._id)) {
+      return res.status(403).json({ error: "You can only delete your own reply" });
+    }
+
+    await ReviewReaction.deleteMany({ target: reply._id });
+    if (await ReviewReply.exists({ parent: reply._id })) {
+      await ReviewReply.updateOne({ _id: reply._id }, { $set: { deleted: true, text: "[deleted]" } });
+      return res.json({ message: "Reply deleted" });
+    }
+
+    // Removing the last answer can leave blanked ancestors with nothing under them
+    let current = reply;
+    while (current) {
+      await ReviewReply.deleteOne({ _id: current._id });
+      current = current.parent
+        ? await ReviewReply.findOne({ _id: current.parent, deleted: true }).lean()
+        : null;
+      if (current && (await ReviewReply.exists({ parent: current._id }))) break;
+    }
+
+    res.json({ message: "Reply deleted" });
+  } catch (error) {
+    console.error("Delete reply error:", error);
+    res.status(500).json({ error: "Failed to delete reply" });
+  }
+});
+
+router.put("/replies/:replyId/reactions", authenticateToken, async (req, res) => {
+  try {
+    const { replyId } = req.params;
+    if (!isValidObjectId(replyId)) {
+      return res.status(400).json({ error: "Invalid reply ID" });
+    }
+
+    const { error, emoji } = parseEmoji(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const reply = await ReviewReply.findOne({ _id: replyId, deleted: false }, "book").lean();
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    await toggleReaction({
+      targetType: "ReviewReply",
+      target: reply._id,
+      book: reply.book,
+      user: req.user._id,
+      emoji,
+    });
+    const reactions = await loadReactions(req.user._id, [reply._id]);
+
+    res.json({ reactions: reactions.get(toStringId(reply._id)) || [] });
+  } catch (error) {
+    console.error("Reply reaction error:", error);
+    res.status(500).json({ error: "Failed to update reaction" });
+  }
+});
+
+router.put("/:reviewId/reactions", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
+    const { error, emoji } = parseEmoji(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const review = await Review.findById(reviewId, "book").lean();
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    await toggleReaction({
+      targetType: "Review",
+      target: review._id,
+      book: review.book,
+      user: req.user._id,
+      emoji,
+    });
+    const reactions = await loadReactions(req.user._id, [review._id]);
+
+    res.json({ reactions: reactions.get(toStringId(review._id)) || [] });
+  } catch (error) {
+    console.error("Review reaction error:", error);
+    res.status(500).json({ error: "Failed to update reaction" });
+  }
+});
+
+router.put("/:reviewId", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
+    const { error, updates } = parseReviewFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+    if (toStringId(review.user) !== toStringId(req.user._id)) {
+      return res.status(403).json({ error: "You can only edit your own review" });
+    }
+
+    if (updates.text !== undefined || updates.spoiler !== undefined) {
+      review.editedAt = new Date();
+    }
+    Object.assign(review, updates);
+    await review.save();
+    // Only once the edit is stored, so a rejected edit leaves the rating alone
+    if (updates.rating !== undefined) {
+      await applyRating(review.book, review.user, updates.rating);
+    }
+    await review.populate("user", "UserName avatar");
+
+    res.json(serializeReview(review));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update review error:", error);
+    res.status(500).json({ error: "Failed to update review" });
+  }
+});
+
+// The reader's rating is kept: it still counts towards the book's average
+router.delete("/:reviewId", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+
+    const review = await Review.findById(reviewId, "user").lean();
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+    if (!req.user.isAdmin && toStringId(review.user) !== toStringId(req.user._id)) {
+      return res.status(403).json({ error: "You can only delete your own review" });
+    }
+
+    const replyIds = await ReviewReply.distinct("_id", { review: review._id });
+    await Review.deleteOne({ _id: review._id });
+    await Promise.all([
+      ReviewVote.deleteMany({ review: review._id }),
+      ReviewReply.deleteMany({ review: review._id }),
+      ReviewReaction.deleteMany({ target: { $in: [review._id, ...replyIds] } }),
+    ]);
+
+    res.json({ message: "Review deleted" });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({ error: "Failed to delete review" });
+  }
+});
+
+// A double-click can send two first votes that race on the unique index; the
+// loser retries and sees the other's vote as the previous one
+const upsertVote = async (filter, helpful) => {
+  const update = () =>
+    ReviewVote.findOneAndUpdate(
+      filter,
+      { $set: { helpful } },
+      { upsert: true, new: false, setDefaultsOnInsert: true }
+    ).lean();
+  try {
+    return await update();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return update();
+  }
+};
+
+// `vote` is "helpful", "unhelpful" or null to take a vote back
+router.put("/:reviewId/vote", authenticateToken, async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { vote } = req.body;
+    if (!isValidObjectId(reviewId)) {
+      return res.status(400).json({ error: "Invalid review ID" });
+    }
+    if (![null, "helpful", "unhelpful"].includes(vote ?? null)) {
+      return res.status(400).json({ error: 'vote must be "helpful", "unhelpful" or null' });
+    }
+
+    const review = await Review.findById(reviewId, "user").lean();
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+    if (toStringId(review.user) === toStringId(req.user._id)) {
+      return res.status(400).json({ error: "You can't vote on your own review" });
+    }
+
+    const filter = { review: review._id, user: req.user._id };
+    const helpful = vote === "helpful";
+    // As with ratings, the previous vote gives the exact counter deltas
+    const previous = vote
+      ? await upsertVote(filter, helpful)
+      : await ReviewVote.findOneAndDelete(filter).lean();
+
+    const helpfulDelta = (vote && helpful ? 1 : 0) - (previous?.helpful === true ? 1 : 0);
+    const unhelpfulDelta = (vote && !helpful ? 1 : 0) - (previous?.helpful === false ? 1 : 0);
+
+    const updated = await Review.findByIdAndUpdate(
+      review._id,
+      {
+        $inc: {
+          helpfulCount: helpfulDelta,
+          unhelpfulCount: unhelpfulDelta,
+          helpfulScore: helpfulDelta - unhelpfulDelta,
+        },
+      },
+      { new: true, projection: { helpfulCount: 1, unhelpfulCount: 1 } }
+    ).lean();
+    if (!updated) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    res.json({
+      helpfulCount: updated.helpfulCount,
+      unhelpfulCount: updated.unhelpfulCount,
+      myVote: vote ?? null,
+    });
+  } catch (error) {
+    console.error("Review vote error:", error);
+    res.status(500).json({ error: "Failed to record vote" });
+  }
+});
+
+module.exports = router;
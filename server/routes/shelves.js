@@ -0,0 +1,432 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const Shelf = require("../models/Shelf");
+const { User } = require("../models/User");
+const authenticateToken = require("../middleware/authenticateToken");
+const optionalAuth = require("../middleware/optionalAuth");
+
+const router = express.Router();
+
+const isValidObjectId = mongoose.Types.ObjectId.isValid;
+const toStringId = (value) => value?.toString();
+
+const BOOK_FIELDS = "-toc -ratingSum";
+const MAX_SHELVES_PER_USER = 50;
+const DUPLICATE_KEY = 11000;
+
+const serializeShelf = (shelf) => {
+  const plain = shelf.toObject ? shelf.toObject() : { ...shelf };
+  // Entries whose book was deleted drop out rather than showing as blanks
+  const books = (plain.books || [])
+    .filter((entry) => entry.book && entry.book._id)
+    .map((entry) => ({ ...entry.book, addedAt: entry.addedAt }));
+
+  return {
+    _id: toStringId(plain._id),
+    user: toStringId(plain.user?._id || plain.user),
+    name: plain.name,
+    description: plain.description,
+    key: plain.key,
+    isDefault: Boolean(plain.key),
+    isPublic: plain.isPublic,
+    bookCount: books.length,
+    books,
+    createdAt: plain.createdAt,
+    updatedAt: plain.updatedAt,
+  };
+};
+
+const populateBooks = (query) => query.populate("books.book", BOOK_FIELDS);
+
+// Created lazily the first time a reader looks at their shelves
+const ensureDefaultShelves = async (userId) => {
+  try {
+    await Shelf.bulkWrite(
+      Shelf.DEFAULT_SHELVES.map(({ key, name }) => ({
+        updateOne: {
+          filter: { user: userId, key },
+          update: { $setOnInsert: { user: userId, key, name } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A concurrent request created them first
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+};
+
+const parseShelfFields = (body, { isDefault = false } = {}) => {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (isDefault) {
+      return { error: "Default shelves can't be renamed" };
+    }
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      return { error: "Shelf name is required" };
+    }
+    updates.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== "string") {
+      return { error: "Description must be text" };
+    }
+    updates.description = body.description.trim();
+  }
+
+  if (body.isPublic !== undefined) {
+    if (typeof body.isPublic !== "boolean") {
+      return { error: "isPublic must be true or false" };
+    }
+    updates.isPublic = body.isPublic;
+  }
+
+  return { updates };
+};
+
+const parsePosition = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+};
+
+const findOwnShelf = (shelfId, userId) => Shelf.findOne({ _id: shelfId, user: userId });
+
+const sendOwnShelf = async (res, shelfId, userId) => {
+  const shelf = await populateBooks(findOwnShelf(shelfId, userId));
+  if (!shelf) {
+    return res.status(404).json({ error: "Shelf not found" });
+  }
+  res.json(serializeShelf(shelf));
+};
+
+const saveErrorResponse = (res, error) => {
+  if (error.code === DUPLICATE_KEY) {
+    return res.status(409).json({ error: "You already have a shelf with that name" });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ error: error.message });
+  }
+  return null;
+};
+
+// Current user's shelves, default shelves first
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    await ensureDefaultShelves(req.user._id);
+    const shelves = await populateBooks(
+      Shelf.find({ user: req.user._id }).sort({ createdAt: 1, _id: 1 })
+    );
+    res.json(shelves.map(serializeShelf));
+  } catch (error) {
+    console.error("Fetch shelves error:", error);
+    res.status(500).json({ error: "Failed to fetch shelves" });
+  }
+});
+
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { error, updates } = parseShelfFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!updates.name) {
+      return res.status(400).json({ error: "Shelf name is required" });
+    }
+
+    const shelfCount = await Shelf.countDocuments({ user: req.user._id });
+    if (shelfCount >= MAX_SHELVES_PER_USER) {
+      return res
+        .status(400)
+        .json({ error: `You can have at most ${MAX_SHELVES_PER_USER} shelves` });
+    }
+
+    const shelf = await Shelf.create({ ...updates, user: req.user._id });
+    res.status(201).json(serializeShelf(shelf));
+  } catch (error) {
+    if (saveErrorResponse(res, error)) return;
+    console.error("Create shelf error:", error);
+    res.status(500).json({ error: "Failed to create shelf" });
+  }
+});
+
+// Public shelves for a user's profile; the owner sees private ones too
+router.get("/user/:userId", optionalAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const filter = { user: userId };
+    if (req.user?._id !== userId) {
+      filter.isPublic = true;
+    }
+
+    const shelves = await populateBooks(Shelf.find(filter).sort({ createdAt: 1, _id: 1 }));
+    res.json(shelves.map(serializeShelf));
+  } catch (error) {
+    console.error("Fetch user shelves error:", error);
+    res.status(500).json({ error: "Failed to fetch shelves" });
+  }
+});
+
+// Share URL target: anyone may view a public shelf, only the owner a private one
+router.get("/:shelfId", optionalAuth, async (req, res) => {
+  try {
+    const { shelfId } = req.params;
+    if (!isValidObjectId(shelfId)) {
+      return res.status(400).json({ error: "Invalid shelf ID" });
+    }
+
+    const shelf = await populateBooks(Shelf.findById(shelfId)).populate(
+      "user",
+      "UserName avatar"
+    );
+
+    // Private shelves 404 rather than 403 so their existence isn't revealed
+    const isOwner = shelf && toStringId(shelf.user?._id) === req.user?._id;
+    if (!shelf || (!shelf.isPublic && !isOwner)) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+
+    res.json({
+      ...serializeShelf(shelf),
+      owner: shelf.user
+        ? { _id: toStringId(shelf.user._id), UserName: shelf.user.UserName, avatar: shelf.user.avatar }
+        : null,
+    });
+  } catch (error) {
+    console.error("Fetch shelf error:", error);
+    res.status(500).json({ error: "Failed to fetch shelf" });
+  }
+});
+
+router.put("/:shelfId", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId } = req.params;
+    if (!isValidObjectId(shelfId)) {
+      return res.status(400).json({ error: "Invalid shelf ID" });
+    }
+
+    const shelf = await findOwnShelf(shelfId, req.user._id);
+    if (!shelf) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+
+    const { error, updates } = parseShelfFields(req.body, { isDefault: Boolean(shelf.key) });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    shelf.set(updates);
+    await shelf.save();
+    await sendOwnShelf(res, shelfId, req.user._id);
+  } catch (error) {
+    if (saveErrorResponse(res, error)) return;
+    console.error("Update shelf error:", error);
+    res.status(500).json({ error: "Failed to update shelf" });
+  }
+});
+
+router.delete("/:shelfId", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId } = req.params;
+    if (!isValidObjectId(shelfId)) {
+      return res.status(400).json({ error: "Invalid shelf ID" });
+    }
+
+    const shelf = await findOwnShelf(shelfId, req.user._id);
+    if (!shelf) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+    if (shelf.key) {
+      return res.status(400).json({ error: "Default shelves can't be deleted" });
+    }
+
+    await shelf.deleteOne();
+    res.json({ message: "Shelf deleted" });
+  } catch (error) {
+    console.error("Delete shelf error:", error);
+    res.status(500).json({ error: "Failed to delete shelf" });
+  }
+});
+
+// Adds a book at `position` (0 = top), or at the end when none is given
+router.post("/:shelfId/books", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId } = req.params;
+    const { bookId } = req.body;
+    if (!isValidObjectId(shelfId) || !isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid shelf or book ID" });
+    }
+
+    const position = parsePosition(req.body.position);
+    if (position === null) {
+      return res.status(400).json({ error: "Position must be a non-negative integer" });
+    }
+
+    const [shelf, bookExists] = await Promise.all([
+      findOwnShelf(shelfId, req.user._id).select("_id books.book"),
+      Book.exists({ _id: bookId }),
+    ]);
+    if (!shelf) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+    if (!bookExists) {
+      return res.status(404).json({ error: "Book not found" });
+    }
+
+    const push = { $each: [{ book: bookId, addedAt: new Date() }] };
+    if (position !== undefined) push.$position = position;
+
+    // The filter makes a double-click add the book once
+    await Shelf.updateOne(
+      { _id: shelfId, user: req.user._id, "books.book": { $ne: bookId } },
+      { $push: { books: push } }
+    );
+
+    await sendOwnShelf(res, shelfId, req.user._id);
+  } catch (error) {
+    console.error("Add shelf book error:", error);
+    res.status(500).json({ error: "Failed to add book to shelf" });
+  }
+});
+
+router.delete("/:shelfId/books/:bookId", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId, bookId } = req.params;
+    if (!isValidObjectId(shelfId) || !isValidObjectId(bookId)) {
+      return res.status(400).json({ error: "Invalid shelf or book ID" });
+    }
+
+    const result = await Shelf.updateOne(
+      { _id: shelfId, user: req.user._id },
+      { $pull: { books: { book: bookId } } }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+
+    await sendOwnShelf(res, shelfId, req.user._id);
+  } catch (error) {
+    console.error("Remove shelf book error:", error);
+    res.status(500).json({ error: "Failed to remove book from shelf" });
+  }
+});
+
+// Rewrites the order; `bookIds` must list exactly the shelved books the
+// reader can see. Entries hidden from them (trashed books) keep their
+// relative order at the end.
+router.put("/:shelfId/books/order", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId } = req.params;
+    if (!isValidObjectId(shelfId)) {
+      return res.status(400).json({ error: "Invalid shelf ID" });
+    }
+
+    const { bookIds } = req.body;
+    if (!Array.isArray(bookIds)) {
+      return res.status(400).json({ error: "bookIds must be an array" });
+    }
+
+    const shelf = await findOwnShelf(shelfId, req.user._id);
+    if (!shelf) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+
+    const liveIds = new Set(
+      (await Book.distinct("_id", { _id: { $in: shelf.books.map((entry) => entry.book) } })).map(
+        toStringId
+      )
+    );
+    const entries = new Map(shelf.books.map((entry) => [toStringId(entry.book), entry]));
+    const hidden = shelf.books.filter((entry) => !liveIds.has(toStringId(entry.book)));
+    const requested = bookIds.map(toStringId);
+    if (
+      requested.length !== liveIds.size ||
+      new Set(requested).size !== requested.length ||
+      !requested.every((id) => liveIds.has(id))
+    ) {
+      return res
+        .status(409)
+        .json({ error: "The shelf has changed; reload it and try again" });
+    }
+
+    shelf.books = [
+      ...requested.map((id) => entries.get(id).toObject()),
+      ...hidden.map((entry) => entry.toObject()),
+    ];
+    await shelf.save();
+    await sendOwnShelf(res, shelfId, req.user._id);
+  } catch (error) {
+    console.error("Reorder shelf error:", error);
+    res.status(500).json({ error: "Failed to reorder shelf" });
+  }
+});
+
+// Moves a book to another shelf, or to a new position on the same one
+router.post("/:shelfId/books/:bookId/move", authenticateToken, async (req, res) => {
+  try {
+    const { shelfId, bookId } = req.params;
+    const toShelfId = req.body.toShelfId || shelfId;
+    if (![shelfId, bookId, toShelfId].every(isValidObjectId)) {
+      return res.status(400).json({ error: "Invalid shelf or book ID" });
+    }
+
+    const position = parsePosition(req.body.position);
+    if (position === null) {
+      return res.status(400).json({ error: "Position must be a non-negative integer" });
+    }
+
+    const [source, target] = await Promise.all([
+      findOwnShelf(shelfId, req.user._id),
+      toShelfId === shelfId ? null : findOwnShelf(toShelfId, req.user._id),
+    ]);
+    if (!source || (toShelfId !== shelfId && !target)) {
+      return res.status(404).json({ error: "Shelf not found" });
+    }
+
+    const index = source.books.findIndex((entry) => toStringId(entry.book) === bookId);
+    if (index === -1) {
+      return res.status(404).json({ error: "Book is not on this shelf" });
+    }
+    const [entry] = source.books.splice(index, 1);
+
+    if (!target) {
+      const at = position === undefined ? source.books.length : position;
+      source.books.splice(at, 0, entry.toObject());
+      await source.save();
+      return sendOwnShelf(res, shelfId, req.user._id);
+    }
+
+    // Add before removing so a failure halfway never loses the book
+    const push = { $each: [{ book: bookId, addedAt: entry.addedAt }] };
+    if (position !== undefined) push.$position = position;
+    await Shelf.updateOne(
+      { _id: toShelfId, user: req.user._id, "books.book": { $ne: bookId } },
+      { $push: { books: push } }
+    );
+    await Shelf.updateOne(
+      { _id: shelfId, user: req.user._id },
+      { $pull: { books: { book: bookId } } }
+    );
+
+    await sendOwnShelf(res, toShelfId, req.user._id);
+  } catch (error) {
+    console.error("Move shelf book error:", error);
+    res.status(500).json({ error: "Failed to move book" });
+  }
+});
+
+module.exports = router;
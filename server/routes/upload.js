@@ -1,25 +0,0 @@
-const multer = require('multer');
-const path = require('path');
-
-// Set storage engine
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, 'server/uploads/classic'); // Save in classic folder
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname); // Unique filename
-    }
-});
-
-// File type validation
-const fileFilter = (req, file, cb) => {
-    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type. Only images and PDFs are allowed!'), false);
-    }
-};
-
-const upload = multer({ storage: storage, fileFilter: fileFilter });
-
-module.exports = upload;
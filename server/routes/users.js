@@ -1,12 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const { User, validate } = require("../models/User");
-const multer = require("multer");
 const path = require("path");
-const fs = require("fs");
 const bcrypt = require("bcrypt");
 const mongoose = require("mongoose");
 const authenticateToken = require("../middleware/authenticateToken");
+const { createUpload } = require("../utils/fileStorage");
 
 const normalizeEmail = (value) =>
   typeof value === "string" ? value.trim().toLowerCase() : undefined;
@@ -35,12 +34,6 @@ const ensureNotificationsArray = (user) => {
   }
 };
 
-const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
-const AVATAR_DIR = path.join(UPLOADS_ROOT, "avatars");
-if (!fs.existsSync(AVATAR_DIR)) {
-  fs.mkdirSync(AVATAR_DIR, { recursive: true });
-}
-
 const sanitizeBookRef = (book) => {
   if (!book) return null;
   const doc = book.toObject ? book.toObject() : { ...book };
@@ -233,17 +226,9 @@ router.get("/favorites", authenticateToken, async (req, res) => {
   }
 });
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, AVATAR_DIR);
-  },
-  filename: (req, file, cb) => {
-    cb(null, req.user._id + path.extname(file.originalname));
-  },
-});
-
-const upload = multer({
-  storage,
+const upload = createUpload({
+  folder: "avatars",
+  filename: (req, file) => req.user._id + path.extname(file.originalname),
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const fileTypes = /jpeg|jpg|png/;
@@ -273,7 +258,7 @@ router.post(
         return res.status(404).json({ message: "User not found" });
       }
 
-      user.avatar = `/uploads/avatars/${req.file.filename}`;
+      user.avatar = req.file.key;
       await user.save();
 
       res.json({
@@ -1,39 +1,33 @@
 require("dotenv").config();
-const path = require("path");
-const fs = require("fs");
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
 const Book = require("./models/Book");
 const Club = require("./models/Club");
 const { User } = require("./models/User");
+const { storage } = require("./utils/fileStorage");
 
 const defaultUri = "mongodb://127.0.0.1:27017/clubreader";
 const mongoUri = process.env.DB || defaultUri;
 
-const placeholderImagePath = path.join(__dirname, "uploads", "images", "placeholder-cover.png");
-const placeholderPdfPath = path.join(__dirname, "uploads", "pdfs", "placeholder.pdf");
-
-const ensureDirectory = (dirPath) => {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-};
+const placeholderImageKey = "/uploads/images/placeholder-cover.png";
+const placeholderPdfKey = "/uploads/pdfs/placeholder.pdf";
 
 const ensurePlaceholderAssets = async () => {
-  ensureDirectory(path.dirname(placeholderImagePath));
-  ensureDirectory(path.dirname(placeholderPdfPath));
-
-  if (!fs.existsSync(placeholderImagePath)) {
+  if (!(await storage.stat(placeholderImageKey))) {
     const pngBase64 =
       "iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAQAAAAAYLlVAAAACXBIWXMAAAsTAAALEwEAmpwYAAAAB3RJTUUH5AELCyIlFyFOSAAAAB10RVh0U29mdHdhcmUAUGFpbnQuTkVUIHYzLjM2qefiJQAAAB1pVFh0Q3JlYXRpb24gVGltZQA1LzE4LzIwMjQtTSBi4gAAACB0RVh0TW9kaWZpZWQgRGF0ZQA1LzE4LzIwMjQgMDI6MDU6MzIrMDA6MDBxWJrqAAAAEklEQVR42u3BAQ0AAADCoPdPbQ43oAAAAAAAAAAA4DEAALY2f3gAAAAASUVORK5CYII=";
-    fs.writeFileSync(placeholderImagePath, Buffer.from(pngBase64, "base64"));
+    await storage.write(placeholderImageKey, Buffer.from(pngBase64, "base64"), {
+      contentType: "image/png",
+    });
   }
 
-  if (!fs.existsSync(placeholderPdfPath)) {
+  if (!(await storage.stat(placeholderPdfKey))) {
     const pdfBase64 =
       "JVBERi0xLjQKJeLjz9MKMSAwIG9iago8PC9UeXBlIC9DYXRhbG9nCi9QYWdlcyAyIDAgUgo+PgplbmRvYmoKMiAwIG9iago8PC9UeXBlIC9QYWdlcwoL0tpZHNbMyAwIFJdCi9Db3VudCAxCj4+CmVuZG9iagozIDAgb2JqCjw8L1R5cGUgL1BhZ2UKL1BhcmVudCAyIDAgUgovTWVkaWFCb3hbMCAwIDU5NSA4NDJdCi9Db250ZW50cyA0IDAgUgo+PgplbmRvYmoKNCAwIG9iago8PC9MZW5ndGggMjk+PgpzdHJlYW0KSGVsbG8gQ2x1YiBSZWFkZXIhCkVuam95IHlvdXIgbmV3IGJvb2sgY29sbGVjdGlvbi4KZW5kc3RyZWFtCmVuZG9iagp4cmVmCjAgNQowMDAwMDAwMDAwIDY1NTM1IGYgCjAwMDAwMDAxMTIgMDAwMDAgbiAKMDAwMDAwMDE3NCAwMDAwMCBuIAowMDAwMDAwMzI0IDAwMDAwIG4gCjAwMDAwMDA0MjUgMDAwMDAgbiAKdHJhaWxlcgo8PC9TaXplIDUKL1Jvb3QgMSAwIFIKPj4Kc3RhcnR4cmVmCjU1MQolJUVPRgo=";
-    fs.writeFileSync(placeholderPdfPath, Buffer.from(pdfBase64, "base64"));
+    await storage.write(placeholderPdfKey, Buffer.from(pdfBase64, "base64"), {
+      contentType: "application/pdf",
+    });
   }
 };
 
@@ -44,8 +38,8 @@ const sampleBooks = [
     description:
       "A poignant novel about second chances and the infinite lives we might have lived.",
     genres: ["fiction", "fantasy"],
-    coverImage: "/uploads/images/placeholder-cover.png",
-    pdfUrl: "/uploads/pdfs/placeholder.pdf",
+    coverImage: placeholderImageKey,
+    pdfUrl: placeholderPdfKey,
     pageCount: 320,
   },
   {
@@ -54,8 +48,8 @@ const sampleBooks = [
     description:
       "A lone astronaut must save Earth, encountering unexpected allies along the way.",
     genres: ["science fiction", "adventure"],
-    coverImage: "/uploads/images/placeholder-cover.png",
-    pdfUrl: "/uploads/pdfs/placeholder.pdf",
+    coverImage: placeholderImageKey,
+    pdfUrl: placeholderPdfKey,
     pageCount: 496,
   },
   {
@@ -64,8 +58,8 @@ const sampleBooks = [
     description:
       "Practical strategies for forming good habits, breaking bad ones, and mastering tiny behaviors.",
     genres: ["non-fiction", "self-help"],
-    coverImage: "/uploads/images/placeholder-cover.png",
-    pdfUrl: "/uploads/pdfs/placeholder.pdf",
+    coverImage: placeholderImageKey,
+    pdfUrl: placeholderPdfKey,
     pageCount: 320,
   },
 ];
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const adminRoutes = require("../routes/admin");
+const { installFakeDb } = require("./helpers/fakeDb");
+const { sendRequest } = require("./helpers/request");
+
+test("admin uploads go through the books upload pipeline", async (t) => {
+  const adminId = new mongoose.Types.ObjectId();
+  installFakeDb(t, { User: [{ _id: adminId, isAdmin: true }] });
+
+  const response = await sendRequest(t, {
+    router: adminRoutes,
+    mountPath: "/api/admin",
+    method: "POST",
+    path: "/books",
+    userId: adminId,
+    body: { title: "Ivanhoe" },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, "A PDF or EPUB file is required.");
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Book = require("../models/Book");
+const { groupDuplicates } = require("../utils/bookDuplicates");
+
+test("dedupe keys ignore case, accents, subtitles, articles and author order", () => {
+  const key = Book.buildDedupeKey("Ivanhoe", "Walter Scott");
+
+  assert.equal(Book.buildDedupeKey("IVANHOË: A Romance", "Scott, Walter"), key);
+  assert.equal(Book.buildDedupeKey("The Ivanhoe (Illustrated)", "walter  scott"), key);
+  assert.notEqual(Book.buildDedupeKey("Rob Roy", "Walter Scott"), key);
+});
+
+test("books sharing a file or a title and author end up in one group", () => {
+  const groups = groupDuplicates([
+    { _id: "a", contentHash: "h1", dedupeKey: "ivanhoe|scott walter" },
+    { _id: "b", contentHash: "h1", dedupeKey: "ivanhoe illustrated|scott walter" },
+    { _id: "c", contentHash: "h2", dedupeKey: "ivanhoe illustrated|scott walter" },
+    { _id: "d", contentHash: "h3", dedupeKey: "rob roy|scott walter" },
+  ]);
+
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].books.map((book) => book._id).sort(), ["a", "b", "c"]);
+  assert.deepEqual(groups[0].reasons, ["same-file", "same-title-author"]);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const AdmZip = require("adm-zip");
+const Book = require("../models/Book");
+const BookPage = require("../models/BookPage");
+const { storage } = require("../utils/fileStorage");
+const { hashContent } = require("../utils/bookDuplicates");
+const { replaceBookFiles } = require("../utils/bookFiles");
+const { installFakeDb } = require("./helpers/fakeDb");
+
+const adminId = new mongoose.Types.ObjectId();
+
+// A minimal EPUB with one spine item per chapter
+const buildEpub = (chapters) => {
+  const zip = new AdmZip();
+  zip.addFile("mimetype", Buffer.from("application/epub+zip"));
+  zip.addFile(
+    "META-INF/container.xml",
+    Buffer.from(
+      '<?xml version="1.0"?><container><rootfiles>' +
+        '<rootfile full-path="OEBPS/content.opf"/></rootfiles></container>'
+    )
+  );
+  const ids = Array.from({ length: chapters }, (_, index) => `c${index + 1}`);
+  zip.addFile(
+    "OEBPS/content.opf",
+    Buffer.from(
+      '<?xml version="1.0"?><package><metadata><title>Book</title></metadata><manifest>' +
+        ids.map((id) => `<item id="${id}" href="${id}.xhtml" media-type="application/xhtml+xml"/>`).join("") +
+        "</manifest><spine>" +
+        ids.map((id) => `<itemref idref="${id}"/>`).join("") +
+        "</spine></package>"
+    )
+  );
+  for (const id of ids) {
+    zip.addFile(`OEBPS/${id}.xhtml`, Buffer.from(`<html><body><p>${id}</p></body></html>`));
+  }
+  return zip.toBuffer();
+};
+
+const epubBook = (pageCount) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: "Book",
+  author: "Author",
+  format: "epub",
+  epubUrl: "old.epub",
+  pageCount,
+  contentHash: "old",
+  toc: [],
+  fileVersions: [],
+  save: async () => {},
+});
+
+const setUp = (t, data, collections) => {
+  t.mock.method(storage, "read", async () => data);
+  t.mock.method(BookPage, "replaceForBook", async () => []);
+  return installFakeDb(t, collections);
+};
+
+test("a file with a new page count rescales everyone's reading progress", async (t) => {
+  const book = epubBook(10);
+  const db = setUp(t, buildEpub(4), { Book: [book] });
+
+  const result = await replaceBookFiles(book, { bookFileKey: "new.epub", userId: adminId });
+
+  assert.equal(result.pageCount, 4);
+  const progressUpdate = db.calls.find(
+    (call) => call.model === "ReadingProgress" && call.method === "updateMany"
+  );
+  assert.ok(progressUpdate, "progress rows were left on the old page count");
+  assert.deepEqual(progressUpdate.args[0], { book: book._id });
+  assert.deepEqual(progressUpdate.args[1][0].$set, {
+    pageCount: 4,
+    lastPage: { $min: ["$lastPage", 4] },
+  });
+});
+
+test("a file with the same page count leaves progress alone", async (t) => {
+  const book = epubBook(3);
+  const db = setUp(t, buildEpub(3), { Book: [book] });
+
+  await replaceBookFiles(book, { bookFileKey: "new.epub", userId: adminId });
+
+  assert.ok(!db.calls.some((call) => call.model === "ReadingProgress"));
+});
+
+test("a file that is already another book is refused unless allowed", async (t) => {
+  const data = buildEpub(3);
+  const contentHash = await hashContent(data);
+  const other = { _id: new mongoose.Types.ObjectId(), title: "Other", contentHash, deletedAt: null };
+  const book = epubBook(3);
+  setUp(t, data, { Book: [{ ...book, deletedAt: null }, other] });
+
+  await assert.rejects(
+    replaceBookFiles(book, { bookFileKey: "new.epub", userId: adminId }),
+    (error) => error.status === 409 && String(error.duplicates[0]._id) === String(other._id)
+  );
+  assert.equal(book.epubUrl, "old.epub");
+
+  await replaceBookFiles(book, { bookFileKey: "new.epub", userId: adminId, allowDuplicate: true });
+  assert.equal(book.epubUrl, "new.epub");
+  assert.equal(book.contentHash, contentHash);
+});
+
+test("another book with the same title and author is not a duplicate file", async (t) => {
+  const book = epubBook(3);
+  const dedupeKey = Book.buildDedupeKey(book.title, book.author);
+  const sibling = { ...epubBook(3), dedupeKey, contentHash: "different", deletedAt: null };
+  setUp(t, buildEpub(3), { Book: [{ ...book, deletedAt: null, dedupeKey }, sibling] });
+
+  await replaceBookFiles(book, { bookFileKey: "new.epub", userId: adminId });
+  assert.equal(book.epubUrl, "new.epub");
+});
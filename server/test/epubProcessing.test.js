@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeChapterHtml } = require("../utils/epubProcessing");
+
+const BYPASSES = [
+  "<img/onerror=alert(1) src=x>",
+  "<svg/onload=alert(1)><circle r=1 /></svg>",
+  "<svg><animate onbegin=alert(1) attributeName=x /></svg>",
+  "<a href=javascript:alert(1)>unquoted</a>",
+  '<a href="&#106;avascript:alert(1)">decimal entity</a>',
+  '<a href="&#x6A;avascript:alert(1)">hex entity</a>',
+  '<a href="jav&#x09;ascript:alert(1)">tab entity</a>',
+  '<a href=" JavaScript:alert(1)">spaced</a>',
+  '<img src="javascript:alert(1)">',
+  '<a href="data:text/html,<script>alert(1)</script>">data link</a>',
+  '<p style="background:url(javascript:alert(1))">styled</p>',
+  "<math><mi xlink:href=javascript:alert(1)>math</mi></math>",
+  "<script>alert(1)</script><iframe src=//evil></iframe><object data=x></object>",
+  "<form action=x><button formaction=javascript:alert(1)>go</button></form>",
+];
+
+test("strips script, event-handler and javascript: URL vectors", () => {
+  for (const payload of BYPASSES) {
+    const html = sanitizeChapterHtml(payload);
+    assert.doesNotMatch(html, /javascript:|\son\w+=|<script|<svg|<iframe|<object|<form|style=/i, payload);
+  }
+});
+
+test("keeps ordinary chapter markup", () => {
+  const html = sanitizeChapterHtml(
+    '<h2 id="c1">One</h2><p class="x">It was <em>a</em> <a href="https://example.com">link</a></p>'
+  );
+  assert.equal(
+    html,
+    '<h2 id="c1">One</h2><p class="x">It was <em>a</em> <a href="https://example.com">link</a></p>'
+  );
+});
+
+test("rewrites internal images and links before checking schemes", () => {
+  const html = sanitizeChapterHtml(
+    '<svg><image xlink:href="cover.png"/></svg><a href="ch2.xhtml">next</a><a href="&#106;avascript:x">bad</a>',
+    {
+      rewriteImage: (src) => `data:image/png;base64,${Buffer.from(src).toString("base64")}`,
+      rewriteLink: (href) => (href === "ch2.xhtml" ? "#chapter-2" : "#"),
+    }
+  );
+  assert.equal(
+    html,
+    '<img src="data:image/png;base64,Y292ZXIucG5n" /><a href="#chapter-2">next</a><a href="#">bad</a>'
+  );
+});
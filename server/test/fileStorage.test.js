@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { createDriver, toKey } = require("../utils/fileStorage");
+
+const useLocalDriver = async (t) => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+  t.after(() => fsp.rm(root, { recursive: true, force: true }));
+  return createDriver("local", { root });
+};
+
+test("local driver writes, reads, lists and removes by key", async (t) => {
+  const driver = await useLocalDriver(t);
+
+  await driver.write("/uploads/pdfs/a.pdf", Buffer.from("pdf"));
+  await driver.write("/uploads/images/b.png", Readable.from([Buffer.from("png")]));
+
+  assert.equal((await driver.read("/uploads/pdfs/a.pdf")).toString(), "pdf");
+  assert.equal((await driver.stat("/uploads/images/b.png")).size, 3);
+  assert.deepEqual((await driver.list()).sort(), ["/uploads/images/b.png", "/uploads/pdfs/a.pdf"]);
+
+  assert.equal(await driver.remove("/uploads/pdfs/a.pdf"), true);
+  assert.equal(await driver.remove("/uploads/pdfs/a.pdf"), false);
+  assert.equal(await driver.read("/uploads/pdfs/a.pdf"), null);
+  assert.equal(await driver.stat("/uploads/pdfs/a.pdf"), null);
+});
+
+test("keys cannot leave the uploads folder", async (t) => {
+  const driver = await useLocalDriver(t);
+
+  assert.throws(() => toKey("pdfs", "../../a.pdf"), { status: 400 });
+  await assert.rejects(driver.read("/uploads/../server.js"), { status: 400 });
+  await assert.rejects(driver.write("/etc/passwd", Buffer.from("x")), { status: 400 });
+  assert.throws(() => createDriver("s3"), /Unknown storage driver/);
+});
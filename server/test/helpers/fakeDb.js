@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+
+// Values at a dotted path, flattening arrays on the way ("fileVersions.url")
+const valuesAt = (doc, field) =>
+  field
+    .split(".")
+    .reduce((values, part) => values.flatMap((value) => value?.[part] ?? []), [doc])
+    .flat();
+
+const same = (a, b) => String(a) === String(b);
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  Object.keys(condition).every((key) => key.startsWith("$"));
+
+const matchesCondition = (values, condition) => {
+  if (condition === null) return values.every((value) => value == null);
+  if (!isOperatorObject(condition)) return values.some((value) => same(value, condition));
+
+  return Object.entries(condition).every(([operator, arg]) => {
+    switch (operator) {
+      case "$in":
+        return values.some((value) => arg.some((entry) => same(value, entry)));
+      case "$ne":
+        return arg === null
+          ? values.some((value) => value != null)
+          : !values.some((value) => same(value, arg));
+      case "$exists":
+        return arg ? values.some((value) => value !== undefined) : !values.length;
+      case "$gt":
+        return values.some((value) => value > arg);
+      case "$gte":
+        return values.some((value) => value >= arg);
+      case "$lt":
+        return values.some((value) => value < arg);
+      case "$lte":
+        return values.some((value) => value <= arg);
+      default:
+        throw new Error(`fakeDb does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) =>
+    field === "$or"
+      ? condition.some((branch) => matches(doc, branch))
+      : matchesCondition(valuesAt(doc, field), condition)
+  );
+
+// A thenable standing in for a mongoose Query; chained modifiers are ignored
+// except `setOptions`, which the soft-delete filter reads.
+const fakeQuery = (run) => {
+  const options = {};
+  const query = {
+    setOptions(extra) {
+      Object.assign(options, extra);
+      return query;
+    },
+    lean: () => query,
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve().then(() => run(options)).then(resolve, reject),
+  };
+  return query;
+};
+
+/**
+ * Swaps the static query methods every mongoose model inherits for an
+ * in-memory store seeded with `collections` (model name -> documents), so
+ * utils can run without MongoDB. Books get the soft-delete filter the real
+ * Book hooks add. Updates are recorded in `calls` but not applied. The
+ * mocks are restored when the test `t` ends.
+ */
+const installFakeDb = (t, collections = {}) => {
+  const store = new Map(
+    Object.entries(collections).map(([name, docs]) => [name, docs.map((doc) => ({ ...doc }))])
+  );
+  const calls = [];
+
+  const docsOf = (model) => {
+    if (!store.has(model.modelName)) store.set(model.modelName, []);
+    return store.get(model.modelName);
+  };
+  const visible = (model, filter, options) =>
+    model.modelName === "Book" && !options.withDeleted && !("deletedAt" in filter)
+      ? { ...filter, deletedAt: null }
+      : filter;
+  const select = (model, filter = {}, options = {}) =>
+    docsOf(model).filter((doc) => matches(doc, visible(model, filter, options)));
+  const remove = (model, filter, limit) => {
+    const docs = docsOf(model);
+    let deletedCount = 0;
+    for (let index = docs.length - 1; index >= 0 && deletedCount < limit; index -= 1) {
+      if (matches(docs[index], filter)) {
+        docs.splice(index, 1);
+        deletedCount += 1;
+      }
+    }
+    return { deletedCount };
+  };
+
+  const statics = {
+    async create(doc) {
+      const created = { _id: new mongoose.Types.ObjectId(), ...doc };
+      docsOf(this).push(created);
+      return created;
+    },
+    find(filter) {
+      return fakeQuery((options) => select(this, filter, options));
+    },
+    findOne(filter) {
+      return fakeQuery((options) => select(this, filter, options)[0] || null);
+    },
+    findById(id) {
+      return fakeQuery((options) => select(this, { _id: id }, options)[0] || null);
+    },
+    exists(filter) {
+      return fakeQuery((options) => {
+        const doc = select(this, filter, options)[0];
+        return doc ? { _id: doc._id } : null;
+      });
+    },
+    countDocuments(filter) {
+      return fakeQuery((options) => select(this, filter, options).length);
+    },
+    distinct(field, filter) {
+      return fakeQuery((options) => [
+        ...new Set(select(this, filter, options).flatMap((doc) => valuesAt(doc, field))),
+      ]);
+    },
+    deleteOne(filter) {
+      return fakeQuery(() => remove(this, filter, 1));
+    },
+    deleteMany(filter) {
+      return fakeQuery(() => remove(this, filter, Infinity));
+    },
+    // Returns the matching document as it was; the update isn't applied
+    findOneAndUpdate(filter) {
+      return fakeQuery((options) => select(this, filter, options)[0] || null);
+    },
+    updateOne() {
+      return fakeQuery(() => ({ modifiedCount: 0 }));
+    },
+    updateMany() {
+      return fakeQuery(() => ({ modifiedCount: 0 }));
+    },
+    aggregate() {
+      return fakeQuery(() => []);
+    },
+  };
+
+  for (const [method, implementation] of Object.entries(statics)) {
+    t.mock.method(mongoose.Model, method, function (...args) {
+      calls.push({ model: this.modelName, method, args });
+      return implementation.apply(this, args);
+    });
+  }
+
+  return { calls, docs: (name) => store.get(name) || [] };
+};
+
+module.exports = { installFakeDb };
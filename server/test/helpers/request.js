@@ -0,0 +1,29 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+
+/**
+ * Mounts `router` at `mountPath` on a throwaway app and sends one JSON
+ * request as `userId` (authenticateToken still looks the user up, so the
+ * fake database needs a matching User). The server closes when `t` ends.
+ */
+const sendRequest = async (t, { router, mountPath, method = "GET", path, userId, body }) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${mountPath}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${jwt.sign({ _id: userId }, process.env.JWTPRIVATEKEY)}`,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+module.exports = { sendRequest };
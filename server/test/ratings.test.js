@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Book = require("../models/Book");
+const Rating = require("../models/Rating");
+const { applyRating } = require("../utils/ratings");
+const { installFakeDb } = require("./helpers/fakeDb");
+
+const userId = new mongoose.Types.ObjectId();
+const bookId = new mongoose.Types.ObjectId();
+
+const ratingCalls = (calls) => calls.filter((call) => call.model === "Rating");
+
+test("rating a trashed book stores nothing", async (t) => {
+  const db = installFakeDb(t, { Book: [{ _id: bookId, deletedAt: new Date() }] });
+
+  assert.equal(await applyRating(bookId, userId, 4), null);
+  assert.deepEqual(ratingCalls(db.calls), []);
+});
+
+test("a book trashed mid-rating gets the new rating removed again", async (t) => {
+  const db = installFakeDb(t, { Book: [{ _id: bookId, deletedAt: null }] });
+  t.mock.method(Book, "findByIdAndUpdate", async () => null);
+
+  assert.equal(await applyRating(bookId, userId, 4), null);
+  assert.deepEqual(
+    ratingCalls(db.calls).map((call) => call.method),
+    ["findOneAndUpdate", "deleteOne"]
+  );
+});
+
+test("a first rating that loses the unique-index race is applied as a change", async (t) => {
+  installFakeDb(t, {
+    Book: [{ _id: bookId, deletedAt: null }],
+    Review: [],
+  });
+  let attempts = 0;
+  t.mock.method(Rating, "findOneAndUpdate", async () => {
+    attempts += 1;
+    if (attempts === 1) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+    return { rating: 2 };
+  });
+  t.mock.method(Book, "findByIdAndUpdate", async (id, pipeline) => {
+    assert.deepEqual(pipeline[0].$set.ratingSum.$add[1], 3);
+    assert.deepEqual(pipeline[0].$set.ratingCount.$add[1], 0);
+    return { averageRating: 5, ratingCount: 1 };
+  });
+
+  assert.deepEqual(await applyRating(bookId, userId, 5), { averageRating: 5, ratingCount: 1 });
+  assert.equal(attempts, 2);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { getGoalSummary } = require("../utils/readingGoals");
+const { installFakeDb } = require("./helpers/fakeDb");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+const daysAgo = (count) => new Date(Date.now() - count * DAY_MS).toISOString().slice(0, 10);
+
+// Newest first, as the summary's sorted query returns them
+const activity = (...ages) =>
+  ages.sort((a, b) => a - b).map((age) => ({ user: userId, day: daysAgo(age), secondsSpent: 60 }));
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+const activityReads = (calls) =>
+  calls.filter((call) => call.model === "ReadingActivity" && call.method === "find");
+
+test("streaks come from recent activity once a longest streak is stored", async (t) => {
+  const db = installFakeDb(t, {
+    ReadingGoal: [{ user: userId, year: 2020, longestStreak: 120 }],
+    ReadingActivity: activity(0, 1, 2, ...range(600, 700)),
+  });
+
+  const summary = await getGoalSummary(userId);
+
+  assert.equal(summary.currentStreak, 3);
+  assert.equal(summary.longestStreak, 120);
+  assert.equal(activityReads(db.calls).length, 1);
+  assert.equal(activityReads(db.calls)[0].args[0].day.$gte, daysAgo(400));
+});
+
+test("the full history is read once to seed the longest streak", async (t) => {
+  const db = installFakeDb(t, {
+    ReadingActivity: activity(0, ...range(600, 609)),
+  });
+
+  const summary = await getGoalSummary(userId);
+
+  assert.equal(summary.currentStreak, 1);
+  assert.equal(summary.longestStreak, 10);
+  assert.equal(activityReads(db.calls).length, 2);
+  const saved = db.calls.find((call) => call.model === "ReadingGoal" && call.method === "updateOne");
+  assert.deepEqual(saved.args[1], { $max: { longestStreak: 10 } });
+});
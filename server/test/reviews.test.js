@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const reviewRoutes = require("../routes/reviews");
+const { installFakeDb } = require("./helpers/fakeDb");
+const { sendRequest } = require("./helpers/request");
+
+const userId = new mongoose.Types.ObjectId();
+const bookId = new mongoose.Types.ObjectId();
+
+const postReview = (t, body) =>
+  sendRequest(t, {
+    router: reviewRoutes,
+    mountPath: "/api/reviews",
+    method: "POST",
+    path: `/book/${bookId}`,
+    userId,
+    body,
+  });
+
+const ratingWrites = (calls) =>
+  calls.filter((call) => call.model === "Rating" && call.method === "findOneAndUpdate");
+
+test("a second review is rejected without changing the rating", async (t) => {
+  const db = installFakeDb(t, {
+    User: [{ _id: userId }],
+    Book: [{ _id: bookId, deletedAt: null }],
+    Review: [{ _id: new mongoose.Types.ObjectId(), book: bookId, user: userId, text: "First" }],
+    Rating: [{ book: bookId, user: userId, rating: 5 }],
+  });
+
+  const response = await postReview(t, { text: "Second thoughts", rating: 1 });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(ratingWrites(db.calls), []);
+});
+
+test("a review that loses the race to the unique index leaves the rating alone", async (t) => {
+  const db = installFakeDb(t, {
+    User: [{ _id: userId }],
+    Book: [{ _id: bookId, deletedAt: null }],
+  });
+  t.mock.method(Review, "create", async () => {
+    throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+  });
+
+  const response = await postReview(t, { text: "Posted twice", rating: 2 });
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(ratingWrites(db.calls), []);
+});
+
+test("an edit that fails to save leaves the rating alone", async (t) => {
+  const reviewId = new mongoose.Types.ObjectId();
+  const db = installFakeDb(t, {
+    User: [{ _id: userId }],
+    Book: [{ _id: bookId, deletedAt: null }],
+  });
+  t.mock.method(Review, "findById", async () =>
+    Review.hydrate({ _id: reviewId, book: bookId, user: userId, text: "Fine", rating: 3 })
+  );
+  t.mock.method(Review.prototype, "save", async () => {
+    throw Object.assign(new Error("Validation failed"), { name: "ValidationError" });
+  });
+
+  const response = await sendRequest(t, {
+    router: reviewRoutes,
+    mountPath: "/api/reviews",
+    method: "PUT",
+    path: `/${reviewId}`,
+    userId,
+    body: { text: "Changed my mind", rating: 1 },
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(ratingWrites(db.calls), []);
+});
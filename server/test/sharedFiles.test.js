@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Book = require("../models/Book");
+const { storage } = require("../utils/fileStorage");
+const { coverVariantKeys } = require("../utils/coverImages");
+const { removeUnreferencedBookFiles } = require("../utils/orphanFiles");
+const { mergeBooks } = require("../utils/bookDuplicates");
+const { purgeExpiredBooks } = require("../utils/bookTrash");
+const { installFakeDb } = require("./helpers/fakeDb");
+
+// What server/seed-data.js gives every book
+const PLACEHOLDER_PDF = "/uploads/pdfs/placeholder.pdf";
+const PLACEHOLDER_COVER = "/uploads/images/placeholder-cover.png";
+
+const seededBook = (id, extra = {}) => ({
+  _id: id,
+  title: `Book ${id}`,
+  format: "pdf",
+  pdfUrl: PLACEHOLDER_PDF,
+  coverImage: PLACEHOLDER_COVER,
+  deletedAt: null,
+  ...extra,
+});
+
+const recordRemovals = (t) => {
+  const removed = [];
+  t.mock.method(storage, "remove", async (key) => {
+    removed.push(key);
+    return true;
+  });
+  return removed;
+};
+
+test("keeps files another book still points at", async (t) => {
+  installFakeDb(t, {
+    Book: [
+      seededBook("kept"),
+      seededBook("trashed", {
+        pdfUrl: "/uploads/pdfs/trashed.pdf",
+        deletedAt: new Date(),
+        fileVersions: [{ kind: "pdf", url: "/uploads/pdfs/shared-old.pdf" }],
+      }),
+    ],
+  });
+  const removed = recordRemovals(t);
+
+  const result = await removeUnreferencedBookFiles(
+    seededBook("gone", {
+      epubUrl: "/uploads/epubs/gone.epub",
+      fileVersions: [
+        { kind: "pdf", url: "/uploads/pdfs/shared-old.pdf" },
+        { kind: "cover", url: "/uploads/images/gone-old.png" },
+      ],
+    })
+  );
+
+  assert.deepEqual(result, ["/uploads/epubs/gone.epub", "/uploads/images/gone-old.png"]);
+  assert.deepEqual(removed.sort(), [
+    "/uploads/epubs/gone.epub",
+    "/uploads/images/gone-old.png",
+    ...coverVariantKeys("/uploads/images/gone-old.png"),
+  ].sort());
+});
+
+test("merging seeded duplicates leaves the kept book's files alone", async (t) => {
+  const db = installFakeDb(t, {
+    Book: [
+      seededBook("a"),
+      seededBook("b", { fileVersions: [{ kind: "pdf", url: "/uploads/pdfs/b-old.pdf" }] }),
+    ],
+  });
+  t.mock.method(Book.collection, "updateOne", async () => ({ modifiedCount: 1 }));
+  const removed = recordRemovals(t);
+
+  const result = await mergeBooks("a", ["b"]);
+
+  assert.deepEqual(result.merged, ["b"]);
+  assert.deepEqual(db.docs("Book").map((book) => book._id), ["a"]);
+  assert.deepEqual(removed, ["/uploads/pdfs/b-old.pdf"]);
+});
+
+test("purging a trashed seeded book keeps the live books' files", async (t) => {
+  const db = installFakeDb(t, {
+    Book: [
+      seededBook("live"),
+      seededBook("old", {
+        deletedAt: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000),
+        epubUrl: "/uploads/epubs/old.epub",
+      }),
+    ],
+  });
+  const removed = recordRemovals(t);
+
+  const purged = await purgeExpiredBooks();
+
+  assert.equal(purged, 1);
+  assert.deepEqual(db.docs("Book").map((book) => book._id), ["live"]);
+  assert.deepEqual(removed, ["/uploads/epubs/old.epub"]);
+});
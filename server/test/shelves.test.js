@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Shelf = require("../models/Shelf");
+const shelfRoutes = require("../routes/shelves");
+const { installFakeDb } = require("./helpers/fakeDb");
+const { sendRequest } = require("./helpers/request");
+
+const userId = new mongoose.Types.ObjectId();
+const [first, trashed, last] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+test("reordering skips books the reader can't see and keeps them shelved", async (t) => {
+  installFakeDb(t, {
+    User: [{ _id: userId }],
+    Book: [
+      { _id: first, deletedAt: null },
+      { _id: trashed, deletedAt: new Date() },
+      { _id: last, deletedAt: null },
+    ],
+  });
+  const shelf = Shelf.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    name: "Favourites",
+    books: [first, trashed, last].map((book) => ({ book, addedAt: new Date() })),
+  });
+  t.mock.method(Shelf, "findOne", () => ({ populate: () => shelf, then: (resolve) => resolve(shelf) }));
+  const saved = [];
+  t.mock.method(Shelf.prototype, "save", async function () {
+    saved.push(this.books.map((entry) => entry.book.toString()));
+    return this;
+  });
+
+  const response = await sendRequest(t, {
+    router: shelfRoutes,
+    mountPath: "/api/shelves",
+    method: "PUT",
+    path: `/${shelf._id}/books/order`,
+    userId,
+    body: { bookIds: [last, first] },
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(saved, [[last, first, trashed].map(String)]);
+});
@@ -0,0 +1,185 @@
+const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const CSV_COLUMNS = [
+  "book_id",
+  "book_title",
+  "author",
+  "type",
+  "chapter",
+  "page",
+  "color",
+  "text",
+  "note",
+  "tags",
+  "created_at",
+];
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : "");
+
+// The chapter a page belongs to is the last TOC entry starting on or before it
+const chapterForPage = (toc, page) => {
+  let chapter = null;
+  for (const entry of toc) {
+    if (entry.page > page) break;
+    chapter = entry.title;
+  }
+  return chapter;
+};
+
+const byPage = (a, b) => (a.page || 0) - (b.page || 0);
+
+/**
+ * Groups one user's highlights and bookmarks under their books as plain
+ * export records, sorted by page and tagged with their chapter. `books` are
+ * lean Book documents with title, author and toc loaded.
+ */
+const collectAnnotations = (books, highlights, bookmarks) =>
+  books
+    .map((book) => {
+      const id = book._id.toString();
+      const toc = [...(book.toc || [])]
+        .filter((entry) => entry.title && entry.page)
+        .sort((a, b) => a.page - b.page);
+      const forBook = (entry) => entry.book?.toString() === id;
+
+      return {
+        id,
+        title: book.title,
+        author: book.author,
+        highlights: highlights
+          .filter(forBook)
+          .sort(byPage)
+          .map((entry) => ({
+            id: entry._id?.toString(),
+            chapter: chapterForPage(toc, entry.page),
+            page: entry.page,
+            color: entry.color || "yellow",
+            text: entry.text || "",
+            note: entry.note || "",
+            tags: entry.tags || [],
+            createdAt: toIsoString(entry.createdAt),
+          })),
+        bookmarks: bookmarks
+          .filter(forBook)
+          .sort(byPage)
+          .map((entry) => ({
+            chapter: chapterForPage(toc, entry.page),
+            page: entry.page,
+            createdAt: toIsoString(entry.createdAt),
+          })),
+      };
+    })
+    .filter((book) => book.highlights.length || book.bookmarks.length);
+
+const quoteMarkdown = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join("\n");
+
+const renderBookMarkdown = (book) => {
+  const lines = [`## ${book.title}`, "", `*${book.author}*`, ""];
+
+  const chapters = new Map();
+  const chapterEntries = (chapter) => {
+    const key = chapter || "Other";
+    if (!chapters.has(key)) chapters.set(key, []);
+    return chapters.get(key);
+  };
+
+  const items = [
+    ...book.highlights.map((entry) => ({ ...entry, type: "highlight" })),
+    ...book.bookmarks.map((entry) => ({ ...entry, type: "bookmark" })),
+  ].sort(byPage);
+  items.forEach((item) => chapterEntries(item.chapter).push(item));
+
+  for (const [chapter, entries] of chapters) {
+    lines.push(`### ${chapter}`, "");
+    for (const entry of entries) {
+      if (entry.type === "bookmark") {
+        lines.push(`- Bookmark on page ${entry.page}`, "");
+        continue;
+      }
+
+      lines.push(`**Page ${entry.page}** (${entry.color})`, "");
+      if (entry.text) lines.push(quoteMarkdown(entry.text), "");
+      if (entry.note) lines.push(`Note: ${entry.note}`, "");
+      if (entry.tags.length) {
+        lines.push(`Tags: ${entry.tags.map((tag) => `#${tag}`).join(" ")}`, "");
+      }
+    }
+  }
+
+  return lines.join("\n");
+};
+
+const toMarkdown = (books, exportedAt) =>
+  [
+    "# Club Lit annotations",
+    "",
+    `Exported ${exportedAt.toISOString()}`,
+    "",
+    ...books.map(renderBookMarkdown),
+  ].join("\n");
+
+// Quote every field, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (books) => {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const book of books) {
+    const base = [book.id, book.title, book.author];
+    for (const entry of book.highlights) {
+      rows.push(
+        [
+          ...base,
+          "highlight",
+          entry.chapter,
+          entry.page,
+          entry.color,
+          entry.text,
+          entry.note,
+          entry.tags.join(";"),
+          entry.createdAt,
+        ]
+          .map(csvField)
+          .join(",")
+      );
+    }
+    for (const entry of book.bookmarks) {
+      rows.push(
+        [...base, "bookmark", entry.chapter, entry.page, "", "", "", "", entry.createdAt]
+          .map(csvField)
+          .join(",")
+      );
+    }
+  }
+  return `${rows.join("\r\n")}\r\n`;
+};
+
+const toJson = (books, exportedAt) =>
+  JSON.stringify({ exportedAt: exportedAt.toISOString(), books }, null, 2);
+
+/**
+ * Renders collected annotations in one of EXPORT_FORMATS and returns the body
+ * with its content type and file extension.
+ */
+const renderAnnotationExport = (books, format, exportedAt = new Date()) => {
+  const renderers = { md: toMarkdown, json: toJson, csv: toCsv };
+  return {
+    ...EXPORT_FORMATS[format],
+    body: renderers[format](books, exportedAt),
+  };
+};
+
+module.exports = { EXPORT_FORMATS, collectAnnotations, renderAnnotationExport };
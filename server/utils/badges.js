@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+
+const Badge = require("../models/Badge");
+const UserBadge = require("../models/UserBadge");
+const Book = require("../models/Book");
+const BookRequest = require("../models/BookRequest");
+const Club = require("../models/Club");
+const Message = require("../models/Message");
+const Rating = require("../models/Rating");
+const ReadingProgress = require("../models/ReadingProgress");
+const Review = require("../models/Review");
+const { User } = require("../models/User");
+
+const DUPLICATE_KEY = 11000;
+
+// What badge rules can measure. `events` are the actions after which the
+// metric can have changed, so only the relevant badges are re-checked.
+const BADGE_METRICS = {
+  comments: {
+    label: "Book reviews written",
+    events: ["comment"],
+    count: (userId) => Review.countDocuments({ user: userId }),
+  },
+  ratings: {
+    label: "Books rated",
+    events: ["rating"],
+    count: (userId) => Rating.countDocuments({ user: userId }),
+  },
+  booksFinished: {
+    label: "Books finished",
+    events: ["book.finished"],
+    count: (userId) => ReadingProgress.countDocuments({ user: userId, finishedAt: { $ne: null } }),
+  },
+  genresRead: {
+    label: "Different genres opened",
+    events: ["book.opened"],
+    count: async (userId) => {
+      const user = await User.findById(userId, "bookHistory").lean();
+      const genres = await Book.distinct("genres", { _id: { $in: user?.bookHistory || [] } });
+      return genres.length;
+    },
+  },
+  clubsCreated: {
+    label: "Clubs founded",
+    events: ["club.created"],
+    count: (userId) => Club.countDocuments({ createdBy: userId }),
+  },
+  messages: {
+    label: "Club chat messages sent",
+    events: ["message"],
+    // Message.user is stored as a string id
+    count: (userId) => Message.countDocuments({ user: String(userId) }),
+  },
+  approvedRequests: {
+    label: "Book requests approved",
+    events: ["bookRequest.approved"],
+    count: (userId) => BookRequest.countDocuments({ user: userId, status: "Approved" }),
+  },
+};
+
+// Seeded on startup; admins can edit, deactivate or add to them afterwards
+const DEFAULT_BADGES = [
+  { key: "first-review", name: "First Review", icon: "✍️", metric: "comments", threshold: 1, description: "Wrote your first book review." },
+  { key: "critic", name: "Critic", icon: "⭐", metric: "ratings", threshold: 25, description: "Rated 25 books." },
+  { key: "ten-books", name: "Bookworm", icon: "📚", metric: "booksFinished", threshold: 10, description: "Finished 10 books." },
+  { key: "genre-explorer", name: "Genre Explorer", icon: "🧭", metric: "genresRead", threshold: 5, description: "Opened books from 5 different genres." },
+  { key: "club-founder", name: "Club Founder", icon: "🏛️", metric: "clubsCreated", threshold: 1, description: "Started a book club." },
+  { key: "chatterbox", name: "Chatterbox", icon: "💬", metric: "messages", threshold: 100, description: "Sent 100 club chat messages." },
+  { key: "book-scout", name: "Book Scout", icon: "🔎", metric: "approvedRequests", threshold: 1, description: "Had a book request approved for the library." },
+];
+
+const ensureDefaultBadges = () =>
+  Badge.bulkWrite(
+    DEFAULT_BADGES.map((badge) => ({
+      updateOne: {
+        filter: { key: badge.key },
+        update: { $setOnInsert: badge },
+        upsert: true,
+      },
+    }))
+  );
+
+const awardBadge = async (userId, badge) => {
+  try {
+    await UserBadge.create({ user: userId, badge: badge._id });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) return false; // Awarded concurrently
+    throw error;
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        notifications: {
+          message: `${badge.icon} You earned the "${badge.name}" badge! ${badge.description}`.trim(),
+          status: "unread",
+          reason: "Badge earned",
+          createdAt: new Date(),
+          viewed: false,
+        },
+      },
+    }
+  );
+  return true;
+};
+
+/**
+ * Awards every active badge in `badges` that the user qualifies for and
+ * doesn't hold yet. Each metric is counted at most once per call.
+ */
+const evaluateBadges = async (userId, badges) => {
+  if (!badges.length) return [];
+
+  const owned = await UserBadge.find(
+    { user: userId, badge: { $in: badges.map((badge) => badge._id) } },
+    "badge"
+  ).lean();
+  const ownedIds = new Set(owned.map((entry) => entry.badge.toString()));
+  const pending = badges.filter((badge) => !ownedIds.has(badge._id.toString()));
+
+  const counts = new Map();
+  const awarded = [];
+  for (const badge of pending) {
+    const metric = BADGE_METRICS[badge.metric];
+    if (!metric) continue;
+
+    if (!counts.has(badge.metric)) {
+      counts.set(badge.metric, await metric.count(userId));
+    }
+    if (counts.get(badge.metric) >= badge.threshold && (await awardBadge(userId, badge))) {
+      awarded.push(badge.key);
+    }
+  }
+  return awarded;
+};
+
+/**
+ * Re-checks the badges whose metric `event` can move. Fire-and-forget like
+ * recordBookEvent: failures are logged, never thrown at the caller.
+ */
+const recordBadgeEvent = async (userId, event) => {
+  try {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return;
+
+    const metrics = Object.keys(BADGE_METRICS).filter((key) =>
+      BADGE_METRICS[key].events.includes(event)
+    );
+    const badges = await Badge.find({ active: true, metric: { $in: metrics } }).lean();
+    await evaluateBadges(userId, badges);
+  } catch (error) {
+    console.warn(`Failed to evaluate badges for ${event}:`, error.message);
+  }
+};
+
+/**
+ * Awards `badge` to every existing user who already qualifies, for badges
+ * added or lowered after the fact. Returns how many users received it.
+ */
+const backfillBadge = async (badge) => {
+  let awardedCount = 0;
+  for await (const user of User.find({ isAdmin: { $ne: true } }, "_id").lean().cursor()) {
+    const awarded = await evaluateBadges(user._id, [badge]);
+    awardedCount += awarded.length;
+  }
+  return awardedCount;
+};
+
+module.exports = {
+  BADGE_METRICS,
+  ensureDefaultBadges,
+  recordBadgeEvent,
+  backfillBadge,
+};
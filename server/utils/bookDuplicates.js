@@ -0,0 +1,292 @@
+const crypto = require("crypto");
+const fsp = require("fs/promises");
+
+const Book = require("../models/Book");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const ReviewVote = require("../models/ReviewVote");
+const ReviewReply = require("../models/ReviewReply");
+const ReviewReaction = require("../models/ReviewReaction");
+const Comment = require("../models/Comment");
+const ReadingProgress = require("../models/ReadingProgress");
+const Highlight = require("../models/Highlight");
+const Bookmark = require("../models/Bookmark");
+const BookEvent = require("../models/BookEvent");
+const Shelf = require("../models/Shelf");
+const { User } = require("../models/User");
+const { removeBookText } = require("./bookTextIndex");
+const { recalculateRatings } = require("./ratings");
+const { invalidateSimilarityIndex } = require("./similarBooks");
+const { storage } = require("./fileStorage");
+const { removeUnreferencedBookFiles } = require("./orphanFiles");
+
+const MAX_REVIEW_LENGTH = 5000;
+const REPORT_FIELDS =
+  "title author coverImage format pageCount createdAt reads ratingCount averageRating contentHash dedupeKey";
+
+// SHA-256 of a book file, given its path or contents
+const hashContent = async (source) => {
+  const data = Buffer.isBuffer(source) ? source : await fsp.readFile(source);
+  return crypto.createHash("sha256").update(data).digest("hex");
+};
+
+/**
+ * Books that look like the one being added: the same file, or the same
+ * title and author once normalised. Each result says why it matched.
+ */
+const findDuplicateBooks = async ({ contentHash, title, author, excludeId }) => {
+  const dedupeKey = Book.buildDedupeKey(title, author);
+  const filter = { $or: [{ dedupeKey }] };
+  if (contentHash) filter.$or.push({ contentHash });
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const books = await Book.find(filter, "title author coverImage contentHash dedupeKey").lean();
+  return books.map((book) => ({
+    _id: book._id,
+    title: book.title,
+    author: book.author,
+    coverImage: book.coverImage,
+    reason: contentHash && book.contentHash === contentHash ? "same-file" : "same-title-author",
+  }));
+};
+
+/**
+ * Fills in `dedupeKey` and `contentHash` for books stored before duplicate
+ * detection existed. Books whose file is missing keep a null hash.
+ */
+const backfillFingerprints = async () => {
+  const books = await Book.find(
+    { $or: [{ contentHash: null }, { dedupeKey: null }] },
+    "title author format pdfUrl epubUrl contentHash dedupeKey"
+  ).lean();
+  let hashed = 0;
+
+  for (const book of books) {
+    const changes = { dedupeKey: book.dedupeKey || Book.buildDedupeKey(book.title, book.author) };
+    if (!book.contentHash) {
+      const fileKey = book.format === "epub" ? book.epubUrl : book.pdfUrl;
+      try {
+        const data = fileKey && (await storage.read(fileKey));
+        if (data) {
+          changes.contentHash = await hashContent(data);
+          hashed += 1;
+        }
+      } catch (error) {
+        console.warn("Failed to hash book file:", book._id, error.message);
+      }
+    }
+    await Book.updateOne({ _id: book._id }, { $set: changes });
+  }
+
+  return { checked: books.length, hashed };
+};
+
+/**
+ * Groups books that share a file hash or dedupe key. Matches chain, so A
+ * and C end up together when A shares a file with B and B a title with C.
+ */
+const groupDuplicates = (books) => {
+  const parent = new Map(books.map((book) => [String(book._id), String(book._id)]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const reasons = new Map();
+  const link = (field, reason) => {
+    const firstByValue = new Map();
+    books.forEach((book) => {
+      const value = book[field];
+      if (!value) return;
+      const id = String(book._id);
+      if (!firstByValue.has(value)) {
+        firstByValue.set(value, id);
+        return;
+      }
+      const root = find(firstByValue.get(value));
+      parent.set(find(id), root);
+      reasons.set(`${id}:${reason}`, true);
+      reasons.set(`${firstByValue.get(value)}:${reason}`, true);
+    });
+  };
+  link("contentHash", "same-file");
+  link("dedupeKey", "same-title-author");
+
+  const groups = new Map();
+  books.forEach((book) => {
+    const root = find(String(book._id));
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(book);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const groupReasons = ["same-file", "same-title-author"].filter((reason) =>
+        group.some((book) => reasons.has(`${book._id}:${reason}`))
+      );
+      return {
+        reasons: groupReasons,
+        books: group.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+      };
+    });
+};
+
+// Likely duplicates across the library, with the numbers an admin needs to
+// pick which copy to keep
+const findDuplicateGroups = async () => {
+  await backfillFingerprints();
+
+  const books = await Book.find({}, REPORT_FIELDS).lean();
+  const groups = groupDuplicates(books);
+  const bookIds = groups.flatMap((group) => group.books.map((book) => book._id));
+
+  const reviewCounts = await Review.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    { $group: { _id: "$book", count: { $sum: 1 } } },
+  ]);
+  const reviewsByBook = new Map(reviewCounts.map((entry) => [String(entry._id), entry.count]));
+
+  return groups.map((group) => ({
+    reasons: group.reasons,
+    books: group.books.map(({ contentHash, dedupeKey, ...book }) => ({
+      ...book,
+      reviewCount: reviewsByBook.get(String(book._id)) || 0,
+    })),
+  }));
+};
+
+// One review per reader per book: when both copies have one, the texts are
+// joined on the kept review and the other's replies move across.
+const mergeReviews = async (source, target) => {
+  const targetReviews = await Review.find({ book: target }, "user text");
+  const targetByUser = new Map(targetReviews.map((review) => [String(review.user), review]));
+  const conflicting = await Review.find({ book: source, user: { $in: [...targetByUser.keys()] } });
+
+  for (const review of conflicting) {
+    const kept = targetByUser.get(String(review.user));
+    if (review.text.trim() && review.text.trim() !== kept.text.trim()) {
+      kept.text = `${kept.text}\n\n${review.text}`.slice(0, MAX_REVIEW_LENGTH);
+      await kept.save();
+    }
+    await Promise.all([
+      ReviewReply.updateMany({ review: review._id }, { $set: { review: kept._id } }),
+      ReviewVote.deleteMany({ review: review._id }),
+      ReviewReaction.deleteMany({ target: review._id }),
+      Review.deleteOne({ _id: review._id }),
+    ]);
+  }
+
+  await Review.updateMany({ book: source }, { $set: { book: target } });
+  await ReviewReply.updateMany({ book: source }, { $set: { book: target } });
+  await ReviewReaction.updateMany({ book: source }, { $set: { book: target } });
+};
+
+// Reading progress is one record per reader and book; the further one wins
+const mergeProgress = async (source, target) => {
+  const targetProgress = await ReadingProgress.find({ book: target }, "user percent").lean();
+  const targetByUser = new Map(targetProgress.map((entry) => [String(entry.user), entry]));
+  const conflicting = await ReadingProgress.find(
+    { book: source, user: { $in: [...targetByUser.keys()] } },
+    "user percent"
+  ).lean();
+
+  for (const entry of conflicting) {
+    const kept = targetByUser.get(String(entry.user));
+    const loser = entry.percent > kept.percent ? kept : entry;
+    await ReadingProgress.deleteOne({ _id: loser._id });
+  }
+  await ReadingProgress.updateMany({ book: source }, { $set: { book: target } });
+};
+
+const mergeBookmarks = async (source, target) => {
+  const targetMarks = await Bookmark.find({ book: target }, "user page").lean();
+  const taken = new Set(targetMarks.map((mark) => `${mark.user}:${mark.page}`));
+  const sourceMarks = await Bookmark.find({ book: source }, "user page").lean();
+  const clashing = sourceMarks.filter((mark) => taken.has(`${mark.user}:${mark.page}`));
+
+  await Bookmark.deleteMany({ _id: { $in: clashing.map((mark) => mark._id) } });
+  await Bookmark.updateMany({ book: source }, { $set: { book: target } });
+};
+
+const mergeRatings = async (source, target) => {
+  // A reader who rated both copies keeps the rating on the kept book
+  const targetRaters = await Rating.distinct("user", { book: target });
+  await Rating.deleteMany({ book: source, user: { $in: targetRaters } });
+  await Rating.updateMany({ book: source }, { $set: { book: target } });
+};
+
+const mergeLists = async (source, target) => {
+  await Shelf.updateMany(
+    { "books.book": { $all: [source, target] } },
+    { $pull: { books: { book: source } } }
+  );
+  await Shelf.updateMany(
+    { "books.book": source },
+    { $set: { "books.$[entry].book": target } },
+    { arrayFilters: [{ "entry.book": source }] }
+  );
+
+  for (const field of ["favorites", "bookHistory"]) {
+    await User.updateMany({ [field]: source }, { $addToSet: { [field]: target } });
+    await User.updateMany({ [field]: source }, { $pull: { [field]: source } });
+  }
+};
+
+/**
+ * Folds `duplicateIds` into `targetId`: ratings, reviews and their
+ * discussion, progress, highlights, bookmarks, shelves, favourites and read
+ * counts move to the kept book, then the duplicates and their files are
+ * deleted. Returns the kept book and the ids merged into it.
+ */
+const mergeBooks = async (targetId, duplicateIds) => {
+  const target = await Book.findById(targetId);
+  if (!target) {
+    throw Object.assign(new Error("Book to keep not found"), { status: 404 });
+  }
+
+  const ids = [...new Set(duplicateIds.map(String))].filter((id) => id !== String(target._id));
+  const duplicates = await Book.find({ _id: { $in: ids } });
+  if (!duplicates.length || duplicates.length !== ids.length) {
+    throw Object.assign(new Error("Duplicate books not found"), { status: 404 });
+  }
+
+  for (const duplicate of duplicates) {
+    const source = duplicate._id;
+
+    await mergeRatings(source, target._id);
+    await mergeReviews(source, target._id);
+    await mergeProgress(source, target._id);
+    await mergeBookmarks(source, target._id);
+    await mergeLists(source, target._id);
+    await Promise.all([
+      Highlight.updateMany({ book: source }, { $set: { book: target._id } }),
+      BookEvent.updateMany({ book: source }, { $set: { book: target._id } }),
+      Comment.updateMany({ book: source }, { $set: { book: target._id } }),
+      Book.updateOne({ _id: target._id }, { $inc: { reads: duplicate.reads || 0 } }),
+      removeBookText(source),
+    ]);
+
+    await Book.deleteOne({ _id: source });
+    // Same-file duplicates usually share their upload with the kept book
+    await removeUnreferencedBookFiles(duplicate);
+  }
+
+  await recalculateRatings(target._id);
+  invalidateSimilarityIndex();
+
+  const merged = await Book.findById(target._id, "title author averageRating ratingCount reads").lean();
+  return { book: merged, merged: duplicates.map((book) => book._id) };
+};
+
+module.exports = {
+  hashContent,
+  findDuplicateBooks,
+  backfillFingerprints,
+  groupDuplicates,
+  findDuplicateGroups,
+  mergeBooks,
+};
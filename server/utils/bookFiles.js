@@ -0,0 +1,133 @@
+const Bookmark = require("../models/Bookmark");
+const Highlight = require("../models/Highlight");
+const ReadingProgress = require("../models/ReadingProgress");
+const { inspectPdf } = require("./pdfProcessing");
+const { inspectEpub } = require("./epubProcessing");
+const { indexBookText } = require("./bookTextIndex");
+const { hashContent, findDuplicateBooks } = require("./bookDuplicates");
+const { generateCoverVariants, removeCoverVariants } = require("./coverImages");
+const { storage } = require("./fileStorage");
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Bookmarks and highlights left beyond the last page of a shorter file
+const countPastEnd = async (bookId, pageCount) => {
+  const filter = { book: bookId, page: { $gt: pageCount } };
+  const [bookmarks, highlights] = await Promise.all([
+    Bookmark.countDocuments(filter),
+    Highlight.countDocuments(filter),
+  ]);
+  return { bookmarks, highlights };
+};
+
+// Readers past the new last page are moved back to it; percent follows
+const rescaleProgress = (bookId, pageCount) =>
+  ReadingProgress.updateMany({ book: bookId }, [
+    { $set: { pageCount, lastPage: { $min: ["$lastPage", pageCount] } } },
+    {
+      $set: {
+        percent: { $round: [{ $multiply: [{ $divide: ["$lastPage", pageCount] }, 100] }, 1] },
+      },
+    },
+  ]);
+
+/**
+ * Swaps in a new book file and/or cover (already stored, given by key).
+ * A new file is re-inspected for its page count and TOC and re-indexed for
+ * search; the files it replaces are kept as `fileVersions`. A file that is
+ * byte-for-byte another book's is refused (409) unless `allowDuplicate`.
+ * Returns the previous page count and warnings about annotations the new
+ * file no longer reaches.
+ */
+const replaceBookFiles = async (book, { bookFileKey, coverKey, userId, allowDuplicate }) => {
+  const previousPageCount = book.pageCount;
+  const previousCover = book.coverImage;
+  let pages;
+
+  if (bookFileKey) {
+    const isEpub = book.format === "epub";
+    const data = await storage.read(bookFileKey);
+    const inspected = isEpub
+      ? inspectEpub(data)
+      : await inspectPdf(data, { withText: true, withToc: true });
+    if (inspected.pageCount < 1) {
+      throw badRequest("Unable to determine the new file's structure.");
+    }
+
+    const contentHash = await hashContent(data);
+    if (!allowDuplicate) {
+      // Title and author are unchanged, so only a matching file is news
+      const duplicates = (
+        await findDuplicateBooks({
+          contentHash,
+          title: book.title,
+          author: book.author,
+          excludeId: book._id,
+        })
+      ).filter((duplicate) => duplicate.reason === "same-file");
+      if (duplicates.length) {
+        throw Object.assign(new Error("This file is already another book in the library."), {
+          status: 409,
+          duplicates,
+        });
+      }
+    }
+
+    const field = isEpub ? "epubUrl" : "pdfUrl";
+    book.fileVersions.push({
+      kind: book.format,
+      url: book[field],
+      pageCount: book.pageCount,
+      contentHash: book.contentHash,
+      replacedBy: userId,
+    });
+    book[field] = bookFileKey;
+    book.pageCount = inspected.pageCount;
+    book.contentHash = contentHash;
+    // Without an outline in the new file, hand-made entries that still fit are kept
+    book.toc = inspected.toc.length
+      ? inspected.toc
+      : book.toc.filter((entry) => entry.page <= inspected.pageCount);
+    pages = inspected.pages;
+  }
+
+  if (coverKey) {
+    book.fileVersions.push({ kind: "cover", url: book.coverImage, replacedBy: userId });
+    book.coverImage = coverKey;
+  }
+
+  await book.save();
+
+  if (pages && book.pageCount !== previousPageCount) {
+    await rescaleProgress(book._id, book.pageCount);
+  }
+
+  if (pages) {
+    try {
+      await indexBookText(book, pages);
+    } catch (indexError) {
+      console.warn("Book text indexing failed:", book._id, indexError.message);
+    }
+  }
+  if (coverKey) {
+    try {
+      await removeCoverVariants(previousCover);
+      await generateCoverVariants(book.coverImage);
+    } catch (coverError) {
+      console.warn("Cover thumbnail generation failed:", book._id, coverError.message);
+    }
+  }
+
+  const pastEnd = pages ? await countPastEnd(book._id, book.pageCount) : null;
+  const warnings = [];
+  if (pastEnd && (pastEnd.bookmarks || pastEnd.highlights)) {
+    warnings.push(
+      `The new file has ${book.pageCount} pages; ${pastEnd.bookmarks} bookmarks and ` +
+        `${pastEnd.highlights} highlights point past the last page.`
+    );
+  }
+
+  return { previousPageCount, pageCount: book.pageCount, pastEnd, warnings };
+};
+
+module.exports = { replaceBookFiles };
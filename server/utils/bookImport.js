@@ -0,0 +1,363 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+
+const Book = require("../models/Book");
+const { inspectPdf } = require("./pdfProcessing");
+const { inspectEpub } = require("./epubProcessing");
+const { indexBookText } = require("./bookTextIndex");
+const { hashContent } = require("./bookDuplicates");
+const { renderPdfCover, generateCoverVariants } = require("./coverImages");
+const { invalidateSimilarityIndex } = require("./similarBooks");
+const { storage, newKey } = require("./fileStorage");
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // Same limit as a single upload
+const MAX_ROWS = 1000;
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".gif", ".webp"]);
+const BOOK_FOLDERS = { ".pdf": "pdfs", ".epub": "epubs" };
+
+// Manifest headers are matched case-insensitively, ignoring spaces and underscores
+const COLUMN_ALIASES = {
+  title: "title",
+  author: "author",
+  genre: "genres",
+  genres: "genres",
+  description: "description",
+  cover: "cover",
+  coverimage: "cover",
+  image: "cover",
+  file: "file",
+  bookfile: "file",
+  pdf: "file",
+  epub: "file",
+};
+
+const invalidImport = (message) => Object.assign(new Error(message), { status: 400 });
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const parseGenres = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[;|,]/);
+  return list.map((genre) => String(genre).trim()).filter(Boolean);
+};
+
+const normalizeRecord = (record) => {
+  const row = {};
+  if (!record || typeof record !== "object" || Array.isArray(record)) return row;
+
+  Object.entries(record).forEach(([key, value]) => {
+    const column = COLUMN_ALIASES[key.toLowerCase().replace(/[\s_-]/g, "")];
+    if (!column || value === undefined || value === null) return;
+    row[column] = column === "genres" ? parseGenres(value) : String(value).trim();
+  });
+  return row;
+};
+
+/**
+ * Reads a CSV or JSON manifest into rows of `{ title, author, genres,
+ * description, cover, file }`. JSON may be an array of books or
+ * `{ "books": [...] }`; CSV needs a header row. Genres are separated by `;`,
+ * `|` or `,`. Unknown columns are ignored.
+ */
+const parseManifest = (data, fileName = "") => {
+  const text = data.toString("utf8").replace(/^\uFEFF/, "");
+  const extension = path.extname(fileName).toLowerCase();
+  const isJson = extension ? extension === ".json" : /^\s*[[{]/.test(text);
+
+  let records;
+  if (isJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw invalidImport(`Manifest is not valid JSON: ${error.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed?.books;
+    if (!Array.isArray(records)) {
+      throw invalidImport('A JSON manifest must be an array of books or { "books": [...] }');
+    }
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) {
+      throw invalidImport("Manifest is empty");
+    }
+    records = lines.map((cells) =>
+      Object.fromEntries(header.map((name, index) => [name.trim(), cells[index] ?? ""]))
+    );
+  }
+
+  if (!records.length) {
+    throw invalidImport("Manifest lists no books");
+  }
+  if (records.length > MAX_ROWS) {
+    throw invalidImport(`Manifest lists ${records.length} books; the limit is ${MAX_ROWS} per import`);
+  }
+  return records.map(normalizeRecord);
+};
+
+// Manifests name files by path or bare file name, in any letter case
+const indexArchive = (zip) => {
+  const byPath = new Map();
+  const byName = new Map();
+
+  zip.getEntries().forEach((entry) => {
+    const entryPath = entry.entryName.replace(/\\/g, "/");
+    if (entry.isDirectory || entryPath.startsWith("__MACOSX/")) return;
+
+    byPath.set(entryPath.toLowerCase(), entry);
+    const name = path.posix.basename(entryPath).toLowerCase();
+    // null marks a name shared by several entries, which only a full path resolves
+    byName.set(name, byName.has(name) ? null : entry);
+  });
+
+  return (reference) => {
+    const key = reference.replace(/\\/g, "/").replace(/^\.?\//, "").toLowerCase();
+    if (byPath.has(key)) return { entry: byPath.get(key) };
+
+    const entry = byName.get(path.posix.basename(key));
+    if (entry) return { entry };
+    return {
+      error:
+        entry === null
+          ? `"${reference}" matches more than one file in the archive; use its full path`
+          : `"${reference}" is not in the archive`,
+    };
+  };
+};
+
+const resolveFile = (findEntry, reference, label, allowedExtensions, errors) => {
+  if (!reference) return null;
+
+  const extension = path.extname(reference).toLowerCase();
+  if (!allowedExtensions.has(extension)) {
+    errors.push(`${label} "${reference}" must be one of ${[...allowedExtensions].join(", ")}`);
+    return null;
+  }
+
+  const { entry, error } = findEntry(reference);
+  if (error) {
+    errors.push(`${label} ${error}`);
+    return null;
+  }
+  if (entry.header.size > MAX_FILE_SIZE) {
+    errors.push(`${label} "${reference}" is larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+    return null;
+  }
+  return { entry, extension };
+};
+
+// Opens the book file the same way a single upload does, for its page count, TOC and text
+const inspectBookFile = async (data, extension, { withText }) => {
+  if (extension === ".epub") {
+    return inspectEpub(data);
+  }
+
+  const inspected = await inspectPdf(data, { withText, withToc: true });
+  if (inspected.pageCount < 1) {
+    throw new Error("Unable to determine PDF structure.");
+  }
+  return inspected;
+};
+
+const writeUpload = async (folder, extension, data) => {
+  const key = newKey(folder, extension);
+  await storage.write(key, data);
+  return key;
+};
+
+const removeUpload = async (key) => {
+  try {
+    await storage.remove(key);
+  } catch (error) {
+    console.warn("Failed to delete file:", key, error.message);
+  }
+};
+
+/**
+ * Validates every manifest row against the archive (a ZIP path or Buffer)
+ * and creates the books that pass. Rows matching an existing book, or an
+ * earlier row, by file content or normalised title and author are skipped. With `dryRun` nothing is
+ * written and valid rows report `would-import`; `imported` then counts them.
+ */
+const importBooks = async ({ rows, archive, dryRun = false }) => {
+  let zip;
+  try {
+    zip = new AdmZip(archive);
+  } catch (error) {
+    throw invalidImport("Archive is not a valid ZIP file");
+  }
+  const findEntry = indexArchive(zip);
+
+  const existing = await Book.find({}, "title author dedupeKey contentHash").lean();
+  const seen = new Map();
+  existing.forEach((book) => {
+    const reason = `Duplicate of existing book "${book.title}" (${book._id})`;
+    seen.set(book.dedupeKey || Book.buildDedupeKey(book.title, book.author), reason);
+    if (book.contentHash) seen.set(book.contentHash, reason);
+  });
+
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, title: row.title || null, status: "error", errors: [] };
+    results.push(result);
+    const { errors } = result;
+
+    if (row.title && row.author && seen.has(Book.buildDedupeKey(row.title, row.author))) {
+      result.status = "skipped";
+      result.reason = seen.get(Book.buildDedupeKey(row.title, row.author));
+      continue;
+    }
+
+    if (!row.file) errors.push("A PDF or EPUB file is required");
+    const book = resolveFile(findEntry, row.file, "Book file", new Set(Object.keys(BOOK_FOLDERS)), errors);
+    const cover = resolveFile(findEntry, row.cover, "Cover", IMAGE_EXTENSIONS, errors);
+
+    let inspected = null;
+    let bookData = null;
+    if (book) {
+      bookData = book.entry.getData();
+      try {
+        inspected = await inspectBookFile(bookData, book.extension, { withText: !dryRun });
+      } catch (error) {
+        errors.push(`Book file "${row.file}": ${error.message}`);
+      }
+    }
+    const metadata = inspected || {};
+
+    // Manifest values win; EPUB metadata only fills in what was left blank
+    const title = row.title || metadata.title;
+    const author = row.author || metadata.author;
+    const description = row.description || metadata.description;
+    const genres = row.genres?.length ? row.genres : metadata.subjects || [];
+
+    if (!title) errors.push("Title is required");
+    if (!author) errors.push("Author is required");
+    if (!description) errors.push("Description is required");
+    if (!genres.length) errors.push("At least one genre is required");
+    // PDFs without a cover get their first page; EPUBs need one of their own
+    if (!row.cover && book?.extension === ".epub" && inspected && !inspected.cover) {
+      errors.push("Cover image is required; the EPUB has none");
+    }
+    result.title = title || null;
+
+    if (errors.length) continue;
+
+    const contentHash = await hashContent(bookData);
+    const keys = [Book.buildDedupeKey(title, author), contentHash];
+    const match = keys.find((key) => seen.has(key));
+    if (match) {
+      result.status = "skipped";
+      result.reason = seen.get(match);
+      continue;
+    }
+    keys.forEach((key) => seen.set(key, `Duplicate of row ${result.row}`));
+
+    if (dryRun) {
+      result.status = "would-import";
+      result.pageCount = inspected.pageCount;
+      continue;
+    }
+
+    const written = [];
+    try {
+      const fileUrl = await writeUpload(BOOK_FOLDERS[book.extension], book.extension, bookData);
+      written.push(fileUrl);
+      let coverImage;
+      if (cover) {
+        coverImage = await writeUpload("images", cover.extension, cover.entry.getData());
+      } else if (inspected.cover) {
+        coverImage = await writeUpload("images", inspected.cover.extension, inspected.cover.data);
+      } else {
+        coverImage = await renderPdfCover(bookData);
+      }
+      written.push(coverImage);
+
+      const created = await Book.create({
+        title,
+        author,
+        description,
+        genres,
+        coverImage,
+        format: book.extension === ".epub" ? "epub" : "pdf",
+        [book.extension === ".epub" ? "epubUrl" : "pdfUrl"]: fileUrl,
+        pageCount: inspected.pageCount,
+        toc: inspected.toc,
+        contentHash,
+      });
+
+      try {
+        await indexBookText(created, inspected.pages);
+      } catch (indexError) {
+        console.warn("Book text indexing failed:", created._id, indexError.message);
+      }
+      try {
+        await generateCoverVariants(coverImage);
+      } catch (coverError) {
+        console.warn("Cover thumbnail generation failed:", created._id, coverError.message);
+      }
+
+      result.status = "imported";
+      result.bookId = created._id;
+      result.pageCount = created.pageCount;
+    } catch (error) {
+      keys.forEach((key) => seen.delete(key));
+      errors.push(error.message);
+      await Promise.all(written.map(removeUpload));
+    }
+  }
+
+  const count = (...statuses) => results.filter((result) => statuses.includes(result.status)).length;
+  const report = {
+    dryRun,
+    total: results.length,
+    imported: count("imported", "would-import"),
+    skipped: count("skipped"),
+    failed: count("error"),
+    rows: results,
+  };
+
+  if (!dryRun && report.imported) {
+    invalidateSimilarityIndex();
+  }
+  return report;
+};
+
+module.exports = { parseManifest, importBooks };
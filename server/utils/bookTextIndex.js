@@ -0,0 +1,39 @@
+const Book = require("../models/Book");
+const BookPage = require("../models/BookPage");
+const { inspectPdf } = require("./pdfProcessing");
+const { inspectEpub } = require("./epubProcessing");
+const { storage } = require("./fileStorage");
+
+const readPageTexts = async (book) => {
+  if (book.format === "epub") {
+    const epubData = book.epubUrl && (await storage.read(book.epubUrl));
+    if (!epubData) {
+      throw new Error(`Book ${book._id} has no EPUB to index`);
+    }
+    return inspectEpub(epubData).pages;
+  }
+
+  const pdfData = book.pdfUrl && (await storage.read(book.pdfUrl));
+  if (!pdfData) {
+    throw new Error(`Book ${book._id} has no PDF to index`);
+  }
+  const { pages } = await inspectPdf(pdfData, { withText: true });
+  return pages;
+};
+
+/**
+ * Stores the per-page text of a book for full-text search (one "page" per
+ * chapter for EPUBs). Pass `pages` when the file has already been read
+ * (e.g. during upload) to avoid opening it again.
+ */
+const indexBookText = async (book, pages) => {
+  const pageTexts = pages || (await readPageTexts(book));
+
+  const indexedPages = await BookPage.replaceForBook(book._id, pageTexts);
+  await Book.updateOne({ _id: book._id }, { textIndexedAt: new Date() });
+  return indexedPages;
+};
+
+const removeBookText = (bookId) => BookPage.deleteMany({ book: bookId });
+
+module.exports = { indexBookText, removeBookText };
@@ -0,0 +1,140 @@
+const Book = require("../models/Book");
+const ReadingProgress = require("../models/ReadingProgress");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const ReviewVote = require("../models/ReviewVote");
+const ReviewReply = require("../models/ReviewReply");
+const ReviewReaction = require("../models/ReviewReaction");
+const Comment = require("../models/Comment");
+const Highlight = require("../models/Highlight");
+const Bookmark = require("../models/Bookmark");
+const BookEvent = require("../models/BookEvent");
+const Shelf = require("../models/Shelf");
+const { User } = require("../models/User");
+const { removeBookText } = require("./bookTextIndex");
+const { invalidateSimilarityIndex } = require("./similarBooks");
+const { invalidateRankings } = require("./rankings");
+const { removeUnreferencedBookFiles } = require("./orphanFiles");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const TRASH_FIELDS = "title author coverImage format pageCount createdAt deletedAt deletedBy";
+
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS);
+
+// Listings, rankings and recommendations are cached; trashing or restoring
+// a book must show up straight away
+const invalidateBookCaches = () => {
+  invalidateSimilarityIndex();
+  invalidateRankings();
+};
+
+/**
+ * Moves a book to the trash. Its files, reviews and reading data are kept
+ * until the purge, so a restore brings everything back. Returns null when
+ * the book doesn't exist or is already trashed.
+ */
+const trashBook = async (bookId, userId) => {
+  const book = await Book.findOneAndUpdate(
+    { _id: bookId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: userId } },
+    { new: true }
+  );
+  if (book) invalidateBookCaches();
+  return book;
+};
+
+const restoreBook = async (bookId) => {
+  const book = await Book.findOneAndUpdate(
+    { _id: bookId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true }
+  );
+  if (book) invalidateBookCaches();
+  return book;
+};
+
+const listTrash = async () => {
+  const books = await Book.find({ deletedAt: { $ne: null } }, TRASH_FIELDS)
+    .sort({ deletedAt: -1 })
+    .populate("deletedBy", "UserName")
+    .lean();
+  return books.map((book) => ({ ...book, purgeAt: purgeDate(book.deletedAt) }));
+};
+
+/**
+ * Deletes a trashed book for good: the document, everything readers
+ * attached to it, its place on shelves, favourites and history, and the
+ * files no other book shares.
+ */
+const purgeBook = async (book) => {
+  const reviewIds = await Review.distinct("_id", { book: book._id });
+
+  await Promise.all([
+    removeBookText(book._id),
+    ReadingProgress.deleteMany({ book: book._id }),
+    Rating.deleteMany({ book: book._id }),
+    Review.deleteMany({ book: book._id }),
+    ReviewVote.deleteMany({ review: { $in: reviewIds } }),
+    ReviewReply.deleteMany({ book: book._id }),
+    ReviewReaction.deleteMany({ book: book._id }),
+    Comment.deleteMany({ book: book._id }),
+    Highlight.deleteMany({ book: book._id }),
+    Bookmark.deleteMany({ book: book._id }),
+    BookEvent.deleteMany({ book: book._id }),
+    Shelf.updateMany({ "books.book": book._id }, { $pull: { books: { book: book._id } } }),
+    User.updateMany(
+      { $or: [{ favorites: book._id }, { bookHistory: book._id }] },
+      { $pull: { favorites: book._id, bookHistory: book._id } }
+    ),
+  ]);
+  await Book.deleteOne({ _id: book._id });
+  await removeUnreferencedBookFiles(book);
+};
+
+// Purges one trashed book now rather than waiting for the schedule
+const purgeTrashedBook = async (bookId) => {
+  const book = await Book.findOne({ _id: bookId, deletedAt: { $ne: null } });
+  if (book) await purgeBook(book);
+  return book;
+};
+
+// Purges every book that has been in the trash longer than the retention period
+const purgeExpiredBooks = async () => {
+  const cutoff = new Date(Date.now() - retentionDays() * DAY_MS);
+  const books = await Book.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const book of books) {
+    await purgeBook(book);
+  }
+  return books.length;
+};
+
+const runScheduledPurge = async () => {
+  try {
+    const purged = await purgeExpiredBooks();
+    if (purged) console.log(`Purged ${purged} books from the trash`);
+  } catch (error) {
+    console.warn("Trash purge failed:", error.message);
+  }
+};
+
+// Runs the purge at startup and then every few hours
+const scheduleTrashPurge = () => {
+  runScheduledPurge();
+  setInterval(runScheduledPurge, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  trashBook,
+  restoreBook,
+  listTrash,
+  purgeTrashedBook,
+  purgeExpiredBooks,
+  scheduleTrashPurge,
+};
@@ -0,0 +1,141 @@
+const path = require("path");
+const sharp = require("sharp");
+const pdfjsLib = require("pdfjs-dist/legacy/build/pdf");
+const { createCanvas } = require("@napi-rs/canvas");
+const { storage, newKey, toKey } = require("./fileStorage");
+
+// Widths in pixels. Small covers are never enlarged to fit.
+const COVER_SIZES = { small: 160, medium: 320, large: 640 };
+const VARIANT_FORMATS = { jpeg: ".jpg", webp: ".webp" };
+const RENDERED_COVER_WIDTH = 1000;
+
+// pdf.js needs to be told how to make canvases outside the browser
+class NodeCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+const FORMAT_TYPES = { jpeg: "image/jpeg", webp: "image/webp" };
+
+// Variants live next to their cover, e.g. /uploads/images/variants/123-abc-small.webp
+const variantKey = (coverKey, size, format) =>
+  toKey("images/variants", `${path.posix.parse(coverKey).name}-${size}${VARIANT_FORMATS[format]}`);
+
+/**
+ * Renders the first page of a PDF (given as a Buffer) as a JPEG cover in the
+ * images folder and returns its storage key.
+ */
+const renderPdfCover = async (source) => {
+  const data = new Uint8Array(source);
+  const canvasFactory = new NodeCanvasFactory();
+  const pdfDocument = await pdfjsLib.getDocument({ data, canvasFactory, disableFontFace: true })
+    .promise;
+
+  try {
+    const page = await pdfDocument.getPage(1);
+    const scale = RENDERED_COVER_WIDTH / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale });
+    const target = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    // Pages without a background would otherwise come out transparent
+    target.context.fillStyle = "#ffffff";
+    target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+    await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+
+    const key = newKey("images", ".jpg");
+    const jpeg = await sharp(target.canvas.toBuffer("image/png"))
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer();
+    canvasFactory.destroy(target);
+    await storage.write(key, jpeg, { contentType: "image/jpeg" });
+    return key;
+  } finally {
+    pdfDocument.destroy();
+  }
+};
+
+/**
+ * Writes every size of a cover in JPEG and WebP to the variants folder.
+ * Variants are named after the original, so they need no database field.
+ * Returns false when the cover itself is missing.
+ */
+const generateCoverVariants = async (coverKey) => {
+  const source = await storage.read(coverKey);
+  if (!source) return false;
+
+  // One at a time: resizing is CPU-bound and uploads shouldn't starve requests
+  for (const [size, width] of Object.entries(COVER_SIZES)) {
+    const resized = sharp(source).rotate().resize({ width, withoutEnlargement: true });
+    const outputs = {
+      jpeg: resized.clone().flatten({ background: "#ffffff" }).jpeg({ quality: 80, mozjpeg: true }),
+      webp: resized.clone().webp({ quality: 80 }),
+    };
+    for (const [format, image] of Object.entries(outputs)) {
+      await storage.write(variantKey(coverKey, size, format), await image.toBuffer(), {
+        contentType: FORMAT_TYPES[format],
+      });
+    }
+  }
+  return true;
+};
+
+// Covers uploaded before variants existed get them on first request
+const pendingVariants = new Map();
+
+// Returns the variant's storage key, or null when the cover doesn't exist
+const getCoverVariant = async (coverKey, size, format) => {
+  const target = variantKey(coverKey, size, format);
+  if (await storage.stat(target)) return target;
+
+  if (!pendingVariants.has(coverKey)) {
+    pendingVariants.set(
+      coverKey,
+      generateCoverVariants(coverKey).finally(() => pendingVariants.delete(coverKey))
+    );
+  }
+  return (await pendingVariants.get(coverKey)) ? target : null;
+};
+
+// Every variant key a cover can have, generated or not
+const coverVariantKeys = (coverImage) =>
+  Object.keys(COVER_SIZES).flatMap((size) =>
+    Object.keys(VARIANT_FORMATS).map((format) => variantKey(coverImage, size, format))
+  );
+
+// Takes the book's `coverImage` path, e.g. /uploads/images/123-abc.jpg
+const removeCoverVariants = async (coverImage) => {
+  if (!coverImage) return;
+
+  await Promise.all(
+    coverVariantKeys(coverImage).map(async (key) => {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.warn("Failed to delete cover variant:", key, error.message);
+      }
+    })
+  );
+};
+
+module.exports = {
+  COVER_SIZES,
+  renderPdfCover,
+  generateCoverVariants,
+  getCoverVariant,
+  coverVariantKeys,
+  removeCoverVariants,
+};
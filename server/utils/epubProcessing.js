@@ -0,0 +1,391 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { XMLParser } = require("fast-xml-parser");
+const sanitizeHtml = require("sanitize-html");
+
+const EPUB_MIMETYPE = "application/epub+zip";
+
+const XML_OPTIONS = {
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  trimValues: true,
+};
+
+const xmlParser = new XMLParser(XML_OPTIONS);
+// Nav documents mix text and inline markup inside links ("Chapter <span>1</span>");
+// keeping anchors raw preserves the word order the object parser would lose.
+const navParser = new XMLParser({ ...XML_OPTIONS, stopNodes: ["*.a", "*.span"] });
+
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+
+const invalidEpub = (message) =>
+  Object.assign(new Error(`Invalid EPUB: ${message}`), { status: 400 });
+
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Collects the text of an XML node parsed by fast-xml-parser, whatever shape
+// (plain string, { "#text" }, nested elements) it ended up in.
+const textOf = (node) => {
+  if (node === undefined || node === null) return "";
+  if (typeof node !== "object") return String(node).trim();
+  if (Array.isArray(node)) return node.map(textOf).filter(Boolean).join(" ");
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith("@_"))
+    .map(([, value]) => textOf(value))
+    .filter(Boolean)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+const stripFragment = (href = "") => decodeURIComponent(href.split("#")[0]);
+
+// Zip entries always use forward slashes, relative to the archive root.
+const resolveEntryPath = (baseDir, href) =>
+  path.posix.normalize(path.posix.join(baseDir, stripFragment(href)));
+
+const readEntry = (zip, entryPath) => {
+  const entry = zip.getEntry(entryPath);
+  return entry ? entry.getData() : null;
+};
+
+const parseXmlEntry = (zip, entryPath, parser = xmlParser) => {
+  const data = readEntry(zip, entryPath);
+  if (!data) {
+    throw invalidEpub(`missing ${entryPath}`);
+  }
+  return parser.parse(data.toString("utf8"));
+};
+
+const openEpub = (filePath) => {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (error) {
+    throw invalidEpub("file is not a zip archive");
+  }
+
+  const mimetype = readEntry(zip, "mimetype");
+  if (!mimetype || mimetype.toString("utf8").trim() !== EPUB_MIMETYPE) {
+    throw invalidEpub("mimetype entry is missing or wrong");
+  }
+
+  const container = parseXmlEntry(zip, "META-INF/container.xml");
+  const rootfile = toArray(container?.container?.rootfiles?.rootfile)[0];
+  const opfPath = rootfile?.["@_full-path"];
+  if (!opfPath) {
+    throw invalidEpub("container.xml has no rootfile");
+  }
+
+  const opf = parseXmlEntry(zip, opfPath)?.package;
+  if (!opf) {
+    throw invalidEpub("package document is unreadable");
+  }
+
+  const opfDir = path.posix.dirname(opfPath);
+  const manifest = new Map(
+    toArray(opf.manifest?.item).map((item) => [
+      item["@_id"],
+      {
+        id: item["@_id"],
+        href: resolveEntryPath(opfDir, item["@_href"] || ""),
+        mediaType: item["@_media-type"] || "",
+        properties: item["@_properties"] || "",
+      },
+    ])
+  );
+
+  const spine = toArray(opf.spine?.itemref)
+    .filter((ref) => ref["@_linear"] !== "no")
+    .map((ref) => manifest.get(ref["@_idref"]))
+    .filter(Boolean);
+
+  if (!spine.length) {
+    throw invalidEpub("spine has no readable chapters");
+  }
+
+  return { zip, opf, manifest, spine, tocId: opf.spine?.["@_toc"] };
+};
+
+const findCoverItem = ({ opf, manifest }) => {
+  const byProperty = [...manifest.values()].find((item) =>
+    item.properties.split(/\s+/).includes("cover-image")
+  );
+  if (byProperty) return byProperty;
+
+  const coverMeta = toArray(opf.metadata?.meta).find(
+    (meta) => meta["@_name"] === "cover"
+  );
+  const coverItem = coverMeta && manifest.get(coverMeta["@_content"]);
+  if (coverItem && coverItem.mediaType.startsWith("image/")) return coverItem;
+
+  return [...manifest.values()].find(
+    (item) => item.mediaType.startsWith("image/") && /cover/i.test(item.href)
+  );
+};
+
+const parseNcxToc = (epub, ncxItem) => {
+  const ncx = parseXmlEntry(epub.zip, ncxItem.href)?.ncx;
+  const baseDir = path.posix.dirname(ncxItem.href);
+  const entries = [];
+
+  const walk = (points, level) => {
+    toArray(points).forEach((point) => {
+      entries.push({
+        title: textOf(point.navLabel),
+        href: resolveEntryPath(baseDir, point.content?.["@_src"] || ""),
+        level,
+      });
+      walk(point.navPoint, level + 1);
+    });
+  };
+
+  walk(ncx?.navMap?.navPoint, 1);
+  return entries;
+};
+
+const findTocNav = (node) => {
+  if (!node || typeof node !== "object") return null;
+  for (const nav of toArray(node.nav)) {
+    if (nav?.["@_type"] === "toc") return nav;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith("@_")) continue;
+    for (const child of toArray(value)) {
+      const found = findTocNav(child);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+const parseNavToc = (epub, navItem) => {
+  const nav = findTocNav(parseXmlEntry(epub.zip, navItem.href, navParser));
+  const baseDir = path.posix.dirname(navItem.href);
+  const entries = [];
+
+  const walk = (list, level) => {
+    toArray(list?.li).forEach((li) => {
+      const anchor = toArray(li.a)[0] || toArray(li.span)[0];
+      if (anchor?.["@_href"]) {
+        entries.push({
+          title: htmlToText(textOf(anchor)).replace(/\s+/g, " "),
+          href: resolveEntryPath(baseDir, anchor["@_href"]),
+          level,
+        });
+      }
+      walk(li.ol, level + 1);
+    });
+  };
+
+  walk(nav?.ol, 1);
+  return entries;
+};
+
+// TOC entries point at chapter files; the reader addresses chapters by their
+// 1-based spine position, which is what ends up in Book.toc[].page.
+const buildToc = (epub) => {
+  const navItem = [...epub.manifest.values()].find((item) =>
+    item.properties.split(/\s+/).includes("nav")
+  );
+  const ncxItem =
+    epub.manifest.get(epub.tocId) ||
+    [...epub.manifest.values()].find(
+      (item) => item.mediaType === "application/x-dtbncx+xml"
+    );
+
+  let entries = [];
+  try {
+    if (ncxItem) entries = parseNcxToc(epub, ncxItem);
+    if (!entries.length && navItem) entries = parseNavToc(epub, navItem);
+  } catch (error) {
+    entries = [];
+  }
+
+  const chapterIndex = new Map(epub.spine.map((item, index) => [item.href, index]));
+  return entries
+    .map((entry) => ({
+      title: entry.title,
+      page: chapterIndex.has(entry.href) ? chapterIndex.get(entry.href) + 1 : null,
+      level: entry.level,
+    }))
+    .filter((entry) => entry.title && entry.page);
+};
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, "&");
+
+const extractBody = (xhtml) => {
+  const match = xhtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  return match ? match[1] : xhtml;
+};
+
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<\/(p|div|h[1-6]|li|br)>/gi, "\n")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const CHAPTER_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags,
+  "img",
+  "figure",
+  "figcaption",
+  "sub",
+  "sup",
+  "small",
+  "big",
+];
+
+/**
+ * Chapter markup is rendered with innerHTML on the client, so it goes
+ * through an allowlist: known formatting tags, no event handlers or styles,
+ * and only http(s)/mailto links and data: or http(s) images. `rewriteImage`
+ * and `rewriteLink` map EPUB-internal references before schemes are checked.
+ */
+const sanitizeChapterHtml = (html, { rewriteImage = (src) => src, rewriteLink = (href) => href } = {}) =>
+  sanitizeHtml(html, {
+    allowedTags: CHAPTER_TAGS,
+    allowedAttributes: {
+      a: ["href", "id", "title"],
+      img: ["src", "alt", "title", "width", "height"],
+      "*": ["id", "class", "lang", "dir"],
+    },
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesByTag: { img: ["data", "http", "https"] },
+    allowProtocolRelative: false,
+    transformTags: {
+      // SVG-wrapped images (common for EPUB covers) become plain <img>s
+      image: (tagName, attribs) => ({
+        tagName: "img",
+        attribs: { src: rewriteImage(attribs["xlink:href"] || attribs.href || "") },
+      }),
+      img: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, src: rewriteImage(attribs.src || "") },
+      }),
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: attribs.href ? { ...attribs, href: rewriteLink(attribs.href) } : attribs,
+      }),
+    },
+  });
+
+/**
+ * Validates an uploaded EPUB and returns what the upload pipeline stores:
+ * metadata from the OPF, the cover image bytes, a Book.toc-shaped TOC and
+ * the plain text of every chapter for full-text search. Accepts a path or
+ * a Buffer holding the EPUB.
+ */
+const inspectEpub = (filePath) => {
+  const epub = openEpub(filePath);
+  const metadata = epub.opf.metadata || {};
+
+  const coverItem = findCoverItem(epub);
+  const coverData = coverItem && readEntry(epub.zip, coverItem.href);
+
+  return {
+    title: textOf(toArray(metadata.title)[0]),
+    author: toArray(metadata.creator).map(textOf).filter(Boolean).join(", "),
+    description: htmlToText(textOf(toArray(metadata.description)[0])),
+    subjects: toArray(metadata.subject).map(textOf).filter(Boolean),
+    cover: coverData
+      ? {
+          data: coverData,
+          mediaType: coverItem.mediaType,
+          extension: path.posix.extname(coverItem.href) || ".jpg",
+        }
+      : null,
+    pageCount: epub.spine.length,
+    toc: buildToc(epub),
+    pages: epub.spine.map((item, index) => {
+      const data = readEntry(epub.zip, item.href);
+      return {
+        page: index + 1,
+        text: data ? htmlToText(extractBody(data.toString("utf8"))) : "",
+      };
+    }),
+  };
+};
+
+const listEpubChapters = (filePath) => {
+  const epub = openEpub(filePath);
+  const toc = buildToc(epub);
+  return epub.spine.map((item, index) => ({
+    index: index + 1,
+    title:
+      toc.find((entry) => entry.page === index + 1)?.title ||
+      `Chapter ${index + 1}`,
+  }));
+};
+
+/**
+ * Returns the sanitised body markup of one chapter (1-based). Images are
+ * inlined as data URIs so the reader needs no extra authenticated requests,
+ * and links to other chapters become `#chapter-N` anchors.
+ */
+const readEpubChapter = (filePath, chapterNumber) => {
+  const epub = openEpub(filePath);
+  const item = epub.spine[chapterNumber - 1];
+  if (!item) return null;
+
+  const data = readEntry(epub.zip, item.href);
+  if (!data) return null;
+
+  const baseDir = path.posix.dirname(item.href);
+  const chapterIndex = new Map(epub.spine.map((entry, index) => [entry.href, index + 1]));
+
+  const html = sanitizeChapterHtml(extractBody(data.toString("utf8")), {
+    rewriteImage: (src) => {
+      if (!src || /^(data:|https?:)/i.test(src)) return src;
+      const entryPath = resolveEntryPath(baseDir, src);
+      const image = readEntry(epub.zip, entryPath);
+      const mediaType = IMAGE_TYPES[path.posix.extname(entryPath).toLowerCase()];
+      return image && mediaType ? `data:${mediaType};base64,${image.toString("base64")}` : "";
+    },
+    rewriteLink: (href) => {
+      if (/^(https?:|mailto:|#)/i.test(href)) return href;
+      const target = chapterIndex.get(resolveEntryPath(baseDir, href));
+      return target ? `#chapter-${target}` : "#";
+    },
+  });
+
+  return {
+    index: chapterNumber,
+    total: epub.spine.length,
+    html,
+  };
+};
+
+module.exports = {
+  EPUB_MIMETYPE,
+  inspectEpub,
+  listEpubChapters,
+  readEpubChapter,
+  sanitizeChapterHtml,
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const multer = require("multer");
+
+const UPLOADS_ROOT = path.join(__dirname, "..", "uploads");
+const KEY_PREFIX = "/uploads/";
+const DEFAULT_BUCKET = "uploads";
+
+/*
+ * Every stored file is addressed by the public path documents already keep
+ * (`/uploads/pdfs/123-abc.pdf`), so switching backends needs no database
+ * changes. Drivers implement:
+ *
+ *   write(key, data, { contentType })  data is a Buffer or a readable stream
+ *   read(key)                          Buffer, or null when missing
+ *   stat(key)                          { size, modifiedAt }, or null
+ *   remove(key)                        true if something was deleted
+ *   list()                             every stored key
+ *   send(req, res, key, { headers })   streams the file with Range/ETag
+ *                                      support; false when missing
+ */
+
+const storageError = (message, status) => Object.assign(new Error(message), { status });
+
+const normalizeKey = (key) => {
+  const cleaned = path.posix.normalize(`/${String(key || "").replace(/\\/g, "/")}`);
+  if (!cleaned.startsWith(KEY_PREFIX) || cleaned.length === KEY_PREFIX.length) {
+    throw storageError(`Invalid storage key: ${key}`, 400);
+  }
+  return cleaned;
+};
+
+const toKey = (folder, filename) =>
+  normalizeKey(`${KEY_PREFIX}${folder ? `${folder}/` : ""}${filename}`);
+
+// A fresh, collision-free key for a new upload
+const newKey = (folder, extension = "") =>
+  toKey(folder, `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${extension}`);
+
+const createLocalDriver = ({ root = UPLOADS_ROOT } = {}) => {
+  const resolvePath = (key) => path.join(root, normalizeKey(key).slice(KEY_PREFIX.length));
+
+  const stat = async (key) => {
+    try {
+      const stats = await fsp.stat(resolvePath(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const walk = async (dir) => {
+    const entries = await fsp.readdir(dir, { withFileTypes: true }).catch((error) => {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    });
+    const nested = await Promise.all(
+      entries
+        .filter((entry) => !entry.name.startsWith("."))
+        .map((entry) => {
+          const fullPath = path.join(dir, entry.name);
+          return entry.isDirectory() ? walk(fullPath) : [fullPath];
+        })
+    );
+    return nested.flat();
+  };
+
+  return {
+    name: "local",
+
+    async write(key, data) {
+      const filePath = resolvePath(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(data)) {
+        await fsp.writeFile(filePath, data);
+      } else {
+        await pipeline(data, fs.createWriteStream(filePath));
+      }
+    },
+
+    async read(key) {
+      try {
+        return await fsp.readFile(resolvePath(key));
+      } catch (error) {
+        if (error.code === "ENOENT" || error.code === "EISDIR") return null;
+        throw error;
+      }
+    },
+
+    stat,
+
+    async remove(key) {
+      try {
+        await fsp.unlink(resolvePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async list() {
+      const files = await walk(root);
+      return files.map((filePath) =>
+        `${KEY_PREFIX}${path.relative(root, filePath).split(path.sep).join("/")}`
+      );
+    },
+
+    async send(req, res, key, { headers = {} } = {}) {
+      if (!(await stat(key))) return false;
+
+      // send handles Range (206/416), If-Range, ETag/Last-Modified and the
+      // conditional GET 304s, which lets pdf.js fetch large books in chunks.
+      await new Promise((resolve, reject) => {
+        res.sendFile(
+          resolvePath(key),
+          { acceptRanges: true, etag: true, lastModified: true, cacheControl: false, headers },
+          (error) => (error ? reject(error) : resolve())
+        );
+      });
+      return true;
+    },
+  };
+};
+
+const createGridFsDriver = ({ bucketName = DEFAULT_BUCKET, connection = mongoose.connection } = {}) => {
+  let bucket;
+  const getBucket = () => {
+    if (!connection.db) {
+      throw new Error("GridFS storage needs an open MongoDB connection");
+    }
+    bucket = bucket || new mongoose.mongo.GridFSBucket(connection.db, { bucketName });
+    return bucket;
+  };
+
+  const findFile = async (key) => {
+    const [file] = await getBucket()
+      .find({ filename: normalizeKey(key) })
+      .sort({ uploadDate: -1 })
+      .limit(1)
+      .toArray();
+    return file || null;
+  };
+
+  const removeAll = async (filename, keepId) => {
+    const files = await getBucket().find({ filename }, { projection: { _id: 1 } }).toArray();
+    const stale = files.filter((file) => !keepId || !file._id.equals(keepId));
+    await Promise.all(stale.map((file) => getBucket().delete(file._id)));
+    return stale.length;
+  };
+
+  return {
+    name: "gridfs",
+
+    async write(key, data, { contentType } = {}) {
+      const filename = normalizeKey(key);
+      const upload = getBucket().openUploadStream(filename, {
+        metadata: contentType ? { contentType } : undefined,
+      });
+      await pipeline(Buffer.isBuffer(data) ? Readable.from([data]) : data, upload);
+      // Writing an existing key replaces it, as overwriting a file on disk would
+      await removeAll(filename, upload.id);
+    },
+
+    async read(key) {
+      const file = await findFile(key);
+      if (!file) return null;
+
+      const chunks = [];
+      for await (const chunk of getBucket().openDownloadStream(file._id)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async stat(key) {
+      const file = await findFile(key);
+      return file ? { size: file.length, modifiedAt: file.uploadDate } : null;
+    },
+
+    async remove(key) {
+      return (await removeAll(normalizeKey(key))) > 0;
+    },
+
+    async list() {
+      getBucket();
+      return connection.db.collection(`${bucketName}.files`).distinct("filename");
+    },
+
+    async send(req, res, key, { headers = {} } = {}) {
+      const file = await findFile(key);
+      if (!file) return false;
+
+      res.set({
+        "Accept-Ranges": "bytes",
+        ETag: `"${file._id}-${file.length}"`,
+        "Last-Modified": file.uploadDate.toUTCString(),
+      });
+      res.type(file.metadata?.contentType || path.extname(file.filename));
+      res.set(headers);
+
+      if (req.fresh) {
+        res.status(304).end();
+        return true;
+      }
+
+      let start = 0;
+      let end = file.length - 1;
+      const ranges = req.headers.range ? req.range(file.length) : null;
+      if (ranges === -1) {
+        res.status(416).set("Content-Range", `bytes */${file.length}`).end();
+        return true;
+      }
+      if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        res.status(206).set("Content-Range", `bytes ${start}-${end}/${file.length}`);
+      }
+
+      res.set("Content-Length", String(Math.max(end - start + 1, 0)));
+      if (req.method === "HEAD" || file.length === 0) {
+        res.end();
+        return true;
+      }
+
+      await pipeline(getBucket().openDownloadStream(file._id, { start, end: end + 1 }), res);
+      return true;
+    },
+  };
+};
+
+const DRIVERS = {
+  local: createLocalDriver,
+  gridfs: createGridFsDriver,
+};
+
+const createDriver = (name, options = {}) => {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage driver "${name}"; expected one of: ${Object.keys(DRIVERS).join(", ")}`
+    );
+  }
+  return factory({ bucketName: process.env.GRIDFS_BUCKET || DEFAULT_BUCKET, ...options });
+};
+
+// Chosen once from STORAGE_DRIVER (default "local")
+let activeDriver;
+const getDriver = () => {
+  activeDriver = activeDriver || createDriver(process.env.STORAGE_DRIVER || "local");
+  return activeDriver;
+};
+
+const storage = {
+  get name() {
+    return getDriver().name;
+  },
+  write: (key, data, options) => getDriver().write(key, data, options),
+  read: (key) => getDriver().read(key),
+  stat: (key) => getDriver().stat(key),
+  remove: (key) => getDriver().remove(key),
+  list: () => getDriver().list(),
+  send: (req, res, key, options) => getDriver().send(req, res, key, options),
+};
+
+// Multer storage engine that streams each upload straight into the active
+// backend. `folder` and `filename` may be functions of (req, file); stored
+// files carry their `key`.
+const createUpload = ({ folder, filename, ...options }) =>
+  multer({
+    ...options,
+    storage: {
+      _handleFile(req, file, cb) {
+        let key;
+        try {
+          const folderName = typeof folder === "function" ? folder(req, file) : folder;
+          key = filename
+            ? toKey(folderName, filename(req, file))
+            : newKey(folderName, path.extname(file.originalname || "").toLowerCase());
+        } catch (error) {
+          return cb(error);
+        }
+        storage
+          .write(key, file.stream, { contentType: file.mimetype })
+          .then(() => cb(null, { key }), cb);
+      },
+      _removeFile(req, file, cb) {
+        storage.remove(file.key).then(() => cb(null), cb);
+      },
+    },
+  });
+
+// Serves /uploads/* from whichever backend is active
+const serveUploads = async (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+  try {
+    const key = normalizeKey(`${KEY_PREFIX}${decodeURIComponent(req.path)}`);
+    const sent = await storage.send(req, res, key);
+    if (!sent) next();
+  } catch (error) {
+    if (error.status === 400 || error instanceof URIError) return next();
+    if (!res.headersSent) return next(error);
+    console.warn("Upload stream error:", req.path, error.message);
+  }
+};
+
+module.exports = {
+  storage,
+  createDriver,
+  createUpload,
+  serveUploads,
+  newKey,
+  toKey,
+};
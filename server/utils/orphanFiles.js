@@ -0,0 +1,187 @@
+const Book = require("../models/Book");
+const Message = require("../models/Message");
+const { User } = require("../models/User");
+const { storage, toKey } = require("./fileStorage");
+const { coverVariantKeys, removeCoverVariants } = require("./coverImages");
+
+// Uploads are stored before their book or user is saved, so recent files
+// may simply not be referenced yet
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+const BOOK_FILE_FIELDS = ["coverImage", "pdfUrl", "epubUrl", "fileVersions.url"];
+
+// Document fields holding `/uploads/...` paths. Older avatars may be stored
+// as absolute URLs, so only the path is kept. Trashed books still own their
+// files until they are purged.
+const REFERENCE_SOURCES = [
+  { model: Book, name: "Book", fields: BOOK_FILE_FIELDS },
+  { model: User, name: "User", fields: ["avatar"] },
+  { model: Message, name: "Message", fields: ["avatar"] },
+];
+
+const toStorageKey = (value) => {
+  if (typeof value !== "string") return null;
+  try {
+    const pathname = /^https?:\/\//i.test(value) ? decodeURIComponent(new URL(value).pathname) : value;
+    const match = pathname.match(/^\/?uploads\/(.+)$/);
+    return match ? toKey("", match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Values at a dotted path, flattening arrays on the way ("fileVersions.url")
+const valuesAt = (doc, field) =>
+  field
+    .split(".")
+    .reduce((values, part) => values.flatMap((value) => value?.[part] ?? []), [doc])
+    .flat();
+
+// Every stored key some document points at, with the documents pointing at it
+const collectReferences = async () => {
+  const references = new Map();
+  const addReference = (key, reference) => {
+    if (!key) return;
+    if (!references.has(key)) references.set(key, []);
+    references.get(key).push(reference);
+  };
+
+  for (const { model, name, fields } of REFERENCE_SOURCES) {
+    const filter = { $or: fields.map((field) => ({ [field]: { $regex: "uploads/" } })) };
+    const cursor = model
+      .find(filter, fields.join(" "))
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      fields.forEach((field) => {
+        valuesAt(doc, field).forEach((value) => {
+          addReference(toStorageKey(value), { model: name, id: doc._id, field });
+        });
+      });
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Compares storage with the documents that reference it. Orphans are
+ * stored files nothing points at (with their size); missing files are
+ * references whose file is gone. Cover variants count as referenced while
+ * their cover is.
+ */
+const buildStorageReport = async ({ minAgeMinutes = DEFAULT_MIN_AGE_MINUTES } = {}) => {
+  const [keys, references] = await Promise.all([storage.list(), collectReferences()]);
+  const stored = new Set(keys);
+
+  const variantKeys = new Set(
+    [...references.keys()]
+      .filter((key) => key.startsWith("/uploads/images/"))
+      .flatMap((key) => coverVariantKeys(key))
+  );
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const orphans = [];
+  let recent = 0;
+  for (const key of keys) {
+    if (references.has(key) || variantKeys.has(key)) continue;
+    const stats = await storage.stat(key);
+    if (!stats) continue;
+    if (stats.modifiedAt.getTime() > cutoff) {
+      recent += 1;
+      continue;
+    }
+    orphans.push({ key, size: stats.size, modifiedAt: stats.modifiedAt });
+  }
+
+  const missing = [...references.entries()]
+    .filter(([key]) => !stored.has(key))
+    .map(([key, referencedBy]) => ({ key, referencedBy }));
+
+  return {
+    driver: storage.name,
+    scanned: keys.length,
+    referenced: references.size,
+    recent,
+    orphanBytes: orphans.reduce((total, file) => total + file.size, 0),
+    orphans: orphans.sort((a, b) => b.size - a.size),
+    missing: missing.sort((a, b) => a.key.localeCompare(b.key)),
+  };
+};
+
+/**
+ * Deletes the given keys, re-checking each against a fresh report so a file
+ * that became referenced since the admin looked is kept. Without `keys`
+ * every current orphan is deleted.
+ */
+const deleteOrphanFiles = async (keys, options) => {
+  const report = await buildStorageReport(options);
+  const orphansByKey = new Map(report.orphans.map((file) => [file.key, file]));
+  const requested = keys ? [...new Set(keys)] : [...orphansByKey.keys()];
+
+  const deleted = [];
+  const kept = [];
+  for (const key of requested) {
+    const orphan = orphansByKey.get(key);
+    if (!orphan) {
+      kept.push(key);
+      continue;
+    }
+    try {
+      await storage.remove(key);
+      deleted.push(orphan);
+    } catch (error) {
+      console.warn("Failed to delete orphaned file:", key, error.message);
+      kept.push(key);
+    }
+  }
+
+  return {
+    deleted,
+    kept,
+    freedBytes: deleted.reduce((total, file) => total + file.size, 0),
+  };
+};
+
+/**
+ * Deletes the files of a book whose document is already gone, keeping any
+ * another book (trashed ones included) still points at. Same-file
+ * duplicates and seeded books share files, so each key is checked on its
+ * own. Returns the keys removed.
+ */
+const removeUnreferencedBookFiles = async (book) => {
+  const keys = new Set(
+    [
+      book.coverImage,
+      book.pdfUrl,
+      book.epubUrl,
+      ...(book.fileVersions || []).map((version) => version.url),
+    ].filter(Boolean)
+  );
+
+  const removed = [];
+  for (const key of keys) {
+    try {
+      const inUse = await Book.exists({
+        $or: BOOK_FILE_FIELDS.map((field) => ({ [field]: key })),
+      }).setOptions({ withDeleted: true });
+      if (inUse) continue;
+
+      if (key.startsWith("/uploads/images/")) await removeCoverVariants(key);
+      await storage.remove(key);
+      removed.push(key);
+    } catch (error) {
+      console.warn("Failed to delete file:", key, error.message);
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  DEFAULT_MIN_AGE_MINUTES,
+  buildStorageReport,
+  deleteOrphanFiles,
+  removeUnreferencedBookFiles,
+};
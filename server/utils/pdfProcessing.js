@@ -0,0 +1,110 @@
+const fsp = require("fs/promises");
+const pdfjsLib = require("pdfjs-dist/legacy/build/pdf");
+
+const normalizeWhitespace = (value) =>
+  value
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const extractPageText = async (pdfDocument, pageNumber) => {
+  const page = await pdfDocument.getPage(pageNumber);
+  try {
+    const content = await page.getTextContent();
+    const raw = content.items
+      .map((item) => `${item.str}${item.hasEOL ? "\n" : " "}`)
+      .join("");
+    return normalizeWhitespace(raw);
+  } finally {
+    page.cleanup();
+  }
+};
+
+const extractPageTexts = async (pdfDocument) => {
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber += 1) {
+    pages.push({
+      page: pageNumber,
+      text: await extractPageText(pdfDocument, pageNumber),
+    });
+  }
+  return pages;
+};
+
+const MAX_TOC_DEPTH = 6;
+
+const resolveDestinationPage = async (pdfDocument, dest) => {
+  try {
+    const explicitDest =
+      typeof dest === "string" ? await pdfDocument.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest) || !explicitDest.length) return null;
+
+    const [target] = explicitDest;
+    if (Number.isInteger(target)) {
+      return target + 1;
+    }
+    if (target && typeof target === "object") {
+      return (await pdfDocument.getPageIndex(target)) + 1;
+    }
+  } catch (error) {
+    // Broken destinations are common in scanned books; skip the entry.
+  }
+  return null;
+};
+
+// Flattens the PDF outline (bookmarks) into the `{ title, page, level }`
+// entries stored on Book.toc, in reading order.
+const extractOutlineToc = async (pdfDocument) => {
+  const outline = await pdfDocument.getOutline();
+  const toc = [];
+
+  const walk = async (items, level) => {
+    for (const item of items || []) {
+      const title = (item.title || "").replace(/\s+/g, " ").trim();
+      const page = await resolveDestinationPage(pdfDocument, item.dest);
+      if (title && page) {
+        toc.push({ title, page, level });
+      }
+      if (level < MAX_TOC_DEPTH) {
+        await walk(item.items, level + 1);
+      }
+    }
+  };
+
+  await walk(outline, 1);
+  return toc;
+};
+
+/**
+ * Opens a PDF once and pulls out everything the upload pipeline needs.
+ * `pageCount` is always returned; per-page text only when `withText` is set,
+ * since it means walking every page, and the outline TOC when `withToc` is.
+ * `source` is a file path or, for files that were never written to disk
+ * (bulk imports), a Buffer.
+ */
+const inspectPdf = async (
+  source,
+  { withText = false, withToc = false } = {}
+) => {
+  // Copied so pdf.js can't detach a Buffer the caller still needs
+  const data = Buffer.isBuffer(source)
+    ? new Uint8Array(source)
+    : await fsp.readFile(source);
+  const pdfDocument = await pdfjsLib.getDocument({ data }).promise;
+
+  try {
+    const result = { pageCount: pdfDocument.numPages };
+    if (withText) {
+      result.pages = await extractPageTexts(pdfDocument);
+    }
+    if (withToc) {
+      result.toc = await extractOutlineToc(pdfDocument);
+    }
+    return result;
+  } finally {
+    pdfDocument.destroy();
+  }
+};
+
+module.exports = { inspectPdf };
@@ -0,0 +1,196 @@
+const Book = require("../models/Book");
+const BookEvent = require("../models/BookEvent");
+const ReadingProgress = require("../models/ReadingProgress");
+const Review = require("../models/Review");
+const ReviewReply = require("../models/ReviewReply");
+const { getRatingPrior } = require("./ratingScore");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANKING_LIMIT = 10;
+
+// `ttl` is how long a computed ranking is served from memory; shorter windows
+// move faster, so they are refreshed more often.
+const RANGES = {
+  daily: { windowMs: DAY_MS, ttl: 60 * 1000 },
+  weekly: { windowMs: 7 * DAY_MS, ttl: 5 * 60 * 1000 },
+  monthly: { windowMs: 30 * DAY_MS, ttl: 10 * 60 * 1000 },
+  yearly: { windowMs: 365 * DAY_MS, ttl: 30 * 60 * 1000 },
+  all: { windowMs: null, ttl: 10 * 60 * 1000 },
+};
+
+const BOOK_FIELDS = "-toc -ratingSum";
+
+/**
+ * Appends an event to the ranking log. Failures are logged, never thrown, so
+ * a ranking hiccup cannot break the read, rate or comment that caused it.
+ */
+const recordBookEvent = async (type, { book, user, value } = {}) => {
+  try {
+    await BookEvent.create({ type, book, user, value });
+  } catch (error) {
+    console.warn(`Failed to record ${type} event:`, error.message);
+  }
+};
+
+const eventsSince = (type, since) => ({ type, createdAt: { $gte: since } });
+
+// Drops grouped entries whose book is trashed or gone. Runs before $limit so
+// a ranking still fills up when some of its leaders have been removed.
+const liveBooksOnly = () => [
+  {
+    $lookup: {
+      from: Book.collection.name,
+      let: { bookId: "$_id" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$_id", "$$bookId"] }, deletedAt: null } },
+        { $project: { _id: 1 } },
+      ],
+      as: "liveBook",
+    },
+  },
+  { $match: { "liveBook.0": { $exists: true } } },
+  { $project: { liveBook: 0 } },
+];
+
+// Bayesian-weighted average of `sum` over `count` ratings, as in utils/ratingScore.js
+const weightedRatingExpression = (sum, count, prior) => ({
+  $round: [
+    { $divide: [{ $add: [prior.mean * prior.weight, sum] }, { $add: [prior.weight, count] }] },
+    2,
+  ],
+});
+
+// Each builder returns `[{ _id: bookId, ...stats }]`, best first. `prior` is
+// the library-wide rating prior used to weight averages.
+const WINDOWED_RANKINGS = {
+  "most-visited": (since) => [
+    { $match: eventsSince("read", since) },
+    { $group: { _id: "$book", reads: { $sum: 1 } } },
+    { $sort: { reads: -1 } },
+  ],
+  reads: (since) => [
+    { $match: eventsSince("read", since) },
+    { $group: { _id: { book: "$book", user: "$user" } } },
+    { $group: { _id: "$_id.book", readerCount: { $sum: 1 } } },
+    { $sort: { readerCount: -1 } },
+  ],
+  "highest-rated": (since, prior) => [
+    { $match: eventsSince("rating", since) },
+    { $sort: { createdAt: 1 } },
+    // A reader who re-rated within the window counts once, at their latest score
+    { $group: { _id: { book: "$book", user: "$user" }, value: { $last: "$value" } } },
+    {
+      $group: {
+        _id: "$_id.book",
+        averageRating: { $avg: "$value" },
+        ratingSum: { $sum: "$value" },
+        ratingCount: { $sum: 1 },
+      },
+    },
+    { $addFields: { weightedRating: weightedRatingExpression("$ratingSum", "$ratingCount", prior) } },
+    { $sort: { weightedRating: -1, ratingCount: -1 } },
+    { $project: { ratingSum: 0 } },
+  ],
+  "most-discussed": (since) => [
+    { $match: eventsSince("comment", since) },
+    { $group: { _id: "$book", commentCount: { $sum: 1 } } },
+    { $sort: { commentCount: -1 } },
+  ],
+};
+
+// All-time rankings read the running totals, which predate the event log
+const ALL_TIME_RANKINGS = {
+  "most-visited": async () => {
+    const books = await Book.find({}, "reads").sort({ reads: -1 }).limit(RANKING_LIMIT).lean();
+    return books.map((book) => ({ _id: book._id, reads: book.reads || 0 }));
+  },
+  reads: () =>
+    ReadingProgress.aggregate([
+      { $group: { _id: "$book", readerCount: { $sum: 1 } } },
+      { $sort: { readerCount: -1 } },
+      ...liveBooksOnly(),
+      { $limit: RANKING_LIMIT },
+    ]),
+  "highest-rated": (prior) =>
+    Book.aggregate([
+      { $match: { ratingCount: { $gt: 0 } } },
+      {
+        $project: {
+          averageRating: 1,
+          ratingCount: 1,
+          weightedRating: weightedRatingExpression("$ratingSum", "$ratingCount", prior),
+        },
+      },
+      { $sort: { weightedRating: -1, ratingCount: -1 } },
+      { $limit: RANKING_LIMIT },
+    ]),
+  // Reviews and the replies under them both count as discussion
+  "most-discussed": () =>
+    Review.aggregate([
+      { $project: { book: 1 } },
+      {
+        $unionWith: {
+          coll: ReviewReply.collection.name,
+          pipeline: [{ $match: { deleted: false } }, { $project: { book: 1 } }],
+        },
+      },
+      { $group: { _id: "$book", commentCount: { $sum: 1 } } },
+      { $sort: { commentCount: -1 } },
+      ...liveBooksOnly(),
+      { $limit: RANKING_LIMIT },
+    ]),
+};
+
+const RANKING_METRICS = Object.keys(WINDOWED_RANKINGS);
+
+const computeRanking = async (metric, range) => {
+  const { windowMs } = RANGES[range];
+  const prior = await getRatingPrior();
+  const stats = windowMs
+    ? await BookEvent.aggregate([
+        ...WINDOWED_RANKINGS[metric](new Date(Date.now() - windowMs), prior),
+        ...liveBooksOnly(),
+        { $limit: RANKING_LIMIT },
+      ])
+    : await ALL_TIME_RANKINGS[metric](prior);
+
+  const books = await Book.find({ _id: { $in: stats.map((entry) => entry._id) } })
+    .select(BOOK_FIELDS)
+    .lean();
+  const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+  // Window stats overwrite the book's all-time fields of the same name
+  return stats
+    .filter((entry) => booksById.has(entry._id.toString()))
+    .map(({ _id, ...windowStats }) => {
+      const book = booksById.get(_id.toString());
+      if (windowStats.averageRating !== undefined) {
+        windowStats.averageRating = Number(windowStats.averageRating.toFixed(1));
+      }
+      return { ...book, ...windowStats };
+    });
+};
+
+const cache = new Map();
+
+/**
+ * Returns the top books for `metric` over `range`, computing it at most once
+ * per range TTL. Concurrent callers share the same in-flight computation.
+ */
+const getBookRanking = (metric, range) => {
+  const key = `${metric}:${range}`;
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = computeRanking(metric, range);
+  cache.set(key, { promise, expiresAt: Date.now() + RANGES[range].ttl });
+  promise.catch(() => cache.delete(key));
+  return promise;
+};
+
+// Drops cached rankings, e.g. once a book is trashed or restored
+const invalidateRankings = () => cache.clear();
+
+module.exports = { RANGES, RANKING_METRICS, recordBookEvent, getBookRanking, invalidateRankings };
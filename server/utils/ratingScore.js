@@ -0,0 +1,36 @@
+const Book = require("../models/Book");
+
+// A book's weighted score starts at the library-wide mean and moves towards
+// its own average as ratings come in: with this many ratings the two count
+// equally, so a single 5-star vote can't outrank a well-liked classic.
+const RATING_PRIOR_WEIGHT = 5;
+const PRIOR_TTL_MS = 10 * 60 * 1000;
+const FALLBACK_MEAN = 2.5; // Before anything in the library has been rated
+
+let cachedPrior = null;
+
+// `{ mean, weight }` for the Bayesian score, cached like the ranking results
+const getRatingPrior = () => {
+  if (cachedPrior && cachedPrior.expiresAt > Date.now()) {
+    return cachedPrior.promise;
+  }
+
+  const promise = Book.aggregate([
+    { $group: { _id: null, sum: { $sum: "$ratingSum" }, count: { $sum: "$ratingCount" } } },
+  ]).then(([totals]) => ({
+    mean: totals?.count ? totals.sum / totals.count : FALLBACK_MEAN,
+    weight: RATING_PRIOR_WEIGHT,
+  }));
+  cachedPrior = { promise, expiresAt: Date.now() + PRIOR_TTL_MS };
+  promise.catch(() => {
+    cachedPrior = null;
+  });
+  return promise;
+};
+
+const bayesianScore = (ratingSum, ratingCount, prior) =>
+  Number(
+    ((prior.mean * prior.weight + (ratingSum || 0)) / (prior.weight + (ratingCount || 0))).toFixed(2)
+  );
+
+module.exports = { RATING_PRIOR_WEIGHT, getRatingPrior, bayesianScore };
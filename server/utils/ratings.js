@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const Rating = require("../models/Rating");
+const Review = require("../models/Review");
+const { recordBookEvent } = require("./rankings");
+const { recordBadgeEvent } = require("./badges");
+const { getRatingPrior, bayesianScore } = require("./ratingScore");
+
+const DUPLICATE_KEY = 11000;
+
+const HISTORY_INTERVALS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+// The pre-image tells us whether this is a new rating or a change, so the
+// book's running totals can be adjusted without re-reading every rating. Two
+// first ratings racing on the unique index: the loser retries as a change.
+const upsertRating = async (filter, rating) => {
+  const update = () =>
+    Rating.findOneAndUpdate(
+      filter,
+      { $set: { rating } },
+      { upsert: true, new: false, setDefaultsOnInsert: true }
+    );
+  try {
+    return await update();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return update();
+  }
+};
+
+/**
+ * Stores `userId`'s rating of `bookId` and folds it into the book's running
+ * totals. The user's review, if any, shows the same score. Returns the
+ * updated `{ averageRating, ratingCount }`, or null when the book doesn't
+ * exist or is in the trash (nothing is stored then).
+ */
+const applyRating = async (bookId, userId, rating) => {
+  if (!(await Book.exists({ _id: bookId }))) return null;
+
+  const filter = { book: bookId, user: userId };
+  const previous = await upsertRating(filter, rating);
+
+  const book = await Book.findByIdAndUpdate(
+    bookId,
+    [
+      {
+        $set: {
+          ratingSum: {
+            $add: [{ $ifNull: ["$ratingSum", 0] }, rating - (previous?.rating || 0)],
+          },
+          ratingCount: {
+            $add: [{ $ifNull: ["$ratingCount", 0] }, previous ? 0 : 1],
+          },
+        },
+      },
+      {
+        $set: {
+          averageRating: {
+            $cond: [
+              { $gt: ["$ratingCount", 0] },
+              { $round: [{ $divide: ["$ratingSum", "$ratingCount"] }, 1] },
+              0,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, projection: { averageRating: 1, ratingCount: 1 } }
+  );
+
+  // Trashed or deleted since the check above: put the rating back as it was
+  if (!book) {
+    await (previous
+      ? Rating.updateOne(filter, { $set: { rating: previous.rating } })
+      : Rating.deleteOne(filter));
+    return null;
+  }
+
+  await Review.updateOne({ book: bookId, user: userId }, { $set: { rating } });
+  recordBookEvent("rating", { book: bookId, user: userId, value: rating });
+  recordBadgeEvent(userId, "rating");
+
+  return { averageRating: book.averageRating, ratingCount: book.ratingCount };
+};
+
+// Rebuilds a book's totals from its ratings, for migrations that bypass applyRating
+const recalculateRatings = async (bookId) => {
+  const [totals] = await Rating.aggregate([
+    { $match: { book: bookId } },
+    { $group: { _id: null, sum: { $sum: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const ratingSum = totals?.sum || 0;
+  const ratingCount = totals?.count || 0;
+
+  await Book.collection.updateOne(
+    { _id: bookId },
+    {
+      $set: {
+        ratingSum,
+        ratingCount,
+        averageRating: ratingCount ? Number((ratingSum / ratingCount).toFixed(1)) : 0,
+      },
+    }
+  );
+};
+
+/**
+ * Star distribution, history and weighted score for one book. Each reader
+ * counts once, at their current rating and the time they last set it, so
+ * the history ends at the book's current average.
+ */
+const getRatingStats = async (bookId, { interval = "month" } = {}) => {
+  const bookObjectId = new mongoose.Types.ObjectId(String(bookId));
+
+  const [book, buckets, periods, prior] = await Promise.all([
+    Book.findById(bookObjectId, "averageRating ratingCount ratingSum").lean(),
+    Rating.aggregate([
+      { $match: { book: bookObjectId } },
+      // Fractional scores fall into the nearest whole star, halves rounding up
+      { $group: { _id: { $floor: { $add: ["$rating", 0.5] } }, count: { $sum: 1 } } },
+    ]),
+    Rating.aggregate([
+      { $match: { book: bookObjectId } },
+      {
+        $group: {
+          _id: { $dateToString: { format: HISTORY_INTERVALS[interval], date: "$updatedAt" } },
+          count: { $sum: 1 },
+          sum: { $sum: "$rating" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    getRatingPrior(),
+  ]);
+  if (!book) return null;
+
+  const counts = new Map(buckets.map((bucket) => [bucket._id, bucket.count]));
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const distribution = [0, 1, 2, 3, 4, 5].map((stars) => {
+    const count = counts.get(stars) || 0;
+    return { stars, count, percent: total ? Math.round((count / total) * 100) : 0 };
+  });
+
+  let runningCount = 0;
+  let runningSum = 0;
+  const history = periods.map(({ _id, count, sum }) => {
+    runningCount += count;
+    runningSum += sum;
+    return {
+      period: _id,
+      count,
+      averageRating: Number((sum / count).toFixed(2)),
+      cumulativeCount: runningCount,
+      cumulativeAverage: Number((runningSum / runningCount).toFixed(2)),
+    };
+  });
+
+  return {
+    averageRating: book.averageRating || 0,
+    ratingCount: book.ratingCount || 0,
+    weightedRating: bayesianScore(book.ratingSum, book.ratingCount, prior),
+    prior: { mean: Number(prior.mean.toFixed(2)), weight: prior.weight },
+    distribution,
+    interval,
+    history,
+  };
+};
+
+module.exports = {
+  HISTORY_INTERVALS,
+  applyRating,
+  recalculateRatings,
+  getRatingStats,
+};
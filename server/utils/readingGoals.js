@@ -0,0 +1,252 @@
+const ReadingActivity = require("../models/ReadingActivity");
+const ReadingGoal = require("../models/ReadingGoal");
+const ReadingProgress = require("../models/ReadingProgress");
+const { User } = require("../models/User");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 30;
+// Days of activity read per summary; covers the 365-day streak milestone.
+// Older streaks live on as the goal documents' `longestStreak`.
+const STREAK_WINDOW_DAYS = 400;
+const DUPLICATE_KEY = 11000;
+
+// Days are UTC calendar dates, kept as "YYYY-MM-DD" strings
+const toDay = (date) => date.toISOString().slice(0, 10);
+const shiftDay = (day, offset) => toDay(new Date(Date.parse(day) + offset * DAY_MS));
+
+const goalMilestone = (percent, message) => ({
+  key: `goal-${percent}`,
+  reached: (summary) => Boolean(summary.targetBooks) && summary.percent >= percent,
+  message,
+});
+
+const streakMilestone = (days) => ({
+  key: `streak-${days}`,
+  reached: (summary) => summary.currentStreak >= days,
+  message: () => `🔥 ${days}-day reading streak! Keep it going.`,
+});
+
+const booksMilestone = (count, message) => ({
+  key: `books-${count}`,
+  reached: (summary) => summary.booksFinished >= count,
+  message,
+});
+
+// Checked after every bit of reading activity; each fires once per year
+const MILESTONES = [
+  goalMilestone(25, (s) => `You're a quarter of the way to your ${s.year} goal of ${s.targetBooks} books!`),
+  goalMilestone(50, (s) => `Halfway there: ${s.booksFinished} of ${s.targetBooks} books read in ${s.year}.`),
+  goalMilestone(75, (s) => `Three quarters done! Just ${s.targetBooks - s.booksFinished} books to go for ${s.year}.`),
+  goalMilestone(100, (s) => `🎉 You completed your ${s.year} reading challenge of ${s.targetBooks} books!`),
+  ...[3, 7, 30, 100, 365].map(streakMilestone),
+  booksMilestone(1, (s) => `You finished your first book of ${s.year}!`),
+  ...[5, 10, 25, 50, 100].map((count) =>
+    booksMilestone(count, (s) => `📚 ${count} books finished in ${s.year}.`)
+  ),
+];
+
+// `days` must be sorted newest first
+const computeStreaks = (days, today) => {
+  let longestStreak = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && shiftDay(previous, -1) === day ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+    previous = day;
+  }
+
+  // A streak survives until the end of the day after the last activity
+  let currentStreak = 0;
+  if (days[0] === today || days[0] === shiftDay(today, -1)) {
+    currentStreak = 1;
+    while (days[currentStreak] === shiftDay(days[0], -currentStreak)) {
+      currentStreak += 1;
+    }
+  }
+
+  return { currentStreak, longestStreak };
+};
+
+// Activity newest first, from `fromDay` on (everything without it)
+const loadActivity = (userId, fromDay) =>
+  ReadingActivity.find(
+    { user: userId, ...(fromDay && { day: { $gte: fromDay } }) },
+    "day secondsSpent"
+  )
+    .sort({ day: -1 })
+    .lean();
+
+// Keeps the best streak on this year's goal document ($max never lowers it)
+const saveLongestStreak = async (userId, longestStreak) => {
+  try {
+    await ReadingGoal.updateOne(
+      { user: userId, year: new Date().getUTCFullYear() },
+      { $max: { longestStreak } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+};
+
+/**
+ * Current and longest streaks from `recent`, the activity of the last
+ * STREAK_WINDOW_DAYS. The full history is only read for a streak that runs
+ * through the whole window, or once to seed the stored longest streak for
+ * readers who predate it.
+ */
+const getStreaks = async (userId, recent, today) => {
+  const windowStart = shiftDay(today, -STREAK_WINDOW_DAYS);
+  let days = recent.map((entry) => entry.day);
+  let streaks = computeStreaks(days, today);
+
+  const records = await ReadingGoal.find(
+    { user: userId, longestStreak: { $exists: true } },
+    "longestStreak"
+  ).lean();
+  const stored = records.length
+    ? Math.max(...records.map((record) => record.longestStreak))
+    : null;
+
+  const spansWindow = streaks.currentStreak && days[streaks.currentStreak - 1] === windowStart;
+  if (stored === null || spansWindow) {
+    days = (await loadActivity(userId)).map((entry) => entry.day);
+    streaks = computeStreaks(days, today);
+  }
+
+  const longestStreak = Math.max(streaks.longestStreak, stored || 0);
+  if (stored === null || longestStreak > stored) {
+    await saveLongestStreak(userId, longestStreak);
+  }
+  return { currentStreak: streaks.currentStreak, longestStreak };
+};
+
+/**
+ * Progress towards `year`'s goal plus streaks and the last month of activity.
+ * Works whether or not the reader has set a target.
+ */
+const getGoalSummary = async (userId, year = new Date().getUTCFullYear()) => {
+  const now = new Date();
+  const today = toDay(now);
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+
+  const [goal, booksFinished, activity] = await Promise.all([
+    ReadingGoal.findOne({ user: userId, year }).lean(),
+    ReadingProgress.countDocuments({
+      user: userId,
+      finishedAt: { $gte: yearStart, $lt: yearEnd },
+    }),
+    loadActivity(userId, shiftDay(today, -STREAK_WINDOW_DAYS)),
+  ]);
+
+  const days = activity.map((entry) => entry.day);
+  const secondsByDay = new Map(activity.map((entry) => [entry.day, entry.secondsSpent]));
+  const targetBooks = goal?.targetBooks || null;
+
+  // How many books should be done by now to finish on time
+  const elapsed = Math.min(Math.max((now - yearStart) / (yearEnd - yearStart), 0), 1);
+  const expectedByToday = targetBooks ? Math.floor(targetBooks * elapsed) : null;
+
+  return {
+    year,
+    targetBooks,
+    booksFinished,
+    percent: targetBooks ? Math.min(Math.round((booksFinished / targetBooks) * 100), 100) : 0,
+    expectedByToday,
+    onTrack: targetBooks ? booksFinished >= expectedByToday : null,
+    ...(await getStreaks(userId, activity, today)),
+    readToday: days[0] === today,
+    recentDays: Array.from({ length: RECENT_DAYS }, (_, index) => {
+      const day = shiftDay(today, index - RECENT_DAYS + 1);
+      return {
+        day,
+        active: secondsByDay.has(day),
+        minutes: Math.round((secondsByDay.get(day) || 0) / 60),
+      };
+    }),
+    milestones: goal?.milestones || [],
+  };
+};
+
+const ensureGoalDocument = async (userId, year) => {
+  try {
+    await ReadingGoal.updateOne(
+      { user: userId, year },
+      { $setOnInsert: { user: userId, year } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+};
+
+/**
+ * Awards any milestone the reader has reached but not yet been told about,
+ * pushing a notification for each. Returns the keys awarded by this call.
+ */
+const checkMilestones = async (userId) => {
+  const summary = await getGoalSummary(userId);
+  const alreadyAwarded = new Set(summary.milestones.map((milestone) => milestone.key));
+  const due = MILESTONES.filter(
+    (milestone) => !alreadyAwarded.has(milestone.key) && milestone.reached(summary)
+  );
+  if (!due.length) return [];
+
+  await ensureGoalDocument(userId, summary.year);
+
+  const awarded = [];
+  for (const milestone of due) {
+    // The filter makes concurrent checks award (and notify) only once
+    const result = await ReadingGoal.updateOne(
+      { user: userId, year: summary.year, "milestones.key": { $ne: milestone.key } },
+      { $push: { milestones: { key: milestone.key, achievedAt: new Date() } } }
+    );
+    if (!result.modifiedCount) continue;
+
+    awarded.push(milestone.key);
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          notifications: {
+            message: milestone.message(summary),
+            status: "unread",
+            reason: "Reading milestone",
+            createdAt: new Date(),
+            viewed: false,
+          },
+        },
+      }
+    );
+  }
+  return awarded;
+};
+
+/**
+ * Adds to today's activity and checks milestones. Like recordBookEvent it
+ * only logs failures, so goals can never break the reading that fed them.
+ */
+const recordReadingActivity = async (
+  userId,
+  { opens = 0, progressUpdates = 0, secondsSpent = 0, booksFinished = 0 } = {}
+) => {
+  try {
+    await ReadingActivity.updateOne(
+      { user: userId, day: toDay(new Date()) },
+      { $inc: { opens, progressUpdates, secondsSpent, booksFinished } },
+      { upsert: true }
+    );
+    await checkMilestones(userId);
+  } catch (error) {
+    console.warn("Failed to record reading activity:", error.message);
+  }
+};
+
+module.exports = {
+  MILESTONE_KEYS: MILESTONES.map((milestone) => milestone.key),
+  getGoalSummary,
+  checkMilestones,
+  recordReadingActivity,
+};
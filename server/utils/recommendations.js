@@ -0,0 +1,293 @@
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const Rating = require("../models/Rating");
+const ReadingProgress = require("../models/ReadingProgress");
+const { User } = require("../models/User");
+
+const { normalizeGenre } = Book;
+
+// Relative strength of each signal. Affinities learnt from what the reader
+// actually did outweigh what they said in the survey.
+const WEIGHTS = {
+  preferredGenre: 2,
+  favoriteAuthor: 4,
+  likedGenre: 1.5,
+  likedAuthor: 3,
+  similarReaders: 2.5,
+  popularity: 0.3,
+};
+
+// How much each kind of interaction says about taste
+const LIKE_STRENGTH = { favorite: 3, history: 1 };
+const LIKED_RATING = 4;
+const MAX_SIMILAR_READERS = 50;
+// Cap on books scored per request, however large the library grows
+const MAX_CANDIDATES = 500;
+const CANDIDATE_FIELDS = "title author genres averageRating ratingCount reads";
+
+const toId = (value) => value?.toString();
+
+const escapeRegExp = (value = "") =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Keeps, per key, the running weight and the liked book contributing most
+const addAffinity = (map, key, weight, title) => {
+  if (!key) return;
+  const entry = map.get(key) || { weight: 0, title, best: 0 };
+  entry.weight += weight;
+  if (weight > entry.best) {
+    entry.best = weight;
+    entry.title = title;
+  }
+  map.set(key, entry);
+};
+
+const buildTasteProfile = async (user, ratings) => {
+  const likeWeights = new Map();
+  const like = (bookId, weight) => {
+    const id = toId(bookId);
+    likeWeights.set(id, (likeWeights.get(id) || 0) + weight);
+  };
+
+  (user.favorites || []).forEach((id) => like(id, LIKE_STRENGTH.favorite));
+  (user.bookHistory || []).forEach((id) => like(id, LIKE_STRENGTH.history));
+  ratings
+    .filter((entry) => entry.rating >= LIKED_RATING)
+    .forEach((entry) => like(entry.book, entry.rating - 2));
+
+  const likedBooks = await Book.find(
+    { _id: { $in: [...likeWeights.keys()] } },
+    "title author genres"
+  ).lean();
+
+  const genres = new Map();
+  const authors = new Map();
+  for (const book of likedBooks) {
+    const weight = likeWeights.get(toId(book._id));
+    (book.genres || []).forEach((genre) => addAffinity(genres, genre, weight, book.title));
+    addAffinity(authors, book.author?.trim().toLowerCase(), weight, book.title);
+  }
+
+  const titles = new Map(likedBooks.map((book) => [toId(book._id), book.title]));
+  return { genres, authors, titles };
+};
+
+// Books rated highly by readers who rated the same books highly
+const findSimilarReaderPicks = async (userId, likedBookIds, excludedIds) => {
+  if (!likedBookIds.length) return new Map();
+
+  const similarReaders = await Rating.aggregate([
+    {
+      $match: {
+        book: { $in: likedBookIds },
+        rating: { $gte: LIKED_RATING },
+        user: { $ne: userId },
+      },
+    },
+    { $group: { _id: "$user", overlap: { $sum: 1 }, sharedBook: { $first: "$book" } } },
+    { $sort: { overlap: -1 } },
+    { $limit: MAX_SIMILAR_READERS },
+  ]);
+  if (!similarReaders.length) return new Map();
+
+  const readers = new Map(similarReaders.map((entry) => [toId(entry._id), entry]));
+  const theirRatings = await Rating.find(
+    {
+      user: { $in: similarReaders.map((entry) => entry._id) },
+      rating: { $gte: LIKED_RATING },
+      book: { $nin: excludedIds },
+    },
+    "user book"
+  ).lean();
+
+  const picks = new Map();
+  for (const entry of theirRatings) {
+    const reader = readers.get(toId(entry.user));
+    const pick = picks.get(toId(entry.book)) || { weight: 0, sharedBook: null, best: 0 };
+    pick.weight += reader.overlap;
+    if (reader.overlap > pick.best) {
+      pick.best = reader.overlap;
+      pick.sharedBook = toId(reader.sharedBook);
+    }
+    picks.set(toId(entry.book), pick);
+  }
+  return picks;
+};
+
+const scoreBook = (book, context) => {
+  const { preferredGenres, favoriteAuthor, taste, picks, maxPickWeight } = context;
+  const reasons = [];
+  const add = (points, explanation) => {
+    if (points > 0) reasons.push({ points, explanation });
+  };
+
+  const genres = book.genres || [];
+  const author = book.author?.trim().toLowerCase();
+
+  const preferred = genres.filter((genre) => preferredGenres.has(genre));
+  add(
+    preferred.length * WEIGHTS.preferredGenre,
+    `Matches your interest in ${preferred.join(" and ")}`
+  );
+
+  if (favoriteAuthor && author && author.includes(favoriteAuthor)) {
+    add(WEIGHTS.favoriteAuthor, `By ${book.author}, your favourite author`);
+  }
+
+  // Log-damped so one heavily read genre doesn't drown everything else out
+  let bestGenre = null;
+  let genrePoints = 0;
+  for (const genre of genres) {
+    const affinity = taste.genres.get(genre);
+    if (!affinity) continue;
+    genrePoints += Math.log1p(affinity.weight) * WEIGHTS.likedGenre;
+    if (!bestGenre || affinity.weight > bestGenre.weight) bestGenre = affinity;
+  }
+  if (bestGenre) add(genrePoints, `Because you liked ${bestGenre.title}`);
+
+  const authorAffinity = author && taste.authors.get(author);
+  if (authorAffinity) {
+    add(
+      Math.log1p(authorAffinity.weight) * WEIGHTS.likedAuthor,
+      `Because you liked ${authorAffinity.title}, also by ${book.author}`
+    );
+  }
+
+  const pick = picks.get(toId(book._id));
+  if (pick) {
+    const sharedTitle = taste.titles.get(pick.sharedBook);
+    add(
+      (pick.weight / maxPickWeight) * WEIGHTS.similarReaders * 2,
+      sharedTitle
+        ? `Readers who liked ${sharedTitle} also rated this highly`
+        : "Rated highly by readers with similar taste"
+    );
+  }
+
+  add(
+    ((book.averageRating || 0) / 5) * Math.log1p(book.ratingCount || 0) * WEIGHTS.popularity,
+    "Popular with Club Lit readers"
+  );
+
+  const score = reasons.reduce((total, reason) => total + reason.points, 0);
+  const top = reasons.sort((a, b) => b.points - a.points)[0];
+  return {
+    score: Number(score.toFixed(3)),
+    explanation: top ? top.explanation : "New on Club Lit",
+  };
+};
+
+// The popularity term of scoreBook, for ranking the fallback candidates
+const popularityExpression = {
+  $multiply: [
+    { $divide: [{ $ifNull: ["$averageRating", 0] }, 5] },
+    { $ln: { $add: [1, { $ifNull: ["$ratingCount", 0] }] } },
+  ],
+};
+
+/**
+ * Loads only the books some signal can reach: matching genres or authors
+ * and similar readers' picks, plus the most popular others, which is all a
+ * book with no personal signal can score on.
+ */
+const findCandidates = async ({ excludedIds, context, limit }) => {
+  const { preferredGenres, favoriteAuthor, taste, picks } = context;
+  const genres = [...new Set([...preferredGenres, ...taste.genres.keys()])];
+  const authors = [
+    ...[...taste.authors.keys()].map(
+      (author) => new RegExp(`^\\s*${escapeRegExp(author)}\\s*$`, "i")
+    ),
+    ...(favoriteAuthor ? [new RegExp(escapeRegExp(favoriteAuthor), "i")] : []),
+  ];
+
+  const signals = [];
+  if (genres.length) signals.push({ genres: { $in: genres } });
+  if (authors.length) signals.push({ author: { $in: authors } });
+  if (picks.size) signals.push({ _id: { $in: [...picks.keys()] } });
+
+  const [matching, popular] = await Promise.all([
+    signals.length
+      ? Book.find({ _id: { $nin: excludedIds }, $or: signals }, CANDIDATE_FIELDS)
+          .sort({ ratingCount: -1 })
+          .limit(MAX_CANDIDATES)
+          .lean()
+      : [],
+    Book.aggregate([
+      { $match: { _id: { $nin: excludedIds } } },
+      { $addFields: { popularity: popularityExpression } },
+      { $sort: { popularity: -1 } },
+      { $limit: limit },
+      { $project: Object.fromEntries(CANDIDATE_FIELDS.split(" ").map((field) => [field, 1])) },
+    ]),
+  ]);
+
+  const candidates = new Map(matching.map((book) => [toId(book._id), book]));
+  popular.forEach((book) => {
+    if (!candidates.has(toId(book._id))) candidates.set(toId(book._id), book);
+  });
+  return [...candidates.values()];
+};
+
+/**
+ * Ranks books the user hasn't read yet. Each result is a lean book with a
+ * `score` and a human-readable `explanation` of its strongest signal.
+ * Books the user has finished, rated, opened or saved are never returned.
+ */
+const recommendBooks = async (userId, { limit = 10 } = {}) => {
+  const user = await User.findById(userId, "preferences favorites bookHistory").lean();
+  if (!user) return null;
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const [ratings, finished] = await Promise.all([
+    Rating.find({ user: userObjectId }, "book rating").lean(),
+    ReadingProgress.find({ user: userObjectId, finishedAt: { $ne: null } }, "book").lean(),
+  ]);
+
+  const excludedIds = [
+    ...finished.map((entry) => entry.book),
+    ...ratings.map((entry) => entry.book),
+    ...(user.bookHistory || []),
+    ...(user.favorites || []),
+  ];
+
+  const likedBookIds = [
+    ...ratings.filter((entry) => entry.rating >= LIKED_RATING).map((entry) => entry.book),
+    ...(user.favorites || []),
+  ];
+
+  const [taste, picks] = await Promise.all([
+    buildTasteProfile(user, ratings),
+    findSimilarReaderPicks(userObjectId, likedBookIds, excludedIds),
+  ]);
+
+  const context = {
+    preferredGenres: new Set((user.preferences?.genres || []).map(normalizeGenre)),
+    favoriteAuthor: user.preferences?.favoriteAuthor?.trim().toLowerCase() || "",
+    taste,
+    picks,
+    maxPickWeight: Math.max(1, ...[...picks.values()].map((pick) => pick.weight)),
+  };
+
+  const candidates = await findCandidates({ excludedIds, context, limit });
+  const ranked = candidates
+    .map((book) => ({ book, ...scoreBook(book, context) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Only the winners need their full documents
+  const fullBooks = await Book.find({ _id: { $in: ranked.map((entry) => entry.book._id) } })
+    .select("-toc -ratingSum")
+    .lean();
+  const byId = new Map(fullBooks.map((book) => [toId(book._id), book]));
+
+  return ranked
+    .filter((entry) => byId.has(toId(entry.book._id)))
+    .map(({ book, score, explanation }) => ({
+      ...byId.get(toId(book._id)),
+      score,
+      explanation,
+    }));
+};
+
+module.exports = { recommendBooks };
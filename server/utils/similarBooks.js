@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+
+const Book = require("../models/Book");
+const { User } = require("../models/User");
+
+const WEIGHTS = {
+  genres: 3,
+  author: 2,
+  text: 3,
+  coReaders: 2.5,
+};
+
+const INDEX_TTL_MS = 10 * 60 * 1000;
+const MIN_TOKEN_LENGTH = 3;
+const BOOK_FIELDS = "-toc -ratingSum";
+
+const STOPWORDS = new Set(
+  `the and for are but not you all any can had her was one our out his has him
+  how its may new now see two who did get let say she too use with this that
+  from they will what when where which while into than then them there these
+  their about after also been before being both each more most other over some
+  such very your book books novel story stories read reader readers author
+  through would could should every just like only own same`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+const toId = (value) => value?.toString();
+
+const tokenize = (text = "") =>
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (token) => token.length >= MIN_TOKEN_LENGTH && !STOPWORDS.has(token)
+  );
+
+const termCounts = (book) => {
+  const counts = new Map();
+  // The title is short but says a lot, so its terms count double
+  const tokens = [
+    ...tokenize(book.title),
+    ...tokenize(book.title),
+    ...tokenize(book.description),
+  ];
+  tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+// Unit-length TF-IDF vectors, so similarity is a plain dot product
+const buildIndex = (books) => {
+  const documents = books.map((book) => ({ id: toId(book._id), counts: termCounts(book) }));
+
+  const documentFrequency = new Map();
+  documents.forEach(({ counts }) =>
+    counts.forEach((_, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+
+  const vectors = new Map();
+  for (const { id, counts } of documents) {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const idf = Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    if (norm) vector.forEach((weight, term) => vector.set(term, weight / norm));
+    vectors.set(id, vector);
+  }
+
+  return { vectors, books: new Map(books.map((book) => [toId(book._id), book])) };
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+};
+
+let cachedIndex = null;
+
+const loadIndex = async ({ refresh = false } = {}) => {
+  if (!refresh && cachedIndex && cachedIndex.expiresAt > Date.now()) {
+    return cachedIndex.promise;
+  }
+
+  const promise = Book.find({}, "title author genres description")
+    .lean()
+    .then(buildIndex);
+  cachedIndex = { promise, expiresAt: Date.now() + INDEX_TTL_MS };
+  promise.catch(() => {
+    cachedIndex = null;
+  });
+  return promise;
+};
+
+/**
+ * Drops the cached text index so the next lookup sees added, edited or
+ * deleted books straight away.
+ */
+const invalidateSimilarityIndex = () => {
+  cachedIndex = null;
+};
+
+// For each other book, how many readers saved or opened both it and `bookId`
+const countCoReaders = async (bookId) => {
+  const id = new mongoose.Types.ObjectId(bookId);
+  const rows = await User.aggregate([
+    { $match: { $or: [{ favorites: id }, { bookHistory: id }] } },
+    {
+      $project: {
+        books: {
+          $setUnion: [{ $ifNull: ["$favorites", []] }, { $ifNull: ["$bookHistory", []] }],
+        },
+      },
+    },
+    { $unwind: "$books" },
+    { $match: { books: { $ne: id } } },
+    { $group: { _id: "$books", readers: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [toId(row._id), row.readers]));
+};
+
+const jaccard = (a, b) => {
+  if (!a.length || !b.length) return { score: 0, shared: [] };
+  const other = new Set(b);
+  const shared = [...new Set(a)].filter((item) => other.has(item));
+  return { score: shared.length / new Set([...a, ...b]).size, shared };
+};
+
+const sameAuthor = (a, b) =>
+  Boolean(a && b && a.trim().toLowerCase() === b.trim().toLowerCase());
+
+const explain = (signals, target, candidate) => {
+  const top = Object.entries(signals).sort((a, b) => b[1].points - a[1].points)[0];
+  switch (top[0]) {
+    case "author":
+      return `Also by ${candidate.author}`;
+    case "genres":
+      return `Also in ${top[1].shared.join(" and ")}`;
+    case "coReaders":
+      return `Readers of ${target.title} also read this`;
+    default:
+      return `Similar themes to ${target.title}`;
+  }
+};
+
+/**
+ * Ranks the other books by how much they resemble `bookId`. Returns null when
+ * the book doesn't exist. Each result carries a `similarity` score and an
+ * `explanation` naming the strongest signal.
+ */
+const findSimilarBooks = async (bookId, { limit = 6 } = {}) => {
+  let index = await loadIndex();
+  if (!index.books.has(toId(bookId))) {
+    // Uploaded since the index was built, or gone altogether
+    index = await loadIndex({ refresh: true });
+    if (!index.books.has(toId(bookId))) return null;
+  }
+
+  const target = index.books.get(toId(bookId));
+  const targetVector = index.vectors.get(toId(bookId));
+  const coReaders = await countCoReaders(bookId);
+  const maxCoReaders = Math.max(1, ...coReaders.values());
+
+  const ranked = [];
+  index.books.forEach((candidate, id) => {
+    if (id === toId(bookId)) return;
+
+    const genres = jaccard(target.genres || [], candidate.genres || []);
+    const signals = {
+      genres: { points: genres.score * WEIGHTS.genres, shared: genres.shared },
+      author: {
+        points: sameAuthor(target.author, candidate.author) ? WEIGHTS.author : 0,
+      },
+      text: { points: cosine(targetVector, index.vectors.get(id)) * WEIGHTS.text },
+      coReaders: {
+        // Square-rooted so one popular pairing doesn't flatten the rest
+        points: Math.sqrt((coReaders.get(id) || 0) / maxCoReaders) * WEIGHTS.coReaders,
+      },
+    };
+
+    const similarity = Object.values(signals).reduce((total, signal) => total + signal.points, 0);
+    if (similarity > 0) {
+      ranked.push({ id, similarity, explanation: explain(signals, target, candidate) });
+    }
+  });
+
+  ranked.sort((a, b) => b.similarity - a.similarity);
+  const top = ranked.slice(0, limit);
+
+  const books = await Book.find({ _id: { $in: top.map((entry) => entry.id) } })
+    .select(BOOK_FIELDS)
+    .lean();
+  const byId = new Map(books.map((book) => [toId(book._id), book]));
+
+  return top
+    .filter((entry) => byId.has(entry.id))
+    .map(({ id, similarity, explanation }) => ({
+      ...byId.get(id),
+      similarity: Number(similarity.toFixed(3)),
+      explanation,
+    }));
+};
+
+module.exports = { findSimilarBooks, invalidateSimilarityIndex };